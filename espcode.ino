@@ -7,7 +7,9 @@
 // FIREBASE CONFIGURATION - SIMPLIFIED
 // ==========================================
 const String FIREBASE_HOST = "jal-mahakal-shakti-default-rtdb.asia-southeast1.firebasedatabase.app";
-const String FIREBASE_PATH = "/DEVICE_001.json";  // Direct to device
+// Readings are appended under devices/<id>/readings; devices/<id>/latest holds the newest
+// one with its push key, and is all the web app listens to
+const String FIREBASE_DEVICES_PATH = "/devices/";
 
 // ==========================================
 // DEVICE ID - UNIQUE FOR EACH ESP32
@@ -72,7 +74,8 @@ unsigned long baudTestStartTime = 0;
 void init_gsm();
 void gprs_connect();
 boolean is_gprs_connected();
-void post_to_firebase_simple(String data);
+void send_reading(String data);
+String post_to_firebase(String path, String data);
 boolean waitResponse(String expected_answer, unsigned int timeout);
 void readUltrasonicSensor();
 void detectBaudRate();
@@ -159,7 +162,7 @@ void loop() {
     jsonData += "\"timestamp\": " + String(millis());
     jsonData += "}";
     
-    post_to_firebase_simple(jsonData);
+    send_reading(jsonData);
   }
   
   if (Serial.available()) {
@@ -171,7 +174,7 @@ void loop() {
         jsonData += "\"distance\": " + String(currentDistanceM, 3) + ",";
         jsonData += "\"timestamp\": " + String(millis());
         jsonData += "}";
-        post_to_firebase_simple(jsonData);
+        send_reading(jsonData);
       }
     } else if (cmd == 's' || cmd == 'S') {
       Serial.println("\n📊 STATUS:");
@@ -186,10 +189,31 @@ void loop() {
   delay(50);
 }
 
+// ==========================================
+// SEND READING: append it, then copy it to latest
+// ==========================================
+void send_reading(String data) {
+  String response = post_to_firebase(FIREBASE_DEVICES_PATH + deviceId + "/readings.json", data);
+  
+  // Firebase answers a push with {"name":"<push key>"}
+  int nameIdx = response.indexOf("\"name\":\"");
+  if (nameIdx < 0) {
+    Serial.println("⚠️  No push key in response, latest not updated");
+    return;
+  }
+  nameIdx += 8;
+  String pushKey = response.substring(nameIdx, response.indexOf("\"", nameIdx));
+  
+  // The modem can only POST; Firebase treats it as a PUT with the override parameter
+  String latest = data.substring(0, data.lastIndexOf("}")) + ",\"pushKey\": \"" + pushKey + "\"}";
+  post_to_firebase(FIREBASE_DEVICES_PATH + deviceId + "/latest.json?x-http-method-override=PUT", latest);
+}
+
 // ==========================================
 // FIXED FIREBASE FUNCTION - SIMPLIFIED
+// Returns the response body on success, "" otherwise
 // ==========================================
-void post_to_firebase_simple(String data) {
+String post_to_firebase(String path, String data) {
   totalAttempts++;
   
   Serial.println("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
@@ -205,7 +229,7 @@ void post_to_firebase_simple(String data) {
   if (!waitResponse("OK", 5000)) {
     Serial.println("❌ HTTP INIT failed");
     failedSends++;
-    return;
+    return "";
   }
   delay(500);
   
@@ -227,7 +251,7 @@ void post_to_firebase_simple(String data) {
   
   // Set URL - SIMPLIFIED without auth first
   Serial.println("[4/7] Setting URL...");
-  String url = "https://" + FIREBASE_HOST + FIREBASE_PATH;
+  String url = "https://" + FIREBASE_HOST + path;
   Serial.println("URL: " + url);
   SerialAT.println("AT+HTTPPARA=\"URL\",\"" + url + "\"");
   if (!waitResponse("OK", 5000)) {
@@ -235,7 +259,7 @@ void post_to_firebase_simple(String data) {
     SerialAT.println("AT+HTTPTERM");
     waitResponse("OK", 1000);
     failedSends++;
-    return;
+    return "";
   }
   delay(500);
   
@@ -253,7 +277,7 @@ void post_to_firebase_simple(String data) {
     SerialAT.println("AT+HTTPTERM");
     waitResponse("OK", 1000);
     failedSends++;
-    return;
+    return "";
   }
   delay(100);
   
@@ -265,7 +289,7 @@ void post_to_firebase_simple(String data) {
     SerialAT.println("AT+HTTPTERM");
     waitResponse("OK", 1000);
     failedSends++;
-    return;
+    return "";
   }
   delay(500);
   
@@ -278,6 +302,7 @@ void post_to_firebase_simple(String data) {
   String response = "";
   bool gotResponse = false;
   int httpStatus = 0;
+  String body = "";
   
   while (millis() - start < 20000) {
     if (SerialAT.available()) {
@@ -299,6 +324,15 @@ void post_to_firebase_simple(String data) {
           successfulSends++;
           Serial.println("✅ SUCCESS! Data sent to Firebase!");
           Serial.println("📊 Sent: " + data);
+          
+          // Read the response body (the push key of a POST)
+          SerialAT.println("AT+HTTPREAD");
+          unsigned long readStart = millis();
+          while (millis() - readStart < 5000 && body.indexOf("\nOK") < 0) {
+            if (SerialAT.available()) {
+              body += (char)SerialAT.read();
+            }
+          }
         } else {
           failedSends++;
           Serial.println("❌ HTTP ERROR: " + String(httpStatus));
@@ -332,6 +366,7 @@ void post_to_firebase_simple(String data) {
   
   Serial.println("📊 Stats: " + String(successfulSends) + " success / " + String(failedSends) + " failed");
   Serial.println("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+  return body;
 }
 
 // ==========================================
@@ -0,0 +1,201 @@
+// ==================== ALERT RULES ====================
+// Rules are checked against a snapshot of the live network (tank levels from telemetry,
+// device last-seen times, valve states and batteries). Each rule yields the conditions
+// that currently hold; AlertService turns those into persisted alerts.
+//
+// A condition is keyed by rule and target, so the same problem on the same tank is one
+// alert for as long as it lasts. Level and battery rules only clear once the value is
+// back past the threshold by CLEAR_MARGIN, so a reading hovering on the line does not
+// raise a fresh alert every few minutes.
+
+export const ALERT_SEVERITIES = ['warning', 'critical'];
+export const CLEAR_MARGIN = 2;
+
+export const RULE_TYPES = {
+  lowLevel: {
+    label: 'Tank level low',
+    target: 'tank',
+    params: [{ key: 'percent', label: 'Below %', min: 0, max: 100, step: 1 }]
+  },
+  overflow: {
+    label: 'Tank overflowing',
+    target: 'tank',
+    params: [{ key: 'percent', label: 'At or above %', min: 0, max: 100, step: 1 }]
+  },
+  silence: {
+    label: 'No telemetry',
+    target: 'device',
+    params: [{ key: 'minutes', label: 'Silent for (min)', min: 1, step: 1 }]
+  },
+  closedDrawdown: {
+    label: 'Level dropping with valves closed',
+    target: 'tank',
+    params: [
+      { key: 'dropCm', label: 'Drop (cm)', min: 1, step: 1 },
+      { key: 'minutes', label: 'Within (min)', min: 1, step: 1 }
+    ]
+  },
+  lowBattery: {
+    label: 'Valve battery low',
+    target: 'valve',
+    params: [{ key: 'percent', label: 'Below %', min: 0, max: 100, step: 1 }]
+  }
+};
+
+export const DEFAULT_RULES = [
+  { id: 'low_level', type: 'lowLevel', severity: 'warning', enabled: true, params: { percent: 20 } },
+  { id: 'overflow', type: 'overflow', severity: 'critical', enabled: true, params: { percent: 95 } },
+  { id: 'silence', type: 'silence', severity: 'warning', enabled: true, params: { minutes: 15 } },
+  { id: 'closed_drawdown', type: 'closedDrawdown', severity: 'critical', enabled: true, params: { dropCm: 5, minutes: 30 } },
+  { id: 'low_battery', type: 'lowBattery', severity: 'warning', enabled: true, params: { percent: 20 } }
+];
+
+export function ruleLabel(rule) {
+  const type = RULE_TYPES[rule.type];
+  if (!type) return rule.type;
+  const p = rule.params || {};
+  switch (rule.type) {
+    case 'lowLevel': return `${type.label} (< ${p.percent}%)`;
+    case 'overflow': return `${type.label} (≥ ${p.percent}%)`;
+    case 'silence': return `${type.label} for ${p.minutes} min`;
+    case 'closedDrawdown': return `${type.label} (${p.dropCm} cm in ${p.minutes} min)`;
+    case 'lowBattery': return `${type.label} (< ${p.percent}%)`;
+    default: return type.label;
+  }
+}
+
+export const conditionKey = (ruleId, targetType, targetId) => `${ruleId}:${targetType}:${targetId}`;
+
+const finite = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Level history per tank for the drawdown rule. Samples are only kept while every main
+// valve feeding out of the tank is closed; opening one starts the window again.
+export class DrawdownTracker {
+  constructor() {
+    this.samples = new Map();
+  }
+
+  observe(tankId, at, levelM, allClosed, windowMs) {
+    if (!allClosed || levelM === null) {
+      this.samples.delete(tankId);
+      return;
+    }
+    const samples = this.samples.get(tankId) || [];
+    const last = samples[samples.length - 1];
+    if (!last || last.levelM !== levelM) samples.push({ at, levelM });
+    while (samples.length > 1 && at - samples[0].at > windowMs) samples.shift();
+    this.samples.set(tankId, samples);
+  }
+
+  // Largest fall from an earlier sample in the window to the latest one
+  drop(tankId) {
+    const samples = this.samples.get(tankId) || [];
+    if (samples.length < 2) return null;
+    const latest = samples[samples.length - 1];
+    const highest = samples.reduce((best, sample) => (sample.levelM > best.levelM ? sample : best), samples[0]);
+    return { dropM: highest.levelM - latest.levelM, minutes: (latest.at - highest.at) / 60000 };
+  }
+
+  forget(tankIds) {
+    [...this.samples.keys()].forEach((id) => {
+      if (!tankIds.has(id)) this.samples.delete(id);
+    });
+  }
+}
+
+// context: {
+//   now,
+//   tanks:  [{ id, name, fillPercent, levelM, deviceId, lastSeenAt, connectedMainValves }],
+//   valves: [{ id, name, closed, battery, deviceId, lastSeenAt }]
+// }
+// openKeys: keys of conditions that already have an open alert (for the clear margin)
+export function evaluateRules(rules, context, openKeys = new Set(), tracker = new DrawdownTracker()) {
+  const conditions = [];
+  const now = context.now;
+  const valvesById = new Map(context.valves.map((valve) => [valve.id, valve]));
+  const raise = (rule, targetType, target, message, value) => {
+    conditions.push({
+      key: conditionKey(rule.id, targetType, target.id),
+      ruleId: rule.id,
+      type: rule.type,
+      severity: rule.severity,
+      targetType,
+      targetId: target.id,
+      targetName: target.name || target.id,
+      message,
+      value
+    });
+  };
+  const isOpen = (rule, targetType, target) => openKeys.has(conditionKey(rule.id, targetType, target.id));
+
+  // The drawdown window is as long as the longest enabled drawdown rule needs
+  const drawdownRules = rules.filter((rule) => rule.enabled && rule.type === 'closedDrawdown');
+  const windowMs = Math.max(0, ...drawdownRules.map((rule) => (rule.params?.minutes || 0) * 60000));
+  context.tanks.forEach((tank) => {
+    const mains = (tank.connectedMainValves || []).map((id) => valvesById.get(id)).filter(Boolean);
+    const allClosed = mains.length > 0 && mains.every((valve) => valve.closed);
+    tracker.observe(tank.id, now, finite(tank.levelM), allClosed && windowMs > 0, windowMs);
+  });
+  tracker.forget(new Set(context.tanks.map((tank) => tank.id)));
+
+  rules.filter((rule) => rule.enabled && RULE_TYPES[rule.type]).forEach((rule) => {
+    const p = rule.params || {};
+    switch (rule.type) {
+      case 'lowLevel':
+        context.tanks.forEach((tank) => {
+          const fill = finite(tank.fillPercent);
+          if (fill === null) return;
+          const limit = isOpen(rule, 'tank', tank) ? p.percent + CLEAR_MARGIN : p.percent;
+          if (fill < limit) raise(rule, 'tank', tank, `${tank.name} is at ${fill.toFixed(1)}% (below ${p.percent}%)`, fill);
+        });
+        break;
+      case 'overflow':
+        context.tanks.forEach((tank) => {
+          const fill = finite(tank.fillPercent);
+          if (fill === null) return;
+          const limit = isOpen(rule, 'tank', tank) ? p.percent - CLEAR_MARGIN : p.percent;
+          if (fill >= limit) raise(rule, 'tank', tank, `${tank.name} is at ${fill.toFixed(1)}% (overflow level ${p.percent}%)`, fill);
+        });
+        break;
+      case 'silence': {
+        const limitMs = p.minutes * 60000;
+        const check = (targetType, target) => {
+          if (!target.deviceId || !target.lastSeenAt) return;
+          const silentMs = now - target.lastSeenAt;
+          if (silentMs >= limitMs) {
+            raise(rule, targetType, target, `No telemetry from ${target.deviceId} (${target.name}) for ${Math.round(silentMs / 60000)} min`, Math.round(silentMs / 60000));
+          }
+        };
+        context.tanks.forEach((tank) => check('tank', tank));
+        context.valves.forEach((valve) => check('valve', valve));
+        break;
+      }
+      case 'closedDrawdown':
+        context.tanks.forEach((tank) => {
+          const drop = tracker.drop(tank.id);
+          if (!drop) return;
+          const dropCm = drop.dropM * 100;
+          if (dropCm >= p.dropCm && drop.minutes <= p.minutes) {
+            raise(rule, 'tank', tank,
+              `${tank.name} dropped ${dropCm.toFixed(1)} cm in ${Math.max(1, Math.round(drop.minutes))} min with all main valves closed`, dropCm);
+          } else if (isOpen(rule, 'tank', tank) && dropCm > 0) {
+            // Keep it open while the level is still falling
+            raise(rule, 'tank', tank, `${tank.name} is still dropping with all main valves closed`, dropCm);
+          }
+        });
+        break;
+      case 'lowBattery':
+        context.valves.forEach((valve) => {
+          const battery = finite(valve.battery);
+          if (battery === null) return;
+          const limit = isOpen(rule, 'valve', valve) ? p.percent + CLEAR_MARGIN : p.percent;
+          if (battery < limit) raise(rule, 'valve', valve, `${valve.name} battery at ${battery}% (below ${p.percent}%)`, battery);
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return conditions;
+}
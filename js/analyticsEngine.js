@@ -0,0 +1,567 @@
+import { NetworkTopology, edgeId } from './topology.js';
+import { solveNetwork, haversineMeters, roughnessForMaterial } from './hydraulics.js';
+import { filterDistances, levelRateLimits } from './signalFilter.js';
+import { reconcileReadings, readingEpoch } from './timeReconciliation.js';
+
+// ==================== ANALYTICS ENGINE ====================
+// Computes the `analytics` node the client prefers over its own calculations, from the
+// network (Tank/Valve/Pipeline/Junction models) and device telemetry. Pure: it runs in Node
+// (server/analyticsService.js) and in the browser alike.
+//
+// analytics/
+//   generatedAt, version
+//   household/  stats { totalHouseholds, servedHouseholds, totalSupplyFlow,
+//                       averageSupplyPerHousehold, mainValves: [mainValveData] }
+//                regions/{regionKey}  { name, totalHouseholds, servedHouseholds, totalFlow, mainValves }
+//                valveTree/{valveId}  { valve, children: [valveId], totalHouseholds, directHouseholds,
+//                                      servedHouseholds, totalFlow, directFlow }
+//                supplies: [{ valveId, valveName, households, totalFlow, avgSupply, ... }]
+//   tanks/{id}     { eta, device, level }
+//   valves/{id}    { device, households, servedHouseholds, totalFlow }
+//   devices/{id}   latest telemetry
+//   pipelines/{id} { currentFlow, velocity, headLoss, minPressure, segments: { i: {...} } }
+//
+// The database drops empty arrays and does not allow '.', '/', '#', '$', '[' or ']' in keys,
+// so readAnalytics() restores the shapes the client works with.
+
+export const ANALYTICS_VERSION = 1;
+// L/min below which a pipe is treated as idle
+export const FLOW_EPSILON = 0.01;
+// About two hours of readings at one every two minutes; plenty for the filters to settle
+const FILTER_SAMPLES = 60;
+const FRESH_MS = 5 * 60 * 1000;
+// Older analytics are ignored (the service has stopped) and the client computes its own
+export const ANALYTICS_MAX_AGE_MS = 10 * 60 * 1000;
+
+const keySafe = (name) => String(name).replace(/[.#$/[\]]/g, '_');
+
+const valveSummary = (valve) => ({
+  id: valve.id,
+  name: valve.name,
+  category: valve.category,
+  parentValveId: valve.parentValveId || null,
+  active: Boolean(valve.active),
+  households: valve.households || 0,
+  flowRate: valve.flowRate || 0,
+  mandal: valve.mandal || null,
+  habitation: valve.habitation || null
+});
+
+// Telemetry for a tank or valve by its device id or its own id, ignoring case
+function telemetryIndex(telemetry) {
+  const index = new Map();
+  Object.entries(telemetry || {}).forEach(([key, value]) => {
+    index.set(String(value?.id || key).toUpperCase(), { id: value?.id || key, ...value });
+  });
+  return (device) => {
+    const candidates = [device?.deviceId, device?.id].filter(Boolean).map((id) => String(id).toUpperCase().trim());
+    for (const candidate of candidates) {
+      if (index.has(candidate)) return index.get(candidate);
+    }
+    return null;
+  };
+}
+
+// Filtered distance for a tank's newest reading, as js/services/tankSignal.js does in the page
+function filteredSignal(tank, readings, now) {
+  if (!readings || readings.length === 0) return null;
+  const samples = reconcileReadings(readings, { now })
+    .slice(-FILTER_SAMPLES)
+    .map((reading) => ({ at: reading.epoch, distance: reading.distance ?? reading.distance_meters ?? reading.distanceMeters }));
+  const filtered = filterDistances(samples, tank.signalFilter, levelRateLimits(tank.signalFilter, tank.surfaceArea()));
+  const latest = filtered[filtered.length - 1];
+  return latest ? { distance: latest.value, rejected: latest.rejected } : null;
+}
+
+// Current level and volume from the tank's telemetry, or its stored level without one
+export function tankLevel(tank, telemetry, readings = [], now = Date.now()) {
+  const distance = telemetry?.distance ?? telemetry?.distance_meters ?? telemetry?.distanceMeters ?? null;
+  let currentWaterLevel = tank.waterLevel;
+  let rawWaterLevel = null;
+  let filteredDistance = null;
+  let signalRejected = null;
+  const usingLiveData = distance !== null && distance !== undefined && Boolean(tank.deviceId);
+  if (usingLiveData) {
+    const signal = filteredSignal(tank, readings, now);
+    filteredDistance = signal ? signal.distance : distance;
+    signalRejected = signal?.rejected || null;
+    rawWaterLevel = tank.calculateWaterLevelFromDistance(distance);
+    currentWaterLevel = tank.calculateWaterLevelFromDistance(filteredDistance);
+  }
+  const currentVolume = tank.calculateVolumeFromWaterLevel(currentWaterLevel);
+  const usableVolume = tank.calculateUsableVolume(currentWaterLevel);
+  const maxCapacity = tank.calculateMaxCapacity();
+  const readingAt = readingEpoch(telemetry);
+  return {
+    telemetryDistance: usingLiveData ? distance : null,
+    filteredDistance,
+    rawWaterLevel,
+    currentWaterLevel,
+    signalRejected,
+    currentVolume: Math.round(currentVolume),
+    usableVolume: Math.round(usableVolume),
+    maxCapacity: Math.round(maxCapacity),
+    fillPercentage: maxCapacity > 0 ? (currentVolume / maxCapacity) * 100 : 0,
+    usingLiveData,
+    isDataFresh: readingAt !== null && now - readingAt < FRESH_MS,
+    readingAt
+  };
+}
+
+// Open valves draw their rated flow; sub-valves only while their main valve is open
+function isValveSupplying(valve, valvesById) {
+  if (valve.active) return false;
+  if (valve.category === 'sub' && valve.parentValveId) {
+    const parent = valvesById.get(valve.parentValveId);
+    if (parent && parent.active) return false;
+  }
+  return true;
+}
+
+// Solver input: tanks become fixed-head nodes, closed valves close their segment and open
+// valves become demands
+export function buildHydraulicNetwork(topology, { tanks, valves, pipelines }, levels) {
+  const nodes = new Map();
+  topology.nodes.forEach((node) => {
+    nodes.set(node.id, { id: node.id, elevation: node.elevation, demand: 0 });
+  });
+
+  tanks.forEach((tank) => {
+    const node = nodes.get(topology.nodeOfTank(tank.id));
+    if (!node) return;
+    const head = (tank.elevation || 0) + levels.get(tank.id).currentWaterLevel;
+    node.head = Number.isFinite(node.head) ? Math.max(node.head, head) : head;
+  });
+
+  const valvesById = new Map(valves.map((valve) => [valve.id, valve]));
+  const closedEdges = new Set();
+  valves.forEach((valve) => {
+    const edge = topology.edgeOfValve(valve.id);
+    if (!edge) return;
+    if (valve.active) {
+      closedEdges.add(edge.id);
+    } else if (isValveSupplying(valve, valvesById)) {
+      const from = topology.nodes.get(edge.from);
+      const to = topology.nodes.get(edge.to);
+      const nodeId = haversineMeters(valve, from) <= haversineMeters(valve, to) ? edge.from : edge.to;
+      nodes.get(nodeId).demand += valve.flowRate || 0;
+    }
+  });
+
+  const pipesById = new Map(pipelines.map((pipe) => [pipe.id, pipe]));
+  const links = [...topology.edges.values()].map((edge) => {
+    const pipe = pipesById.get(edge.pipelineId);
+    return {
+      id: edge.id,
+      from: edge.from,
+      to: edge.to,
+      length: edge.length,
+      diameter: pipe.diameter,
+      roughness: roughnessForMaterial(pipe.type),
+      open: !closedEdges.has(edge.id)
+    };
+  });
+
+  return { nodes: [...nodes.values()], links, nodeOf: (pipeId, vi) => topology.nodeOfVertex(pipeId, vi) };
+}
+
+const tanksHaveHead = (network) => network.nodes.some((node) => Number.isFinite(node.head));
+
+// Per-pipeline flow from the hydraulic solution: { [pipelineId]: { currentFlow, velocity,
+// headLoss, minPressure, segments: { [segmentIndex]: { hasFlow, blocked, flow, headLoss, velocity } } } }
+export function pipelineFlows(network, pipelines) {
+  const flows = {};
+  const result = tanksHaveHead(network) ? solveNetwork(network) : null;
+  pipelines.forEach((pipe) => {
+    const entry = { currentFlow: 0, velocity: 0, headLoss: 0, minPressure: null, segments: {} };
+    flows[pipe.id] = entry;
+    if (!result) return;
+    let maxFlow = 0;
+    for (let i = 0; i < pipe.points.length - 1; i++) {
+      const link = result.links.get(edgeId(pipe.id, i));
+      if (!link || !link.supplied) continue;
+      entry.segments[i] = {
+        hasFlow: link.open && Math.abs(link.flow) > FLOW_EPSILON,
+        blocked: !link.open,
+        flow: link.flow,
+        headLoss: link.headLoss,
+        velocity: link.velocity
+      };
+      maxFlow = Math.max(maxFlow, Math.abs(link.flow));
+      entry.velocity = Math.max(entry.velocity, link.velocity);
+      entry.headLoss += Math.abs(link.headLoss);
+      [i, i + 1].forEach((vi) => {
+        const pressure = result.nodes.get(network.nodeOf(pipe.id, vi))?.pressure;
+        if (Number.isFinite(pressure)) entry.minPressure = entry.minPressure === null ? pressure : Math.min(entry.minPressure, pressure);
+      });
+    }
+    entry.currentFlow = maxFlow > FLOW_EPSILON ? maxFlow : 0;
+  });
+  return { flows, converged: result ? result.converged : true, iterations: result ? result.iterations : 0 };
+}
+
+// Households per valve hierarchy and how much of the supply reaches them
+export function householdStats(valves, topology, flows) {
+  const stats = { totalHouseholds: 0, servedHouseholds: 0, mainValves: [], totalSupplyFlow: 0, averageSupplyPerHousehold: 0 };
+  const valveTree = new Map();
+  const mainValveIds = [];
+
+  valves.forEach((valve) => {
+    if (!valve || !valve.id) return;
+    valveTree.set(valve.id, {
+      valve,
+      children: [],
+      totalHouseholds: valve.households || 0,
+      directHouseholds: valve.households || 0,
+      servedHouseholds: 0,
+      totalFlow: 0,
+      directFlow: 0
+    });
+    if (valve.category === 'main') mainValveIds.push(valve.id);
+  });
+
+  valves.forEach((valve) => {
+    if (!valve || !valve.id || valve.category !== 'sub' || !valve.parentValveId) return;
+    const parent = valveTree.get(valve.parentValveId);
+    if (parent) parent.children.push(valveTree.get(valve.id));
+  });
+
+  mainValveIds.forEach((mainId) => {
+    const mainNode = valveTree.get(mainId);
+    const subValvesTotal = mainNode.children.reduce((sum, child) => sum + (child.valve.households || 0), 0);
+    mainNode.directHouseholds = Math.max(0, mainNode.totalHouseholds - subValvesTotal);
+  });
+
+  // An open valve carries whatever flows in the pipeline it sits on
+  valveTree.forEach((node) => {
+    const edge = node.valve.active ? null : topology.edgeOfValve(node.valve.id);
+    node.totalFlow = edge ? flows[edge.pipelineId]?.currentFlow || 0 : 0;
+  });
+
+  const regions = {};
+  mainValveIds.forEach((mainId) => {
+    const mainNode = valveTree.get(mainId);
+    const mainValve = mainNode.valve;
+    let served = 0;
+    if (!mainValve.active) {
+      const openSubValves = mainNode.children.filter((child) => !child.valve.active);
+      openSubValves.forEach((child) => {
+        served += child.valve.households || 0;
+        child.servedHouseholds = child.valve.households || 0;
+      });
+      if (mainNode.directHouseholds > 0) served += mainNode.directHouseholds;
+      if (mainNode.totalFlow > 0 && served > 0) {
+        openSubValves.forEach((child) => {
+          child.totalFlow = (child.valve.households / served) * mainNode.totalFlow;
+        });
+        mainNode.directFlow = (mainNode.directHouseholds / served) * mainNode.totalFlow;
+      }
+    } else {
+      mainNode.children.forEach((child) => {
+        child.servedHouseholds = 0;
+        child.totalFlow = 0;
+      });
+    }
+    mainNode.servedHouseholds = served;
+
+    const mainValveData = {
+      valve: valveSummary(mainValve),
+      subValves: mainNode.children.map((child) => valveSummary(child.valve)),
+      totalHouseholds: mainNode.totalHouseholds,
+      directHouseholds: mainNode.directHouseholds,
+      servedHouseholds: mainNode.servedHouseholds,
+      totalFlow: mainNode.totalFlow,
+      directFlow: mainNode.directFlow
+    };
+    stats.mainValves.push(mainValveData);
+
+    const name = mainValve.mandal || 'Unknown';
+    const regionKey = keySafe(name);
+    if (!regions[regionKey]) regions[regionKey] = { name, mainValves: [], totalHouseholds: 0, servedHouseholds: 0, totalFlow: 0 };
+    regions[regionKey].mainValves.push(mainValveData);
+  });
+
+  stats.mainValves.forEach((mainData) => {
+    stats.totalHouseholds += mainData.totalHouseholds;
+    stats.servedHouseholds += mainData.servedHouseholds;
+    stats.totalSupplyFlow += mainData.totalFlow;
+  });
+  Object.values(regions).forEach((region) => {
+    region.totalHouseholds = region.mainValves.reduce((sum, mv) => sum + mv.totalHouseholds, 0);
+    region.servedHouseholds = region.mainValves.reduce((sum, mv) => sum + mv.servedHouseholds, 0);
+    region.totalFlow = region.mainValves.reduce((sum, mv) => sum + mv.totalFlow, 0);
+  });
+  stats.averageSupplyPerHousehold = stats.servedHouseholds > 0 ? stats.totalSupplyFlow / stats.servedHouseholds : 0;
+
+  const tree = {};
+  valveTree.forEach((node, id) => {
+    tree[id] = {
+      valve: valveSummary(node.valve),
+      children: node.children.map((child) => child.valve.id),
+      totalHouseholds: node.totalHouseholds,
+      directHouseholds: node.directHouseholds,
+      servedHouseholds: node.servedHouseholds,
+      totalFlow: node.totalFlow,
+      directFlow: node.directFlow
+    };
+  });
+  return { stats, regions, valveTree: tree };
+}
+
+// Flow per household behind each open sub-valve, and behind each open main valve's own taps
+export function supplyPerHousehold({ stats, valveTree }) {
+  const supplies = [];
+  stats.mainValves.forEach((mainData) => {
+    if (mainData.valve.active || !(mainData.totalFlow > 0)) return;
+    mainData.subValves.forEach((subValve) => {
+      const subNode = valveTree[subValve.id];
+      if (!subNode || subValve.active || !(subValve.households > 0)) return;
+      supplies.push({
+        valveId: subValve.id,
+        valveName: subValve.name,
+        households: subValve.households,
+        totalFlow: subNode.totalFlow,
+        avgSupply: subNode.totalFlow > 0 ? subNode.totalFlow / subValve.households : 0,
+        mandal: subValve.mandal,
+        habitation: subValve.habitation,
+        parentValve: mainData.valve.name,
+        type: 'sub'
+      });
+    });
+    if (mainData.directHouseholds > 0) {
+      supplies.push({
+        valveId: mainData.valve.id,
+        valveName: `${mainData.valve.name} (Direct)`,
+        households: mainData.directHouseholds,
+        totalFlow: mainData.directFlow,
+        avgSupply: mainData.directFlow > 0 ? mainData.directFlow / mainData.directHouseholds : 0,
+        mandal: mainData.valve.mandal,
+        habitation: mainData.valve.habitation,
+        parentValve: 'Main Line',
+        type: 'main-direct'
+      });
+    }
+  });
+  return supplies;
+}
+
+export function formatMinutes(minutes) {
+  if (minutes === Infinity || isNaN(minutes) || !isFinite(minutes)) return 'Infinite';
+  const totalMinutes = Math.max(0, minutes);
+  const days = Math.floor(totalMinutes / (60 * 24));
+  const hours = Math.floor((totalMinutes % (60 * 24)) / 60);
+  const mins = Math.floor(totalMinutes % 60);
+  if (days > 0) return `${days}d ${hours}h ${mins}m`;
+  if (hours > 0) return `${hours}h ${mins}m`;
+  return `${mins}m`;
+}
+
+// How long the tank lasts at the draw of its open main valves (and their open sub-valves),
+// and at the draw of all of them. Only the water above the dead-storage level can be drawn.
+export function tankEta(tank, level, valves, now = Date.now()) {
+  const connectedIds = tank.connectedMainValves || [];
+  const notConfigured = (message) => ({ status: 'not_configured', message, eta: null, flowRate: 0, details: [] });
+  if (connectedIds.length === 0) return notConfigured('No main valves connected to this tank');
+  const connectedMainValves = valves.filter((v) => connectedIds.includes(v.id) && v.category === 'main');
+  if (connectedMainValves.length === 0) return notConfigured('Connected main valves not found in system');
+
+  let totalCurrentFlow = 0;
+  let totalPotentialFlow = 0;
+  let totalHouseholdsServed = 0;
+  let totalHouseholdsCapacity = 0;
+  const valveDetails = connectedMainValves.map((mainValve) => {
+    const subValves = valves.filter((v) => v.category === 'sub' && v.parentValveId === mainValve.id);
+    let currentFlow = 0;
+    let potentialFlow = 0;
+    let householdsServed = 0;
+    const households = mainValve.households || 0;
+    if (!mainValve.active) {
+      if (mainValve.flowRate > 0) {
+        currentFlow += mainValve.flowRate;
+        potentialFlow += mainValve.flowRate;
+        householdsServed += mainValve.households || 0;
+      }
+      subValves.forEach((subValve) => {
+        potentialFlow += subValve.flowRate || 0;
+        if (subValve.active) return;
+        currentFlow += subValve.flowRate || 0;
+        householdsServed += subValve.households || 0;
+      });
+    } else {
+      if (mainValve.flowRate > 0) potentialFlow += mainValve.flowRate;
+      subValves.forEach((subValve) => { potentialFlow += subValve.flowRate || 0; });
+    }
+    totalCurrentFlow += currentFlow;
+    totalPotentialFlow += potentialFlow;
+    totalHouseholdsServed += householdsServed;
+    totalHouseholdsCapacity += households;
+    return {
+      id: mainValve.id,
+      name: mainValve.name,
+      isOpen: !mainValve.active,
+      actualFlow: currentFlow,
+      potentialFlow,
+      openSubValves: subValves.filter((v) => !v.active).length,
+      totalSubValves: subValves.length,
+      households,
+      householdsServed,
+      currentFlow,
+      maxFlow: potentialFlow,
+      subValves: subValves.map((sv) => ({ name: sv.name, flowRate: sv.flowRate, active: sv.active, households: sv.households }))
+    };
+  });
+
+  const { currentVolume, usableVolume, currentWaterLevel } = level;
+  const currentTimeMinutes = totalCurrentFlow > 0 ? usableVolume / totalCurrentFlow : 0;
+  const potentialTimeMinutes = totalPotentialFlow > 0 ? usableVolume / totalPotentialFlow : 0;
+  const currentETA = totalCurrentFlow > 0 ? now + currentTimeMinutes * 60 * 1000 : null;
+  const potentialETA = totalPotentialFlow > 0 ? now + potentialTimeMinutes * 60 * 1000 : null;
+
+  let status = 'good';
+  let statusColor = '#4caf50';
+  let statusMessage = 'Supply is stable';
+  if (totalCurrentFlow === 0) {
+    status = 'no_flow';
+    statusColor = '#999';
+    statusMessage = 'No water flowing - all valves closed';
+  } else if (currentTimeMinutes < 60) {
+    status = 'critical';
+    statusColor = '#f44336';
+    statusMessage = 'CRITICAL: Tank will be empty soon!';
+  } else if (currentTimeMinutes < 240) {
+    status = 'warning';
+    statusColor = '#ff9800';
+    statusMessage = 'Warning: Low water level';
+  }
+
+  return {
+    status,
+    statusColor,
+    statusMessage,
+    currentFlow: totalCurrentFlow,
+    potentialFlow: totalPotentialFlow,
+    currentVolume: Math.round(currentVolume),
+    usableVolume: Math.round(usableVolume),
+    tankCapacity: level.maxCapacity,
+    waterLevel: currentWaterLevel,
+    currentETA,
+    currentETAFormatted: currentETA ? new Date(currentETA).toLocaleString() : 'N/A',
+    currentTimeMinutes: Math.round(currentTimeMinutes * 10) / 10,
+    currentTimeFormatted: totalCurrentFlow > 0 ? formatMinutes(currentTimeMinutes) : 'Infinite',
+    potentialETA,
+    potentialETAFormatted: potentialETA ? new Date(potentialETA).toLocaleString() : 'N/A',
+    potentialTimeMinutes: Math.round(potentialTimeMinutes * 10) / 10,
+    potentialTimeFormatted: totalPotentialFlow > 0 ? formatMinutes(potentialTimeMinutes) : 'Infinite',
+    connectedMainValves: connectedMainValves.length,
+    openMainValves: connectedMainValves.filter((v) => !v.active).length,
+    totalHouseholdsServed,
+    totalHouseholdsCapacity,
+    valveDetails,
+    calculationDetails: {
+      tankHeight: tank.height,
+      sensorHeight: tank.sensorHeight,
+      currentWaterLevel,
+      currentVolume,
+      usableVolume,
+      totalCurrentFlow,
+      totalPotentialFlow,
+      connectedValvesCount: connectedMainValves.length,
+      usingLiveData: level.usingLiveData,
+      isDataFresh: level.isDataFresh
+    }
+  };
+}
+
+// network: { tanks, valves, pipelines, junctions } as model instances
+// telemetry: latest reading per device id; readingsByDevice: every reading per device id
+export function computeAnalytics({ tanks = [], valves = [], pipelines = [], junctions = [] }, { telemetry = {}, readingsByDevice = {}, now = Date.now() } = {}) {
+  const findTelemetry = telemetryIndex(telemetry);
+  const readingsIndex = new Map(Object.entries(readingsByDevice).map(([id, readings]) => [id.toUpperCase(), readings]));
+  const levels = new Map(tanks.map((tank) => [tank.id, tankLevel(
+    tank,
+    tank.deviceId ? findTelemetry(tank) : null,
+    tank.deviceId ? readingsIndex.get(String(tank.deviceId).toUpperCase()) : [],
+    now
+  )]));
+
+  const topology = new NetworkTopology({ tanks, valves, pipelines, junctions });
+  const network = buildHydraulicNetwork(topology, { tanks, valves, pipelines }, levels);
+  const { flows, converged, iterations } = pipelineFlows(network, pipelines);
+  const household = householdStats(valves, topology, flows);
+  household.supplies = supplyPerHousehold(household);
+
+  const analytics = {
+    generatedAt: now,
+    version: ANALYTICS_VERSION,
+    solver: { converged, iterations },
+    household,
+    tanks: {},
+    valves: {},
+    devices: {},
+    pipelines: flows
+  };
+  tanks.forEach((tank) => {
+    const device = tank.deviceId ? findTelemetry(tank) : null;
+    const level = levels.get(tank.id);
+    analytics.tanks[tank.id] = { eta: tankEta(tank, level, valves, now), device, level };
+    if (device) analytics.devices[tank.id] = device;
+  });
+  valves.forEach((valve) => {
+    const device = findTelemetry(valve);
+    const node = household.valveTree[valve.id];
+    analytics.valves[valve.id] = {
+      device,
+      households: node.totalHouseholds,
+      servedHouseholds: node.servedHouseholds,
+      totalFlow: node.totalFlow
+    };
+    if (device) analytics.devices[valve.id] = device;
+  });
+  return analytics;
+}
+
+const asArray = (value) => (Array.isArray(value) ? value.filter((item) => item !== null && item !== undefined) : Object.values(value || {}));
+
+// A stored household node → arrays back, regions keyed by name and each main valve linked to
+// its tree node. Also used for the flow worker's results (js/flowWorker.js).
+export function readHousehold(household) {
+  const valveTree = {};
+  Object.entries(household.valveTree || {}).forEach(([id, treeNode]) => {
+    valveTree[id] = { ...treeNode, children: asArray(treeNode.children) };
+  });
+  const mainValve = (data) => ({ ...data, subValves: asArray(data.subValves), treeNode: valveTree[data.valve?.id] || null });
+  const regions = {};
+  Object.values(household.regions || {}).forEach((region) => {
+    regions[region.name] = { ...region, mainValves: asArray(region.mainValves).map(mainValve) };
+  });
+  return {
+    ...household,
+    stats: { ...(household.stats || {}), mainValves: asArray(household.stats?.mainValves).map(mainValve) },
+    regions,
+    valveTree,
+    supplies: asArray(household.supplies)
+  };
+}
+
+// The analytics node as stored → the shapes the client expects, with ETAs formatted in
+// local time
+export function readAnalytics(node, { now = Date.now(), maxAgeMs = ANALYTICS_MAX_AGE_MS } = {}) {
+  if (!node || typeof node !== 'object') return null;
+  if (Number.isFinite(node.generatedAt) && now - node.generatedAt > maxAgeMs) return null;
+  const analytics = { ...node, tanks: node.tanks || {}, valves: node.valves || {}, devices: node.devices || {} };
+  if (node.household) analytics.household = readHousehold(node.household);
+  if (node.pipelines) {
+    analytics.pipelines = {};
+    Object.entries(node.pipelines).forEach(([id, flow]) => {
+      analytics.pipelines[id] = { ...flow, segments: { ...(flow.segments || {}) } };
+    });
+  }
+  Object.values(analytics.tanks).forEach((tank) => {
+    const eta = tank?.eta;
+    if (!eta || eta.status === 'not_configured') return;
+    eta.valveDetails = asArray(eta.valveDetails).map((detail) => ({ ...detail, subValves: asArray(detail.subValves) }));
+    eta.currentETAFormatted = eta.currentETA ? new Date(eta.currentETA).toLocaleString() : 'N/A';
+    eta.potentialETAFormatted = eta.potentialETA ? new Date(eta.potentialETA).toLocaleString() : 'N/A';
+  });
+  return analytics;
+}
@@ -0,0 +1,164 @@
+import { Tank, Valve, Pipeline, Junction } from './models.js';
+import { computeAnalytics } from './analyticsEngine.js';
+import {
+  DEVICES_PATH, RECENT_READINGS, collectDeviceReadings, devicePath, latestDeviceTelemetry, listLegacyDevices, recentReadingsWith
+} from './deviceTelemetry.js';
+import { getAtPath, setAtPath } from './backends/paths.js';
+
+// ==================== ANALYTICS PUBLISHER ====================
+// Keeps analytics/ (js/analyticsEngine.js) up to date on any storage backend: recomputes when
+// the network or device telemetry changes, and on a timer so ETAs and data freshness move on
+// while nothing changes. Run headless with `node server/analyticsService.js`.
+// Only what the analytics read is loaded: the network collections and, per device, its latest
+// reading and the last RECENT_READINGS readings (js/deviceTelemetry.js). History, rollups,
+// audit and full reading logs are never downloaded.
+
+const DEFAULT_OPTIONS = {
+  intervalMs: 60000,   // recompute at least this often
+  debounceMs: 2000,    // wait for a burst of changes to settle
+  now: Date.now,
+  logger: console      // where progress and errors go: { log, error }
+};
+
+const NETWORK_MODELS = { tanks: Tank, valves: Valve, pipelines: Pipeline, junctions: Junction };
+
+// A root snapshot → the engine's input
+export function analyticsInput(root) {
+  const network = {};
+  Object.entries(NETWORK_MODELS).forEach(([collection, Model]) => {
+    network[collection] = Object.values(root?.[collection] || {}).filter(Boolean).map((item) => new Model(item));
+  });
+  return { network, telemetry: latestDeviceTelemetry(root), readingsByDevice: collectDeviceReadings(root) };
+}
+
+// What the analytics depend on; writes elsewhere (history, audit, analytics itself) leave it alone
+const inputSignature = (root) => JSON.stringify([
+  ...Object.keys(NETWORK_MODELS).map((collection) => root?.[collection] || null),
+  latestDeviceTelemetry(root)
+]);
+
+// The inputs as a partial root snapshot, read once
+export async function readInputs(backend) {
+  let root = {};
+  const collections = Object.keys(NETWORK_MODELS);
+  const values = await Promise.all(collections.map((collection) => backend.read(collection)));
+  collections.forEach((collection, i) => { root = setAtPath(root, collection, values[i]); });
+  const [deviceIds, legacy] = await Promise.all([backend.listKeys(DEVICES_PATH), listLegacyDevices(backend)]);
+  for (const deviceId of deviceIds) {
+    const [latest, readings] = await Promise.all([
+      backend.read(devicePath(deviceId, 'latest')),
+      backend.readRange(devicePath(deviceId, 'readings'), { last: true, limit: RECENT_READINGS })
+    ]);
+    root = setAtPath(root, devicePath(deviceId), { latest, readings });
+  }
+  for (const { path } of legacy) {
+    root = setAtPath(root, path, await backend.read(path));
+  }
+  return root;
+}
+
+export function createAnalyticsPublisher(backend, options = {}) {
+  const { intervalMs, debounceMs, now, logger } = { ...DEFAULT_OPTIONS, ...options };
+  // path → unsubscribe, for the collections and each device
+  const watches = new Map();
+  let interval = null;
+  let debounce = null;
+  // A partial root snapshot of the inputs, and the collections not delivered yet
+  let inputs = {};
+  let waitingFor = new Set();
+  let lastSignature = null;
+  let running = false;
+
+  const onError = (path) => (error) => logger.error(`❌ Analytics listener for ${path || '/'} failed:`, error);
+
+  const publish = async (root = waitingFor.size === 0 ? inputs : null) => {
+    if (running || !root) return null;
+    running = true;
+    try {
+      const { network, telemetry, readingsByDevice } = analyticsInput(root);
+      const analytics = computeAnalytics(network, { telemetry, readingsByDevice, now: now() });
+      await backend.write('analytics', analytics);
+      logger.log(`📊 Analytics published: ${network.tanks.length} tanks, ${network.valves.length} valves, ${network.pipelines.length} pipelines${analytics.solver.converged ? '' : ' (solver did not converge)'}`);
+      return analytics;
+    } catch (error) {
+      logger.error('❌ Analytics run failed:', error);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+
+  const setInput = (path, value) => {
+    inputs = setAtPath(inputs, path, value);
+    if (waitingFor.size > 0) return;
+    const signature = inputSignature(inputs);
+    if (signature === lastSignature) return;
+    lastSignature = signature;
+    clearTimeout(debounce);
+    debounce = setTimeout(() => publish(), debounceMs);
+  };
+
+  const watch = (path, onData) => {
+    if (!watches.has(path)) watches.set(path, backend.listen(path, onData, onError(path)));
+  };
+
+  // latest is listened to; the recent readings are read once and then extended by each latest
+  const watchDevice = (deviceId) => {
+    const latestPath = devicePath(deviceId, 'latest');
+    const readingsPath = devicePath(deviceId, 'readings');
+    if (watches.has(latestPath)) return;
+    const seeded = backend.readRange(readingsPath, { last: true, limit: RECENT_READINGS })
+      .catch((error) => {
+        logger.error(`❌ Could not read recent readings of ${deviceId}:`, error);
+        return {};
+      });
+    watch(latestPath, async (latest) => {
+      const recent = await seeded;
+      setInput(readingsPath, recentReadingsWith({ ...recent, ...(getAtPath(inputs, readingsPath) || {}) }, latest));
+      setInput(latestPath, latest);
+    });
+  };
+
+  // New devices are picked up at every timed run; legacy nodes only once they hold readings
+  const discoverDevices = async () => {
+    try {
+      const [deviceIds, legacy] = await Promise.all([
+        backend.listKeys(DEVICES_PATH),
+        listLegacyDevices(backend, ({ path }) => watches.has(path))
+      ]);
+      deviceIds.forEach(watchDevice);
+      legacy.forEach(({ path }) => watch(path, (value) => setInput(path, value)));
+    } catch (error) {
+      logger.error('❌ Could not list devices:', error);
+    }
+  };
+
+  return {
+    start() {
+      if (watches.size > 0) return;
+      waitingFor = new Set(Object.keys(NETWORK_MODELS));
+      Object.keys(NETWORK_MODELS).forEach((collection) => watch(collection, (value) => {
+        waitingFor.delete(collection);
+        setInput(collection, value);
+      }));
+      discoverDevices();
+      interval = setInterval(() => {
+        discoverDevices();
+        publish();
+      }, intervalMs);
+      logger.log(`📊 Publishing analytics on change and every ${Math.round(intervalMs / 1000)} s`);
+    },
+
+    stop() {
+      watches.forEach((unsubscribe) => unsubscribe());
+      watches.clear();
+      clearInterval(interval);
+      clearTimeout(debounce);
+    },
+
+    // One run against the current data (read now unless a root snapshot is given)
+    async runOnce(root = null) {
+      return publish(root || (await readInputs(backend)));
+    }
+  };
+}
@@ -0,0 +1,122 @@
+import { withHistory } from './history.js';
+
+// ==================== FIREBASE BACKEND ====================
+// Firebase Realtime Database through the modular web SDK. The SDK is loaded from the
+// gstatic CDN only when this backend is selected.
+
+const SDK_VERSION = '10.7.1';
+const SDK_BASE = `https://www.gstatic.com/firebasejs/${SDK_VERSION}`;
+
+export async function createFirebaseBackend(config) {
+  const [{ initializeApp }, { getDatabase, ref, set, get, update, onValue, query, orderByKey, orderByChild, equalTo, startAt, endAt, limitToFirst, limitToLast }] = await Promise.all([
+    import(`${SDK_BASE}/firebase-app.js`),
+    import(`${SDK_BASE}/firebase-database.js`)
+  ]);
+
+  const app = initializeApp(config);
+  const db = getDatabase(app);
+  const pathRef = (path) => (path ? ref(db, path) : ref(db));
+
+  // Firebase Auth is only loaded once something asks about accounts
+  let authModule = null;
+  const loadAuth = async () => {
+    if (!authModule) {
+      const sdk = await import(`${SDK_BASE}/firebase-auth.js`);
+      authModule = { sdk, auth: sdk.getAuth(app) };
+    }
+    return authModule;
+  };
+  const toUser = async (user) => {
+    const { claims } = await user.getIdTokenResult();
+    return { uid: user.uid, email: user.email, role: claims.role };
+  };
+
+  return withHistory({
+    name: 'firebase',
+
+    async read(path) {
+      const snapshot = await get(pathRef(path));
+      return snapshot.exists() ? snapshot.val() : null;
+    },
+
+    async readRange(path, { startKey = null, endKey = null, limit = null, last = false } = {}) {
+      const constraints = [orderByKey()];
+      if (startKey !== null) constraints.push(startAt(startKey));
+      if (endKey !== null) constraints.push(endAt(endKey));
+      if (limit) constraints.push(last ? limitToLast(limit) : limitToFirst(limit));
+      const snapshot = await get(query(pathRef(path), ...constraints));
+      const result = {};
+      snapshot.forEach((child) => {
+        result[child.key] = child.val();
+      });
+      return result;
+    },
+
+    // The SDK always downloads whole subtrees, so this uses the REST API's shallow query
+    async listKeys(path) {
+      const user = authModule?.auth.currentUser;
+      const params = new URLSearchParams({ shallow: 'true' });
+      if (user) params.set('auth', await user.getIdToken());
+      const response = await fetch(`${config.databaseURL.replace(/\/+$/, '')}/${path}.json?${params}`);
+      if (!response.ok) throw new Error(`Listing ${path || '/'} failed: ${response.status}`);
+      const value = await response.json();
+      return value && typeof value === 'object' ? Object.keys(value) : [];
+    },
+
+    async write(path, value) {
+      await set(pathRef(path), value);
+    },
+
+    async update(updates) {
+      await update(ref(db), updates);
+    },
+
+    async remove(path) {
+      await set(pathRef(path), null);
+    },
+
+    listen(path, callback, onError) {
+      return onValue(pathRef(path), (snapshot) => callback(snapshot.val()), onError);
+    },
+
+    // Needs ".indexOn" for the child in database.rules.json
+    listenWhere(path, { child, equalTo: value }, callback, onError) {
+      return onValue(query(pathRef(path), orderByChild(child), equalTo(value)), (snapshot) => callback(snapshot.val()), onError);
+    },
+
+    onConnectionChange(callback) {
+      return onValue(ref(db, '.info/connected'), (snapshot) => callback(snapshot.val() === true));
+    },
+
+    // Roles are set as custom claims with the Admin SDK: setCustomUserClaims(uid, { role })
+    auth: {
+      async isEnabled() {
+        return true;
+      },
+
+      async signIn(email, password) {
+        const { sdk, auth } = await loadAuth();
+        const credential = await sdk.signInWithEmailAndPassword(auth, email, password);
+        return toUser(credential.user);
+      },
+
+      async signOut() {
+        const { sdk, auth } = await loadAuth();
+        await sdk.signOut(auth);
+      },
+
+      onChange(callback) {
+        let unsubscribe = null;
+        let stopped = false;
+        loadAuth().then(({ sdk, auth }) => {
+          if (stopped) return;
+          unsubscribe = sdk.onAuthStateChanged(auth, async (user) => callback(user ? await toUser(user) : null));
+        });
+        return () => {
+          stopped = true;
+          if (unsubscribe) unsubscribe();
+        };
+      }
+    }
+  });
+}
@@ -0,0 +1,30 @@
+import { joinPath, selectRange } from './paths.js';
+
+// History lives at history/{deviceType}/{deviceId}/{key}. Backends get these operations from
+// their plain path operations unless they provide their own (e.g. server-side queries).
+// readRange without a server-side query reads the whole node and picks the range here.
+export function withHistory(backend) {
+  return {
+    historyPath(deviceType, deviceId, key = '') {
+      return joinPath('history', deviceType, deviceId, key);
+    },
+
+    async readHistory(deviceType, deviceId) {
+      return (await this.read(this.historyPath(deviceType, deviceId))) || {};
+    },
+
+    async writeHistory(deviceType, deviceId, key, entry) {
+      await this.write(this.historyPath(deviceType, deviceId, key), entry);
+    },
+
+    async readRange(path, range = {}) {
+      return selectRange(await this.read(path), range);
+    },
+
+    async readHistoryRange(deviceType, deviceId, range = {}) {
+      return (await this.readRange(this.historyPath(deviceType, deviceId), range)) || {};
+    },
+
+    ...backend
+  };
+}
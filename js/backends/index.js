@@ -0,0 +1,55 @@
+import { createMemoryBackend } from './memoryBackend.js';
+import { createRestBackend } from './restBackend.js';
+
+// ==================== STORAGE BACKENDS ====================
+// Every backend implements the same interface:
+//   read(path)                          → Promise<value | null>
+//   write(path, value)                  → Promise       (null removes)
+//   update({ 'a/b': value, ... })       → Promise       multi-path, applied atomically
+//   remove(path)                        → Promise
+//   listen(path, onData, onError?)      → unsubscribe()  fires with the current value, then on each change
+//   listenWhere(path, { child, equalTo }, onData, onError?) → unsubscribe()  listen to the children
+//                                         whose child field equals equalTo (null when none do)
+//   onConnectionChange(callback)        → unsubscribe()
+//   readRange(path, { startKey, endKey, limit, last }) → Promise<{ key: value }>  children by key
+//   listKeys(path)                      → Promise<[key]>  child keys without their values
+//   readHistory(deviceType, deviceId) / writeHistory(deviceType, deviceId, key, entry)
+//   readHistoryRange(deviceType, deviceId, range)
+// and optionally accounts (see js/services/authService.js):
+//   auth.isEnabled() / auth.signIn(email, password) → { uid, email, role } / auth.signOut()
+//   auth.onChange(callback)             → unsubscribe()  fires with the user or null
+//
+//   firebase  Firebase Realtime Database (default)
+//   local     REST + server-sent events, e.g. `node server/localServer.js` (JSON file on disk)
+//   memory    everything in the page, nothing persisted
+//
+// Chosen at startup with ?backend=local&backendUrl=http://host:port, or the same keys in
+// localStorage ('jal.backend', 'jal.backendUrl') to make the choice stick.
+
+export const BACKENDS = ['firebase', 'local', 'memory'];
+const STORAGE_KEY = 'jal.backend';
+const URL_STORAGE_KEY = 'jal.backendUrl';
+
+export function resolveBackendOptions(location = globalThis.location, storage = globalThis.localStorage) {
+  const params = new URLSearchParams(location?.search || '');
+  let stored = {};
+  try {
+    stored = { type: storage?.getItem(STORAGE_KEY), baseUrl: storage?.getItem(URL_STORAGE_KEY) };
+  } catch (error) {
+    console.warn('⚠️ Backend preference unavailable:', error);
+  }
+  const type = params.get('backend') || stored.type || 'firebase';
+  return {
+    type: BACKENDS.includes(type) ? type : 'firebase',
+    baseUrl: params.get('backendUrl') || stored.baseUrl || location?.origin || ''
+  };
+}
+
+export async function createBackend({ type = 'firebase', baseUrl = '', seed, firebaseConfig } = {}) {
+  if (type === 'memory') return createMemoryBackend({ seed });
+  if (type === 'local') return createRestBackend({ baseUrl });
+
+  const { createFirebaseBackend } = await import('./firebaseBackend.js');
+  const config = firebaseConfig || (await import('../firebaseConfig.js')).firebaseConfig;
+  return createFirebaseBackend(config);
+}
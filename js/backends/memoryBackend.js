@@ -0,0 +1,94 @@
+import { clone, getAtPath, setAtPath, pathsOverlap, selectWhere } from './paths.js';
+import { withHistory } from './history.js';
+
+// ==================== IN-MEMORY BACKEND ====================
+// Keeps the whole database in a plain object. Listeners behave like Firebase onValue:
+// they fire once with the current value and again only when the value at their path changes.
+// Useful for running the app without a server and for exercising the services in Node.
+
+export function createMemoryBackend({ seed = {} } = {}) {
+  let root = clone(seed) || {};
+  const listeners = new Set();
+  const connectionCallbacks = new Set();
+
+  const deliver = (listener) => {
+    const value = listener.select ? listener.select(getAtPath(root, listener.path)) : getAtPath(root, listener.path);
+    const serialized = JSON.stringify(value);
+    if (listener.delivered && serialized === listener.last) return;
+    listener.delivered = true;
+    listener.last = serialized;
+    listener.callback(clone(value));
+  };
+
+  const notify = (paths) => {
+    listeners.forEach((listener) => {
+      if (paths.some((path) => pathsOverlap(path, listener.path))) {
+        queueMicrotask(() => {
+          if (listeners.has(listener)) deliver(listener);
+        });
+      }
+    });
+  };
+
+  // select narrows what the listener sees (listenWhere)
+  const watch = (path, callback, select = null) => {
+    const listener = { path, callback, select, delivered: false, last: null };
+    listeners.add(listener);
+    queueMicrotask(() => {
+      if (listeners.has(listener)) deliver(listener);
+    });
+    return () => listeners.delete(listener);
+  };
+
+  return withHistory({
+    name: 'memory',
+
+    async read(path) {
+      return clone(getAtPath(root, path));
+    },
+
+    async listKeys(path) {
+      const value = getAtPath(root, path);
+      return value && typeof value === 'object' ? Object.keys(value) : [];
+    },
+
+    async write(path, value) {
+      root = setAtPath(root, path, clone(value));
+      notify([path]);
+    },
+
+    async update(updates) {
+      Object.entries(updates).forEach(([path, value]) => {
+        root = setAtPath(root, path, clone(value));
+      });
+      notify(Object.keys(updates));
+    },
+
+    async remove(path) {
+      root = setAtPath(root, path, null);
+      notify([path]);
+    },
+
+    listen(path, callback) {
+      return watch(path, callback);
+    },
+
+    listenWhere(path, { child, equalTo }, callback) {
+      return watch(path, callback, (value) => {
+        const selected = selectWhere(value, child, equalTo);
+        return Object.keys(selected).length > 0 ? selected : null;
+      });
+    },
+
+    onConnectionChange(callback) {
+      connectionCallbacks.add(callback);
+      queueMicrotask(() => callback(true));
+      return () => connectionCallbacks.delete(callback);
+    },
+
+    // Whole database, e.g. for saving a local session to disk
+    snapshot() {
+      return clone(root);
+    }
+  });
+}
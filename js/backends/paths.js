@@ -0,0 +1,89 @@
+// ==================== PATH HELPERS ====================
+// Shared by the storage backends: database paths are slash-separated ('tanks/T1/nodeId'),
+// the empty path is the root, and null removes a value (empty parents disappear with it).
+
+export function splitPath(path) {
+  return String(path || '')
+    .split('/')
+    .filter((part) => part.length > 0);
+}
+
+export function joinPath(...parts) {
+  return parts.flatMap((part) => splitPath(part)).join('/');
+}
+
+export function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+export function getAtPath(root, path) {
+  let node = root;
+  for (const part of splitPath(path)) {
+    if (node === null || typeof node !== 'object') return null;
+    node = node[part];
+  }
+  return node === undefined ? null : node;
+}
+
+function isEmptyObject(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+// Mutates root; returns the (possibly replaced) root so callers can write at ''
+export function setAtPath(root, path, value) {
+  const parts = splitPath(path);
+  const removing = value === null || value === undefined || isEmptyObject(value);
+  if (parts.length === 0) return removing ? {} : value;
+
+  const trail = [];
+  let node = root && typeof root === 'object' ? root : {};
+  const top = node;
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (!node[parts[i]] || typeof node[parts[i]] !== 'object') {
+      if (removing) return top;
+      node[parts[i]] = {};
+    }
+    trail.push([node, parts[i]]);
+    node = node[parts[i]];
+  }
+
+  const key = parts[parts.length - 1];
+  if (removing) {
+    delete node[key];
+    for (let i = trail.length - 1; i >= 0; i--) {
+      const [parent, childKey] = trail[i];
+      if (isEmptyObject(parent[childKey])) delete parent[childKey];
+    }
+  } else {
+    node[key] = value;
+  }
+  return top;
+}
+
+// True when a change at one path can alter the value seen at the other
+export function pathsOverlap(a, b) {
+  const pa = splitPath(a);
+  const pb = splitPath(b);
+  const length = Math.min(pa.length, pb.length);
+  for (let i = 0; i < length; i++) {
+    if (pa[i] !== pb[i]) return false;
+  }
+  return true;
+}
+
+// Children whose child field equals value, as orderByChild + equalTo
+export function selectWhere(value, child, equalTo) {
+  if (!value || typeof value !== 'object') return {};
+  return Object.fromEntries(Object.entries(value).filter(([, item]) => getAtPath(item, child) === equalTo));
+}
+
+// Children of an object between two keys (inclusive), in key order, like a Firebase
+// orderByKey() query: { startKey, endKey, limit, last } where last keeps the final `limit`
+export function selectRange(value, { startKey = null, endKey = null, limit = null, last = false } = {}) {
+  if (!value || typeof value !== 'object') return {};
+  let keys = Object.keys(value)
+    .filter((key) => (startKey === null || key >= startKey) && (endKey === null || key <= endKey))
+    .sort();
+  if (limit) keys = last ? keys.slice(-limit) : keys.slice(0, limit);
+  return Object.fromEntries(keys.map((key) => [key, value[key]]));
+}
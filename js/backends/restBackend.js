@@ -0,0 +1,262 @@
+import { clone, getAtPath, setAtPath, splitPath } from './paths.js';
+import { withHistory } from './history.js';
+
+// ==================== REST BACKEND ====================
+// Speaks the Firebase Realtime Database REST protocol: GET/PUT/PATCH/DELETE on {path}.json
+// and server-sent events ('put' / 'patch') for listeners. Works against server/localServer.js
+// (JSON file on disk) or any Firebase-compatible endpoint. Streams are read with fetch so the
+// same code runs in the browser and in Node.
+
+const RECONNECT_DELAY_MS = 3000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+const SESSION_KEY = 'jal.authSession';
+
+function loadSession(storage) {
+  try {
+    const session = JSON.parse(storage?.getItem(SESSION_KEY) || 'null');
+    return session && session.token && session.expiresAt > Date.now() ? session : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function storeSession(storage, session) {
+  try {
+    if (session) storage?.setItem(SESSION_KEY, JSON.stringify(session));
+    else storage?.removeItem(SESSION_KEY);
+  } catch (error) {
+    console.warn('⚠️ Could not keep the sign-in session:', error);
+  }
+}
+
+function parseEventBlock(block) {
+  let event = 'message';
+  const data = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  });
+  return { event, data: data.join('\n') };
+}
+
+// authToken is a fixed token (e.g. for scripts); in the browser the token comes from signing
+// in against the server's /.auth endpoints and is kept in localStorage until it expires.
+export function createRestBackend({ baseUrl = '', authToken = null, storage = globalThis.localStorage } = {}) {
+  const root = String(baseUrl).replace(/\/+$/, '');
+  const connectionCallbacks = new Set();
+  const authCallbacks = new Set();
+  let connected = false;
+  let openStreams = 0;
+  let session = authToken ? null : loadSession(storage);
+
+  const token = () => authToken || session?.token || null;
+
+  const url = (path, params = {}) => {
+    const query = new URLSearchParams(params);
+    if (token()) query.set('auth', token());
+    const search = query.toString();
+    return `${root}/${splitPath(path).map(encodeURIComponent).join('/')}.json${search ? `?${search}` : ''}`;
+  };
+
+  const setSession = (value) => {
+    session = value;
+    storeSession(storage, value);
+    authCallbacks.forEach((callback) => callback(session ? session.user : null));
+  };
+
+  const authRequest = async (action, body) => {
+    const query = token() ? `?auth=${encodeURIComponent(token())}` : '';
+    const response = await fetch(`${root}/.auth/${action}${query}`, {
+      method: body === undefined ? 'GET' : 'POST',
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => null);
+    if (!response.ok) throw Object.assign(new Error(result?.error || `Sign-in request failed: ${response.status}`), { status: response.status });
+    return result;
+  };
+
+  const setConnected = (value) => {
+    if (value === connected) return;
+    connected = value;
+    connectionCallbacks.forEach((callback) => callback(connected));
+  };
+
+  const request = async (method, path, body, params) => {
+    let response;
+    try {
+      response = await fetch(url(path, params), {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      setConnected(false);
+      throw error;
+    }
+    if (openStreams === 0) setConnected(true);
+    // The server forgot the session (expired or restarted): back to signed out
+    if (response.status === 401 && session) setSession(null);
+    if (!response.ok) throw Object.assign(new Error(`${method} ${path || '/'} failed: ${response.status} ${response.statusText}`), { status: response.status });
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  };
+
+  // An event stream of path, narrowed by query parameters
+  const stream = (path, params, callback, onError) => {
+    const controller = new AbortController();
+    let value = null;
+    let delay = RECONNECT_DELAY_MS;
+
+    const handleEvent = ({ event, data }) => {
+      if (event === 'keep-alive') return;
+      if (event === 'cancel' || event === 'auth_revoked') {
+        controller.abort();
+        if (onError) onError(new Error(`Stream ${event} for ${path || '/'}`));
+        return;
+      }
+      if (event !== 'put' && event !== 'patch') return;
+      const payload = JSON.parse(data);
+      if (event === 'put') {
+        value = setAtPath(value, payload.path, payload.data);
+      } else {
+        Object.entries(payload.data || {}).forEach(([key, child]) => {
+          value = setAtPath(value, `${payload.path}/${key}`, child);
+        });
+      }
+      const current = getAtPath(value, '');
+      callback(current === null || (typeof current === 'object' && Object.keys(current).length === 0) ? null : clone(current));
+    };
+
+    const connect = async () => {
+      while (!controller.signal.aborted) {
+        let streaming = false;
+        try {
+          const response = await fetch(url(path, params), {
+            headers: { Accept: 'text/event-stream' },
+            signal: controller.signal
+          });
+          if (!response.ok) throw new Error(`Stream ${path || '/'} failed: ${response.status}`);
+          openStreams++;
+          streaming = true;
+          setConnected(true);
+          delay = RECONNECT_DELAY_MS;
+
+          const reader = response.body.getReader();
+          const decoder = new TextDecoder();
+          let buffer = '';
+          for (;;) {
+            const { done, value: chunk } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+              handleEvent(parseEventBlock(buffer.slice(0, boundary)));
+              buffer = buffer.slice(boundary + 2);
+            }
+          }
+        } catch (error) {
+          if (controller.signal.aborted) break;
+          console.warn(`⚠️ Stream ${path || '/'} interrupted:`, error.message);
+        } finally {
+          if (streaming) {
+            openStreams--;
+            if (openStreams === 0) setConnected(false);
+          }
+        }
+        if (controller.signal.aborted) break;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, MAX_RECONNECT_DELAY_MS);
+      }
+    };
+
+    connect();
+    return () => controller.abort();
+  };
+
+  return withHistory({
+    name: 'rest',
+
+    async read(path) {
+      return request('GET', path);
+    },
+
+    // Firebase REST query parameters; values are JSON
+    async readRange(path, { startKey = null, endKey = null, limit = null, last = false } = {}) {
+      const params = { orderBy: '"$key"' };
+      if (startKey !== null) params.startAt = JSON.stringify(startKey);
+      if (endKey !== null) params.endAt = JSON.stringify(endKey);
+      if (limit) params[last ? 'limitToLast' : 'limitToFirst'] = String(limit);
+      return (await request('GET', path, undefined, params)) || {};
+    },
+
+    async listKeys(path) {
+      const value = await request('GET', path, undefined, { shallow: 'true' });
+      return value && typeof value === 'object' ? Object.keys(value) : [];
+    },
+
+    async write(path, value) {
+      await request('PUT', path, value);
+    },
+
+    async update(updates) {
+      await request('PATCH', '', updates);
+    },
+
+    async remove(path) {
+      await request('DELETE', path);
+    },
+
+    listen(path, callback, onError) {
+      return stream(path, {}, callback, onError);
+    },
+
+    listenWhere(path, { child, equalTo }, callback, onError) {
+      return stream(path, { orderBy: JSON.stringify(child), equalTo: JSON.stringify(equalTo) }, callback, onError);
+    },
+
+    onConnectionChange(callback) {
+      connectionCallbacks.add(callback);
+      callback(connected);
+      return () => connectionCallbacks.delete(callback);
+    },
+
+    auth: {
+      // Accounts are on when the server has a users file with anyone in it. Offline, a kept
+      // session is the best guess.
+      async isEnabled() {
+        try {
+          return (await authRequest('config')).enabled === true;
+        } catch (error) {
+          return !!session;
+        }
+      },
+
+      async signIn(email, password) {
+        const result = await authRequest('signIn', { email, password });
+        setSession(result);
+        return result.user;
+      },
+
+      async signOut() {
+        try {
+          await authRequest('signOut', {});
+        } finally {
+          setSession(null);
+        }
+      },
+
+      onChange(callback) {
+        authCallbacks.add(callback);
+        callback(session ? session.user : null);
+        // A kept session may have been dropped by a server restart
+        if (session) {
+          authRequest('session').catch((error) => {
+            if (error.status === 401) setSession(null);
+          });
+        }
+        return () => authCallbacks.delete(callback);
+      }
+    }
+  });
+}
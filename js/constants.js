@@ -4,4 +4,8 @@ export const CONNECT_THRESH = 18;
 export const CLICK_DETECT_RADIUS = 15;
 export const DATA_COLLECTION_INTERVAL = 5 * 60 * 1000;
 export const DRAW_THROTTLE = 16;
+export const SIMPLIFY_TOLERANCE_PX = 1;
+export const VIEW_PADDING_PX = 64;
 
+// Root-level database nodes that are app data, not device telemetry
+export const NON_DEVICE_PATHS = ['tanks', 'valves', 'pipelines', 'junctions', 'devices', 'analytics', 'ultrasonic', 'history', 'alerts', 'alertRules', 'audit', 'valveReports', 'historyRollups'];
@@ -0,0 +1,162 @@
+// ==================== DEVICE HEALTH ====================
+// Per-device diagnostics from the raw readings each sensor has pushed. The limits mirror
+// the firmware in espcode.ino: one reading every SEND_INTERVAL (2 min), distances
+// accepted between MIN_DISTANCE and MAX_DISTANCE (30-4500 mm).
+//
+// The ESP timestamp is millis() since boot, so intervals are only measured between
+// readings of the same boot; a timestamp that goes backwards marks a reboot.
+
+export const EXPECTED_INTERVAL_MS = 120000;
+export const MIN_DISTANCE_MM = 30;
+export const MAX_DISTANCE_MM = 4500;
+// An interval longer than this many expected intervals counts as a gap
+export const GAP_FACTOR = 1.5;
+// This many identical readings in a row (about 20 minutes) means the sensor is stuck
+export const STUCK_RUN = 10;
+// Silent for longer than this many expected intervals counts as offline
+export const OFFLINE_FACTOR = 5;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const readingDistance = (reading) => {
+  const value = Number(reading.distance ?? reading.distance_meters ?? reading.distanceMeters);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Push keys sort in the order the server received them, which survives reboots;
+// millis() timestamps do not
+function chronological(readings) {
+  const byKey = readings.every((reading) => reading.pushKey);
+  return [...readings].sort((a, b) => (byKey
+    ? (a.pushKey < b.pushKey ? -1 : a.pushKey > b.pushKey ? 1 : 0)
+    : (a.timestamp || 0) - (b.timestamp || 0)));
+}
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined || !Number.isFinite(ms)) return '—';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return seconds % 60 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// readings: as returned by FirebaseService.extractAllReadings
+// lastSeenAt: wall-clock time the newest reading is known to have arrived, if any
+export function assessDevice(id, readings, { lastSeenAt = null, now = Date.now() } = {}) {
+  const ordered = chronological(readings);
+  const distances = ordered.map(readingDistance);
+  const valid = distances.filter((value) => value !== null);
+
+  const intervals = [];
+  const gaps = [];
+  let reboots = 0;
+  for (let i = 1; i < ordered.length; i++) {
+    const previous = Number(ordered[i - 1].timestamp);
+    const current = Number(ordered[i].timestamp);
+    if (!Number.isFinite(previous) || !Number.isFinite(current)) continue;
+    if (current < previous) {
+      reboots++;
+      continue;
+    }
+    const interval = current - previous;
+    intervals.push(interval);
+    if (interval > EXPECTED_INTERVAL_MS * GAP_FACTOR) gaps.push({ index: i, ms: interval });
+  }
+
+  // Longest run of identical readings; current when it runs up to the latest reading
+  let stuck = null;
+  let runStart = 0;
+  for (let i = 1; i <= distances.length; i++) {
+    if (i < distances.length && distances[i] !== null && distances[i] === distances[runStart]) continue;
+    const count = i - runStart;
+    if (count >= STUCK_RUN && (!stuck || count >= stuck.count)) {
+      stuck = { value: distances[runStart], count, current: i === distances.length };
+    }
+    runStart = i;
+  }
+
+  const outOfRange = valid.filter((value) => value * 1000 < MIN_DISTANCE_MM || value * 1000 > MAX_DISTANCE_MM);
+  const latest = ordered[ordered.length - 1] || null;
+  const latestDistance = latest ? readingDistance(latest) : null;
+  const latestOutOfRange = latestDistance !== null &&
+    (latestDistance * 1000 < MIN_DISTANCE_MM || latestDistance * 1000 > MAX_DISTANCE_MM);
+
+  const mean = valid.length > 0 ? valid.reduce((sum, value) => sum + value, 0) / valid.length : null;
+  const variance = valid.length > 1 ? valid.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (valid.length - 1) : null;
+  const medianInterval = median(intervals);
+  const silentMs = lastSeenAt ? now - lastSeenAt : null;
+
+  const issues = [];
+  if (ordered.length === 0) issues.push('No readings');
+  if (silentMs !== null && silentMs > EXPECTED_INTERVAL_MS * OFFLINE_FACTOR) issues.push(`Silent for ${formatDuration(silentMs)}`);
+  if (medianInterval !== null && medianInterval > EXPECTED_INTERVAL_MS * GAP_FACTOR) {
+    issues.push(`Reports every ${formatDuration(medianInterval)} instead of ${formatDuration(EXPECTED_INTERVAL_MS)}`);
+  }
+  if (gaps.length > 0) issues.push(`${gaps.length} gap(s) in reporting`);
+  if (stuck) issues.push(`${stuck.current ? 'Stuck' : 'Was stuck'} at ${stuck.value} m for ${stuck.count} readings`);
+  if (outOfRange.length > 0) issues.push(`${outOfRange.length} reading(s) outside ${MIN_DISTANCE_MM}-${MAX_DISTANCE_MM} mm`);
+  if (reboots > 0) issues.push(`${reboots} reboot(s)`);
+
+  let status = 'ok';
+  if (ordered.length === 0) status = 'no-data';
+  else if (silentMs !== null && silentMs > EXPECTED_INTERVAL_MS * OFFLINE_FACTOR) status = 'offline';
+  else if (stuck?.current || latestOutOfRange || gaps.length > 0 || outOfRange.length > 0) status = 'warning';
+
+  return {
+    id,
+    status,
+    issues,
+    readingCount: ordered.length,
+    latest,
+    latestDistance,
+    latestOutOfRange,
+    lastSeenAt,
+    silentMs,
+    expectedIntervalMs: EXPECTED_INTERVAL_MS,
+    medianIntervalMs: medianInterval,
+    meanIntervalMs: intervals.length > 0 ? intervals.reduce((sum, value) => sum + value, 0) / intervals.length : null,
+    gaps,
+    longestGapMs: gaps.length > 0 ? Math.max(...gaps.map((gap) => gap.ms)) : null,
+    reboots,
+    meanDistance: mean,
+    stdDevMm: variance !== null ? Math.sqrt(variance) * 1000 : null,
+    stuck,
+    outOfRangeCount: outOfRange.length
+  };
+}
+
+// readingsByDevice: { DEVICE_001: [readings] }   lastSeen: { DEVICE_001: epoch ms }
+// Device ids are matched to tank.deviceId without regard to case, as elsewhere in the app.
+export function buildDeviceRegistry(readingsByDevice, tanks, { lastSeen = {}, now = Date.now() } = {}) {
+  const tanksByDevice = new Map();
+  tanks.forEach((tank) => {
+    if (!tank.deviceId) return;
+    const key = String(tank.deviceId).toUpperCase();
+    if (!tanksByDevice.has(key)) tanksByDevice.set(key, []);
+    tanksByDevice.get(key).push(tank);
+  });
+
+  const devices = Object.entries(readingsByDevice).map(([id, readings]) => {
+    const key = id.toUpperCase();
+    const health = assessDevice(id, readings, { lastSeenAt: lastSeen[key] ?? null, now });
+    const boundTanks = tanksByDevice.get(key) || [];
+    if (boundTanks.length > 1) health.issues.push(`Bound to ${boundTanks.length} tanks`);
+    return { ...health, boundTanks };
+  }).sort((a, b) => a.id.localeCompare(b.id));
+
+  const known = new Set(devices.map((device) => device.id.toUpperCase()));
+  const missing = tanks.filter((tank) => tank.deviceId && !known.has(String(tank.deviceId).toUpperCase()));
+  return {
+    devices,
+    unbound: devices.filter((device) => device.boundTanks.length === 0),
+    missing
+  };
+}
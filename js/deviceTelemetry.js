@@ -0,0 +1,206 @@
+import { NON_DEVICE_PATHS } from './constants.js';
+
+// ==================== DEVICE TELEMETRY ====================
+// Field devices write under devices/{deviceId}:
+//   latest              the newest reading, with its pushKey; the only part the page listens to
+//   readings/{pushKey}  every reading, appended (POST)
+//   meta                about the device (e.g. where its data was migrated from)
+// Older firmware wrote to the database root instead, DEVICE_001/{pushKey: {distance, timestamp}}
+// or a single flat reading, and to /ultrasonic/{deviceId}. Those are still read, merged into
+// the same shape, until server/migrateDevices.js has moved them. Everything here reads
+// snapshots the same way in the browser and in Node.
+
+export const DEVICES_PATH = 'devices';
+// How many readings per device the page keeps at hand (filters, health, history sync)
+export const RECENT_READINGS = 120;
+
+export const devicePath = (deviceId, part = '') => [DEVICES_PATH, deviceId, part].filter(Boolean).join('/');
+
+const isReading = (node) => node && typeof node === 'object' &&
+  (node.distance !== undefined || node.timestamp !== undefined);
+
+// devices/{id} as stored, rather than a legacy node
+const isDeviceEntry = (node) => node && typeof node === 'object' && !isReading(node) &&
+  ('latest' in node || 'readings' in node || 'meta' in node);
+
+const asReading = (node, pushKey) => ({
+  distance: node.distance,
+  distance_meters: node.distance,
+  timestamp: node.timestamp,
+  ...(pushKey === undefined ? {} : { pushKey }),
+  ...node
+});
+
+// Any device node, new or legacy → { latest, readings: { pushKey: reading }, meta }
+export function toDeviceEntry(node) {
+  if (!node || typeof node !== 'object') return { latest: null, readings: {}, meta: null };
+  if (isDeviceEntry(node)) return { latest: node.latest || null, readings: node.readings || {}, meta: node.meta || null };
+  if (isReading(node)) return { latest: node, readings: {}, meta: null };
+  const readings = {};
+  Object.keys(node).forEach((key) => {
+    if (isReading(node[key])) readings[key] = node[key];
+  });
+  return { latest: null, readings, meta: null };
+}
+
+// Whether a node, new or legacy, holds any reading; other root nodes (settings and the
+// like) are not devices
+export function holdsReadings(node) {
+  const { latest, readings } = toDeviceEntry(node);
+  return isReading(latest) || Object.values(readings).some(isReading);
+}
+
+// The same device in two places (legacy and new during the transition): all readings, and
+// the newer layout's latest and meta
+function mergeDeviceEntries(older, newer) {
+  if (!older) return newer;
+  return {
+    latest: newer.latest || older.latest,
+    readings: { ...older.readings, ...newer.readings },
+    meta: newer.meta || older.meta
+  };
+}
+
+// latest is a copy of a reading that may also be in readings
+const sameReading = (reading, latest) => (latest.pushKey
+  ? reading.pushKey === latest.pushKey
+  : reading.timestamp === latest.timestamp && reading.distance === latest.distance);
+
+// Every reading in a device node, newest first
+export function extractAllReadings(deviceNode) {
+  const { latest, readings } = toDeviceEntry(deviceNode);
+  const all = Object.keys(readings)
+    .filter((key) => isReading(readings[key]))
+    .map((key) => asReading(readings[key], key));
+  if (isReading(latest) && !all.some((reading) => sameReading(reading, latest))) all.push(asReading(latest, latest.pushKey));
+  return all.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+}
+
+// The newest reading in a device node: its latest, else the highest push key. Push keys sort
+// in arrival order; millis() timestamps restart at every reboot, so the highest one is not
+// the newest
+export function extractLatestReading(deviceNode) {
+  const { latest, readings } = toDeviceEntry(deviceNode);
+  if (isReading(latest)) return asReading(latest, latest.pushKey);
+  let latestKey = null;
+  Object.keys(readings).forEach((key) => {
+    if (isReading(readings[key]) && (latestKey === null || key > latestKey)) latestKey = key;
+  });
+  return latestKey === null ? null : asReading(readings[latestKey], latestKey);
+}
+
+// Where legacy device data sits in a root snapshot: [{ deviceId, path }]
+export function legacyDeviceSources(rawData) {
+  const sources = [];
+  if (!rawData || typeof rawData !== 'object') return sources;
+  Object.keys(rawData).forEach((key) => {
+    if (!NON_DEVICE_PATHS.includes(key) && rawData[key] && typeof rawData[key] === 'object') sources.push({ deviceId: key, path: key });
+  });
+  Object.keys(rawData.ultrasonic || {}).forEach((deviceId) => sources.push({ deviceId, path: `ultrasonic/${deviceId}` }));
+  return sources;
+}
+
+// The same, listed from a backend without reading the nodes (js/backends/index.js listKeys)
+export async function listLegacyDeviceSources(backend) {
+  const [rootKeys, ultrasonicIds] = await Promise.all([backend.listKeys(''), backend.listKeys('ultrasonic')]);
+  return [
+    ...rootKeys.filter((key) => !NON_DEVICE_PATHS.includes(key)).map((key) => ({ deviceId: key, path: key })),
+    ...ultrasonicIds.map((deviceId) => ({ deviceId, path: `ultrasonic/${deviceId}` }))
+  ];
+}
+
+// Whether a legacy node holds readings, told from its keys and at most its newest child
+// rather than by downloading it: a flat reading, or readings under push keys
+export async function isLegacyDeviceNode(backend, path) {
+  const keys = await backend.listKeys(path);
+  if (keys.length === 0) return false;
+  if (keys.includes('distance') || keys.includes('timestamp')) return true;
+  const newest = await backend.readRange(path, { last: true, limit: 1 });
+  return Object.values(newest || {}).some(isReading);
+}
+
+// listLegacyDeviceSources narrowed to the nodes that hold readings; skip(source) leaves out
+// those already known, without checking them again
+export async function listLegacyDevices(backend, skip = () => false) {
+  const sources = (await listLegacyDeviceSources(backend)).filter((source) => !skip(source));
+  const devices = await Promise.all(sources.map(({ path }) => isLegacyDeviceNode(backend, path)));
+  return sources.filter((source, i) => devices[i]);
+}
+
+// Device entries in a root snapshot by device id: devices/ merged with any legacy nodes,
+// of the nodes that hold readings
+export function deviceNodes(rawData) {
+  const nodes = {};
+  if (!rawData || typeof rawData !== 'object') return nodes;
+  const add = (deviceId, node) => {
+    if (!holdsReadings(node)) return;
+    nodes[deviceId] = mergeDeviceEntries(nodes[deviceId], toDeviceEntry(node));
+  };
+  legacyDeviceSources(rawData).forEach(({ deviceId, path }) => add(deviceId, path.split('/').reduce((node, key) => node?.[key], rawData)));
+  Object.entries(rawData[DEVICES_PATH] || {}).forEach(([deviceId, node]) => add(deviceId, node));
+  return nodes;
+}
+
+// Every reading per device, newest first
+export function collectDeviceReadings(rawData) {
+  const readingsByDevice = {};
+  Object.entries(deviceNodes(rawData)).forEach(([deviceId, deviceNode]) => {
+    const readings = extractAllReadings(deviceNode);
+    if (readings.length > 0) readingsByDevice[deviceId] = readings;
+  });
+  return readingsByDevice;
+}
+
+// Latest telemetry per device: { [deviceId]: { id, ...reading } }
+export function latestDeviceTelemetry(rawData) {
+  const telemetry = {};
+  Object.entries(deviceNodes(rawData)).forEach(([deviceId, deviceNode]) => {
+    const reading = extractLatestReading(deviceNode);
+    if (reading) telemetry[deviceId] = { id: deviceId, ...reading };
+  });
+  return telemetry;
+}
+
+// Recent readings ({ pushKey: reading }) extended by a new latest and cut back to the newest
+// RECENT_READINGS, so they stay current without listening to readings/
+export function recentReadingsWith(readings, latest) {
+  if (!latest?.pushKey) return readings || {};
+  const { pushKey, ...reading } = latest;
+  const recent = { ...(readings || {}), [pushKey]: reading };
+  const keys = Object.keys(recent).sort();
+  keys.slice(0, Math.max(0, keys.length - RECENT_READINGS)).forEach((key) => delete recent[key]);
+  return recent;
+}
+
+// Multi-path update storing one new reading: appended under its push key and copied to latest
+export function ingestUpdates(deviceId, pushKey, reading) {
+  return {
+    [devicePath(deviceId, `readings/${pushKey}`)]: reading,
+    [devicePath(deviceId, 'latest')]: { ...reading, pushKey }
+  };
+}
+
+// Multi-path update moving one device's legacy nodes ([{ path, node }]) into devices/{id}.
+// Readings keep their push keys; a flat legacy reading becomes latest unless the device
+// already reports one (then it is kept in meta). The legacy nodes are removed unless
+// keepLegacy is set. Nodes without readings are left alone; with none, the update is empty.
+export function migrationUpdates(deviceId, candidates, { existing = null, now = Date.now(), keepLegacy = false } = {}) {
+  const updates = {};
+  const sources = candidates.filter(({ node }) => holdsReadings(node));
+  if (sources.length === 0) return updates;
+  const legacy = sources.reduce((entry, { node }) => mergeDeviceEntries(entry, toDeviceEntry(node)), null) || toDeviceEntry(null);
+  Object.entries(legacy.readings).forEach(([pushKey, reading]) => {
+    updates[devicePath(deviceId, `readings/${pushKey}`)] = reading;
+  });
+  if (!existing?.latest) {
+    const newestKey = Object.keys(legacy.readings).sort().pop();
+    const latest = legacy.latest || (newestKey ? { ...legacy.readings[newestKey], pushKey: newestKey } : null);
+    if (latest) updates[devicePath(deviceId, 'latest')] = latest;
+  } else if (legacy.latest) {
+    updates[devicePath(deviceId, 'meta/legacyLatest')] = legacy.latest;
+  }
+  updates[devicePath(deviceId, 'meta/migratedFrom')] = sources.map(({ path }) => path);
+  updates[devicePath(deviceId, 'meta/migratedAt')] = now;
+  if (!keepLegacy) sources.forEach(({ path }) => { updates[path] = null; });
+  return updates;
+}
@@ -0,0 +1,9 @@
+import { createFlowJobs } from './networkModel.js';
+
+// ==================== FLOW WORKER ====================
+// Hydraulics and household supply off the main thread. Started by js/services/flowService.js;
+// the messages are described in js/networkModel.js.
+
+const onMessage = createFlowJobs((message) => self.postMessage(message), { clock: () => performance.now() });
+
+self.onmessage = ({ data }) => onMessage(data);
@@ -0,0 +1,326 @@
+import { HAZEN_WILLIAMS_C, DEFAULT_HAZEN_WILLIAMS_C, haversineMeters, roughnessForMaterial } from '../hydraulics.js';
+import { NetworkTopology, edgeId, projectOntoSegment } from '../topology.js';
+
+// ==================== EPANET INP ====================
+// Import: junctions/reservoirs/tanks become Junction records (tanks and reservoirs also a
+// Tank on that junction), pipes become Pipelines between their end junctions, and a valve
+// link becomes a short Pipeline with a Valve on it. [COORDINATES] must be longitude/latitude.
+// Export: pipelines are split into EPANET pipes at every shared node and at every valve;
+// each valve becomes a TCV link between two coincident nodes, carrying the valve's flow
+// rate as demand on its downstream node. Units are LPS with Hazen-Williams head loss.
+
+const US_UNITS = ['CFS', 'GPM', 'MGD', 'IMGD', 'AFD'];
+const FEET_TO_M = 0.3048;
+const INCH_TO_MM = 25.4;
+// Flow unit → L/min
+const FLOW_TO_LPM = {
+  LPS: 60,
+  LPM: 1,
+  MLD: 1e6 / 1440,
+  CMH: 1000 / 60,
+  CMD: 1000 / 1440,
+  CFS: 28.3168 * 60,
+  GPM: 3.78541,
+  MGD: 3785411.8 / 1440,
+  IMGD: 4546090 / 1440,
+  AFD: 1233481.8 / 1440
+};
+// Reservoirs have a fixed head but no volume; they come in as full ground tanks this deep
+const RESERVOIR_DEPTH_M = 5;
+const MIN_PIPE_LENGTH_M = 0.1;
+const MAX_ID_LENGTH = 31;
+
+function parseSections(text) {
+  const sections = {};
+  let current = null;
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const commentAt = rawLine.indexOf(';');
+    const line = (commentAt === -1 ? rawLine : rawLine.slice(0, commentAt)).trim();
+    const comment = commentAt === -1 ? '' : rawLine.slice(commentAt + 1).trim();
+    const header = /^\[([A-Z_]+)\]$/i.exec(line);
+    if (header) {
+      current = header[1].toUpperCase();
+      sections[current] = sections[current] || [];
+      return;
+    }
+    if (!current || !line) return;
+    sections[current].push({ fields: line.split(/\s+/), comment });
+  });
+  return sections;
+}
+
+function materialForRoughness(c) {
+  let best = null;
+  Object.entries(HAZEN_WILLIAMS_C).forEach(([material, value]) => {
+    if (!best || Math.abs(value - c) < Math.abs(best.value - c)) best = { material, value };
+  });
+  return best ? best.material : 'PVC';
+}
+
+export function parseINP(text) {
+  const sections = parseSections(text);
+  if (!sections.PIPES && !sections.JUNCTIONS && !sections.COORDINATES) throw new Error('Not an EPANET input file');
+  const result = { tanks: [], valves: [], pipelines: [], junctions: [], warnings: [] };
+
+  const options = Object.fromEntries((sections.OPTIONS || []).map(({ fields }) => [fields[0].toUpperCase(), fields.slice(1).join(' ')]));
+  const units = (options.UNITS || 'GPM').toUpperCase();
+  const us = US_UNITS.includes(units);
+  const toMeters = (value) => (us ? value * FEET_TO_M : value);
+  const toMillimeters = (value) => (us ? value * INCH_TO_MM : value);
+  const toLpm = (value) => value * (FLOW_TO_LPM[units] || 1);
+  if (options.HEADLOSS && options.HEADLOSS.toUpperCase() !== 'H-W') {
+    result.warnings.push(`Head loss model ${options.HEADLOSS} converted as if roughness were Hazen-Williams C`);
+  }
+
+  const coordinates = new Map((sections.COORDINATES || []).map(({ fields }) => [fields[0], { lng: Number(fields[1]), lat: Number(fields[2]) }]));
+  const geographic = [...coordinates.values()].every((pt) => Math.abs(pt.lat) <= 90 && Math.abs(pt.lng) <= 180);
+  if (!geographic) {
+    result.warnings.push('Coordinates are not longitude/latitude; re-project the model to WGS84 (EPSG:4326) before importing');
+    return result;
+  }
+  const vertices = new Map();
+  (sections.VERTICES || []).forEach(({ fields }) => {
+    if (!vertices.has(fields[0])) vertices.set(fields[0], []);
+    vertices.get(fields[0]).push({ lng: Number(fields[1]), lat: Number(fields[2]) });
+  });
+  const status = new Map((sections.STATUS || []).map(({ fields }) => [fields[0], (fields[1] || '').toUpperCase()]));
+
+  const nodes = new Map();
+  const demands = new Map();
+  let missingCoordinates = 0;
+  const addNode = (id, elevation) => {
+    const position = coordinates.get(id);
+    if (!position) {
+      missingCoordinates++;
+      return null;
+    }
+    const junction = { id, lat: position.lat, lng: position.lng, elevation };
+    nodes.set(id, junction);
+    result.junctions.push(junction);
+    return junction;
+  };
+
+  (sections.JUNCTIONS || []).forEach(({ fields }) => {
+    const [id, elevation, demand] = fields;
+    addNode(id, toMeters(Number(elevation) || 0));
+    if (Number(demand) > 0) demands.set(id, toLpm(Number(demand)));
+  });
+  (sections.RESERVOIRS || []).forEach(({ fields, comment }) => {
+    const [id, head] = fields;
+    const node = addNode(id, toMeters(Number(head) || 0) - RESERVOIR_DEPTH_M);
+    if (!node) return;
+    result.tanks.push({
+      id, name: comment || id, type: 'GSR', shape: 'cylinder', lat: node.lat, lng: node.lng,
+      elevation: node.elevation, height: RESERVOIR_DEPTH_M, sensorHeight: RESERVOIR_DEPTH_M,
+      waterLevel: RESERVOIR_DEPTH_M, nodeId: id
+    });
+  });
+  if ((sections.RESERVOIRS || []).length > 0) {
+    result.warnings.push(`${sections.RESERVOIRS.length} reservoir(s) imported as full GSR tanks ${RESERVOIR_DEPTH_M} m deep`);
+  }
+  (sections.TANKS || []).forEach(({ fields, comment }) => {
+    const [id, elevation, initLevel, , maxLevel, diameter] = fields.map((value, i) => (i === 0 ? value : Number(value)));
+    const node = addNode(id, toMeters(elevation || 0));
+    if (!node) return;
+    const height = toMeters(maxLevel) || 10;
+    const tankDiameter = toMeters(diameter) || 10;
+    result.tanks.push({
+      id, name: comment || id, type: 'OHSR', shape: 'cylinder', lat: node.lat, lng: node.lng,
+      elevation: node.elevation, height, sensorHeight: height, diameter: tankDiameter,
+      waterLevel: Math.min(height, toMeters(initLevel) || 0),
+      capacity: Math.round(Math.PI * (tankDiameter / 2) ** 2 * height * 1000),
+      nodeId: id
+    });
+  });
+
+  let skippedLinks = 0;
+  const linkGeometry = (id, from, to) => {
+    const a = nodes.get(from);
+    const b = nodes.get(to);
+    if (!a || !b) {
+      skippedLinks++;
+      return null;
+    }
+    const points = [a, ...(vertices.get(id) || []), b].map(({ lat, lng }) => ({ lat, lng }));
+    return { points, nodes: { 0: from, [points.length - 1]: to } };
+  };
+
+  (sections.PIPES || []).forEach(({ fields, comment }) => {
+    const [id, from, to, , diameter, roughness, , pipeStatus] = fields;
+    const geometry = linkGeometry(id, from, to);
+    if (!geometry) return;
+    const closed = (status.get(id) || (pipeStatus || '').toUpperCase()) === 'CLOSED';
+    result.pipelines.push({
+      id, name: comment || id, type: materialForRoughness(Number(roughness) || DEFAULT_HAZEN_WILLIAMS_C),
+      diameter: toMillimeters(Number(diameter)) || 150, active: !closed, ...geometry
+    });
+  });
+
+  const valveDemandNodes = new Set();
+  (sections.VALVES || []).forEach(({ fields, comment }) => {
+    const [id, from, to, diameter] = fields;
+    const geometry = linkGeometry(id, from, to);
+    if (!geometry) return;
+    const name = comment || id;
+    result.pipelines.push({ id, name: `${name} (valve)`, diameter: toMillimeters(Number(diameter)) || 150, ...geometry });
+    const [a, b] = geometry.points;
+    const closed = status.get(id) === 'CLOSED';
+    const valve = {
+      id, name, lat: (a.lat + b.lat) / 2, lng: (a.lng + b.lng) / 2,
+      pipelineId: id, segmentIndex: 0, valveState: closed ? 'closed' : 'open', active: closed
+    };
+    if (demands.has(to)) {
+      valve.flowRate = Math.round(demands.get(to) * 100) / 100;
+      valveDemandNodes.add(to);
+    }
+    result.valves.push(valve);
+  });
+
+  const pumps = (sections.PUMPS || []).length;
+  if (pumps > 0) result.warnings.push(`${pumps} pump(s) skipped; pumps are not modelled`);
+  const unplacedDemands = [...demands.keys()].filter((id) => !valveDemandNodes.has(id)).length;
+  if (unplacedDemands > 0) result.warnings.push(`${unplacedDemands} junction demand(s) not imported; demand sits on valves in this app`);
+  if (missingCoordinates > 0) result.warnings.push(`${missingCoordinates} node(s) without coordinates skipped`);
+  if (skippedLinks > 0) result.warnings.push(`${skippedLinks} link(s) with a skipped end node skipped`);
+  return result;
+}
+
+// EPANET ids are at most 31 characters with no spaces or semicolons
+function createIdAllocator() {
+  const used = new Set();
+  const counters = {};
+  return (preferred, prefix) => {
+    const candidate = String(preferred || '').replace(/[\s;]/g, '_');
+    if (candidate && candidate.length <= MAX_ID_LENGTH && !used.has(candidate)) {
+      used.add(candidate);
+      return candidate;
+    }
+    let id;
+    do {
+      counters[prefix] = (counters[prefix] || 0) + 1;
+      id = `${prefix}${counters[prefix]}`;
+    } while (used.has(id));
+    used.add(id);
+    return id;
+  };
+}
+
+const column = (values) => values.map((value) => String(value).padEnd(16)).join(' ').trimEnd();
+const fixed = (value, digits = 2) => Number(value || 0).toFixed(digits);
+const label = (text) => (text ? `\t;${String(text).replace(/[\r\n]/g, ' ')}` : '');
+
+export function exportINP({ tanks = [], valves = [], pipelines = [], junctions = [] }, title = 'Water network') {
+  const topology = new NetworkTopology({ tanks, valves, pipelines, junctions });
+  const allocate = createIdAllocator();
+  const valvesById = new Map(valves.map((valve) => [valve.id, valve]));
+
+  const junctionLines = [];
+  const tankLines = [];
+  const coordinateLines = [];
+  const nodeNames = new Map();
+  const tankOnNode = new Map();
+  tanks.forEach((tank) => {
+    const nodeId = topology.nodeOfTank(tank.id) || `tank:${tank.id}`;
+    if (!tankOnNode.has(nodeId)) tankOnNode.set(nodeId, tank);
+  });
+
+  const emitNode = (key, position, elevation, preferred, demandLpm = 0) => {
+    const tank = tankOnNode.get(key);
+    const name = allocate(tank ? tank.id : preferred, tank ? 'T' : 'N');
+    nodeNames.set(key, name);
+    if (tank) {
+      const height = Number(tank.height) || 10;
+      const diameter = tank.shape === 'cuboid'
+        ? Math.sqrt((4 * (Number(tank.length) || 10) * (Number(tank.breadth) || 10)) / Math.PI)
+        : Number(tank.diameter) || 10;
+      const level = Math.min(height, Math.max(0, Number(tank.waterLevel) || 0));
+      tankLines.push(column([name, fixed(tank.elevation), fixed(level), '0', fixed(height), fixed(diameter), '0', '']) + label(tank.name));
+      coordinateLines.push(column([name, fixed(tank.lng, 7), fixed(tank.lat, 7)]));
+    } else {
+      junctionLines.push(column([name, fixed(elevation), fixed(demandLpm / 60, 4), '']));
+      coordinateLines.push(column([name, fixed(position.lng, 7), fixed(position.lat, 7)]));
+    }
+    return name;
+  };
+  const nodeName = (nodeId) => {
+    if (nodeNames.has(nodeId)) return nodeNames.get(nodeId);
+    const node = topology.nodes.get(nodeId);
+    return emitNode(nodeId, node, node.elevation, node.junction ? nodeId : '');
+  };
+  const isBreak = (nodeId) => {
+    const node = topology.nodes.get(nodeId);
+    return !!node.junction || node.tanks.length > 0 || topology.degree(nodeId) !== 2;
+  };
+
+  const pipeLines = [];
+  const valveLines = [];
+  const vertexLines = [];
+  const statusLines = [];
+  pipelines.forEach((pipe) => {
+    const points = pipe.points || [];
+    if (points.length < 2) return;
+    const roughness = roughnessForMaterial(pipe.type);
+    const diameter = Number(pipe.diameter) || 150;
+    let pieces = 0;
+    let piece = { from: nodeName(topology.nodeOfVertex(pipe.id, 0)), vertices: [], length: 0, last: points[0] };
+
+    const closePiece = (to, position) => {
+      const id = allocate(pieces === 0 ? pipe.id : `${pipe.id}_${pieces}`, 'P');
+      const length = Math.max(MIN_PIPE_LENGTH_M, piece.length + haversineMeters(piece.last, position));
+      pipeLines.push(column([id, piece.from, to, fixed(length), fixed(diameter, 1), roughness, '0', pipe.active === false ? 'Closed' : 'Open']) + label(pipe.name));
+      piece.vertices.forEach((vertex) => vertexLines.push(column([id, fixed(vertex.lng, 7), fixed(vertex.lat, 7)])));
+      pieces++;
+    };
+
+    for (let si = 0; si < points.length - 1; si++) {
+      const edge = topology.edges.get(edgeId(pipe.id, si));
+      const elevation = topology.nodes.get(edge.from).elevation || 0;
+      edge.valves
+        .map((id) => valvesById.get(id))
+        .filter(Boolean)
+        .map((valve) => ({ valve, projection: projectOntoSegment(valve, points[si], points[si + 1]) }))
+        .sort((a, b) => a.projection.t - b.projection.t)
+        .forEach(({ valve, projection }) => {
+          const upstream = emitNode(`valve:${valve.id}:a`, projection.point, elevation, `${valve.id}_a`);
+          closePiece(upstream, projection.point);
+          const downstream = emitNode(`valve:${valve.id}:b`, projection.point, elevation, `${valve.id}_b`, valve.flowRate);
+          const id = allocate(valve.id, 'V');
+          valveLines.push(column([id, upstream, downstream, fixed(diameter, 1), 'TCV', '0', '0']) + label(valve.name));
+          if (valve.active) statusLines.push(column([id, 'Closed']));
+          piece = { from: downstream, vertices: [], length: 0, last: projection.point };
+        });
+
+      const vi = si + 1;
+      const nodeId = topology.nodeOfVertex(pipe.id, vi);
+      if (vi === points.length - 1 || isBreak(nodeId)) {
+        const to = nodeName(nodeId);
+        closePiece(to, points[vi]);
+        piece = { from: to, vertices: [], length: 0, last: points[vi] };
+      } else {
+        piece.length += haversineMeters(piece.last, points[vi]);
+        piece.vertices.push(points[vi]);
+        piece.last = points[vi];
+      }
+    }
+  });
+
+  // Tanks not connected to any pipeline still go out as (isolated) tank nodes
+  tankOnNode.forEach((tank, key) => {
+    if (!nodeNames.has(key)) emitNode(key, tank, tank.elevation, tank.id);
+  });
+
+  const section = (name, header, lines) => [`[${name}]`, `;${header}`, ...lines, ''];
+  return [
+    '[TITLE]', title, '',
+    ...section('JUNCTIONS', column(['ID', 'Elev', 'Demand', 'Pattern']), junctionLines),
+    ...section('RESERVOIRS', column(['ID', 'Head', 'Pattern']), []),
+    ...section('TANKS', column(['ID', 'Elevation', 'InitLevel', 'MinLevel', 'MaxLevel', 'Diameter', 'MinVol', 'VolCurve']), tankLines),
+    ...section('PIPES', column(['ID', 'Node1', 'Node2', 'Length', 'Diameter', 'Roughness', 'MinorLoss', 'Status']), pipeLines),
+    ...section('VALVES', column(['ID', 'Node1', 'Node2', 'Diameter', 'Type', 'Setting', 'MinorLoss']), valveLines),
+    ...section('STATUS', column(['ID', 'Status/Setting']), statusLines),
+    '[OPTIONS]', column(['Units', 'LPS']), column(['Headloss', 'H-W']), '',
+    ...section('COORDINATES', column(['Node', 'X-Coord', 'Y-Coord']), coordinateLines),
+    ...section('VERTICES', column(['Link', 'X-Coord', 'Y-Coord']), vertexLines),
+    '[END]', ''
+  ].join('\n');
+}
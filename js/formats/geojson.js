@@ -0,0 +1,91 @@
+// ==================== GEOJSON ====================
+// FeatureCollections as exported by QGIS and most GIS tools. Coordinates are
+// [longitude, latitude, elevation?] in WGS84.
+
+function toPoint(position) {
+  const [lng, lat, elevation] = position;
+  const point = { lat: Number(lat), lng: Number(lng) };
+  if (Number.isFinite(Number(elevation))) point.elevation = Number(elevation);
+  return point;
+}
+
+const validPoint = (point) => Number.isFinite(point.lat) && Number.isFinite(point.lng) &&
+  Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+
+export function parseGeoJSON(text) {
+  const data = typeof text === 'string' ? JSON.parse(text) : text;
+  const features = [];
+  const warnings = [];
+  const ignored = {};
+
+  const addGeometry = (geometry, properties) => {
+    if (!geometry) return;
+    const { type, coordinates } = geometry;
+    if (type === 'Point') {
+      features.push({ geometry: 'Point', coordinates: [toPoint(coordinates)], properties });
+    } else if (type === 'MultiPoint') {
+      coordinates.forEach((position) => features.push({ geometry: 'Point', coordinates: [toPoint(position)], properties }));
+    } else if (type === 'LineString') {
+      features.push({ geometry: 'LineString', coordinates: coordinates.map(toPoint), properties });
+    } else if (type === 'MultiLineString') {
+      coordinates.forEach((line) => features.push({ geometry: 'LineString', coordinates: line.map(toPoint), properties }));
+    } else if (type === 'GeometryCollection') {
+      (geometry.geometries || []).forEach((child) => addGeometry(child, properties));
+    } else {
+      ignored[type] = (ignored[type] || 0) + 1;
+    }
+  };
+
+  if (data?.type === 'FeatureCollection') {
+    (data.features || []).forEach((feature) => addGeometry(feature.geometry, feature.properties || {}));
+  } else if (data?.type === 'Feature') {
+    addGeometry(data.geometry, data.properties || {});
+  } else if (data?.type) {
+    addGeometry(data, {});
+  } else {
+    throw new Error('Not a GeoJSON object');
+  }
+
+  Object.entries(ignored).forEach(([type, count]) => warnings.push(`${count} ${type} feature(s) ignored`));
+  const valid = features.filter((feature) => feature.coordinates.length > 0 && feature.coordinates.every(validPoint));
+  if (valid.length < features.length) {
+    warnings.push(`${features.length - valid.length} feature(s) with coordinates outside longitude/latitude range ignored`);
+  }
+  return { features: valid, warnings };
+}
+
+const position = ({ lat, lng }) => [lng, lat];
+
+function withoutGeometry(record, omit) {
+  const properties = { ...record };
+  omit.forEach((key) => delete properties[key]);
+  return properties;
+}
+
+// Records (model instances or plain data) to one FeatureCollection with a `kind` property
+export function exportGeoJSON({ tanks = [], valves = [], pipelines = [], junctions = [] }) {
+  const plain = (record) => (typeof record.toFirebase === 'function' ? record.toFirebase() : record);
+  const point = (kind) => (record) => {
+    const data = plain(record);
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [data.lng, data.lat, data.elevation || 0] },
+      properties: { kind, ...withoutGeometry(data, ['lat', 'lng']) }
+    };
+  };
+
+  const features = [
+    ...tanks.map(point('tank')),
+    ...valves.map(point('valve')),
+    ...junctions.map(point('junction')),
+    ...pipelines.map((record) => {
+      const data = plain(record);
+      return {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: (data.points || []).map(position) },
+        properties: { kind: 'pipeline', ...withoutGeometry(data, ['points']) }
+      };
+    })
+  ];
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
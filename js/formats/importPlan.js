@@ -0,0 +1,255 @@
+import { haversineMeters } from '../hydraulics.js';
+
+// ==================== IMPORT PLANNING ====================
+// Every import (app JSON or a mapped survey file) is validated and compared with the live
+// data before anything is written. Each incoming record gets a status:
+//   added      no record with this id yet
+//   updated    same asset, and the file copy is at least as new as the live one
+//   unchanged  identical to the live record
+//   conflict   the id is taken by a record that changed after the file was made, has no
+//              timestamp to compare, or sits somewhere else on the map
+//   invalid    fails validation; never written
+// Conflicts and updates are resolved per record: keep the live record, overwrite it, or
+// rename the incoming one (references inside the file follow the new id).
+
+export const IMPORT_COLLECTIONS = ['junctions', 'tanks', 'pipelines', 'valves'];
+export const KNOWN_EXPORT_VERSIONS = ['3.0-optimized'];
+// Further apart than this, a record with a colliding id is taken to be a different asset
+export const MOVED_ASSET_TOLERANCE_M = 25;
+
+// Firebase keys cannot contain . # $ [ ] or /
+const ID_PATTERN = /^[^.#$[\]/]+$/;
+const VALVE_STATES = ['open', 'closed'];
+const VALVE_CATEGORIES = ['main', 'sub'];
+
+const asNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+const present = (value) => value !== undefined && value !== null && value !== '';
+const validCoordinate = (lat, lng) => {
+  const la = asNumber(lat);
+  const ln = asNumber(lng);
+  return Number.isFinite(la) && Number.isFinite(ln) && Math.abs(la) <= 90 && Math.abs(ln) <= 180;
+};
+
+// Top-level shape of an app JSON export
+export function validateImportFile(data) {
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: ['File is not a JSON object'], warnings };
+  }
+  IMPORT_COLLECTIONS.forEach((collection) => {
+    if (data[collection] !== undefined && !Array.isArray(data[collection])) errors.push(`"${collection}" must be a list`);
+  });
+  if (!IMPORT_COLLECTIONS.some((collection) => Array.isArray(data[collection]))) {
+    errors.push('File has no tanks, valves, pipelines or junctions');
+  }
+  if (data.version && !KNOWN_EXPORT_VERSIONS.includes(data.version)) {
+    warnings.push(`Export version ${data.version} is not one this app wrote; fields may be missing`);
+  }
+  return { errors, warnings };
+}
+
+export function validateRecord(collection, data) {
+  const errors = [];
+  if (!data || typeof data !== 'object') return ['Record is not an object'];
+  const id = data.id;
+  if (!present(id)) errors.push('Missing id');
+  else if (!ID_PATTERN.test(String(id))) errors.push(`Id "${id}" contains . # $ [ ] or /`);
+
+  const positive = (field) => {
+    if (present(data[field]) && !(asNumber(data[field]) > 0)) errors.push(`${field} must be a positive number`);
+  };
+  const nonNegative = (field) => {
+    if (present(data[field]) && !(asNumber(data[field]) >= 0)) errors.push(`${field} must be zero or more`);
+  };
+  const oneOf = (field, allowed) => {
+    if (present(data[field]) && !allowed.includes(data[field])) errors.push(`${field} must be one of ${allowed.join(', ')}`);
+  };
+
+  if (collection === 'pipelines') {
+    const points = data.points;
+    if (!Array.isArray(points) || points.length < 2) errors.push('A pipeline needs at least two points');
+    else if (!points.every((pt) => pt && validCoordinate(pt.lat, pt.lng))) errors.push('Pipeline has invalid coordinates');
+    positive('diameter');
+    nonNegative('capacity');
+    if (present(data.nodes) && typeof data.nodes !== 'object') errors.push('nodes must be an object');
+    return errors;
+  }
+
+  if (!validCoordinate(data.lat, data.lng)) errors.push('Invalid latitude/longitude');
+  if (present(data.elevation) && !Number.isFinite(asNumber(data.elevation))) errors.push('elevation must be a number');
+  if (collection === 'tanks') {
+    ['capacity', 'height', 'diameter', 'length', 'breadth', 'sensorHeight'].forEach(positive);
+    nonNegative('waterLevel');
+    if (present(data.connectedMainValves) && !Array.isArray(data.connectedMainValves)) errors.push('connectedMainValves must be a list');
+  } else if (collection === 'valves') {
+    nonNegative('flowRate');
+    if (present(data.households) && !(Number.isInteger(asNumber(data.households)) && asNumber(data.households) >= 0)) {
+      errors.push('households must be a whole number');
+    }
+    if (present(data.segmentIndex) && !(Number.isInteger(data.segmentIndex) && data.segmentIndex >= 0)) {
+      errors.push('segmentIndex must be a whole number');
+    }
+    oneOf('valveState', VALVE_STATES);
+    oneOf('category', VALVE_CATEGORIES);
+  }
+  return errors;
+}
+
+// Ids each record points at, by the collection they live in
+function references(collection, data) {
+  const refs = [];
+  if (collection === 'tanks') {
+    if (data.nodeId) refs.push(['junctions', data.nodeId]);
+    (Array.isArray(data.connectedMainValves) ? data.connectedMainValves : []).forEach((id) => refs.push(['valves', id]));
+  } else if (collection === 'valves') {
+    if (data.pipelineId) refs.push(['pipelines', data.pipelineId]);
+    if (data.parentValveId) refs.push(['valves', data.parentValveId]);
+  } else if (collection === 'pipelines' && data.nodes && typeof data.nodes === 'object') {
+    Object.values(data.nodes).forEach((id) => id && refs.push(['junctions', id]));
+  }
+  return refs;
+}
+
+function sameContent(incoming, live) {
+  return Object.keys(incoming)
+    .filter((key) => key !== 'lastUpdate')
+    .every((key) => JSON.stringify(incoming[key]) === JSON.stringify(live[key]));
+}
+
+function conflictReasons(collection, incoming, live) {
+  const reasons = [];
+  if (!incoming.lastUpdate) reasons.push('file has no timestamp for it');
+  else if (live.lastUpdate && live.lastUpdate > incoming.lastUpdate) {
+    reasons.push(`changed in the app on ${new Date(live.lastUpdate).toLocaleString()}, after the file copy`);
+  }
+  const position = (record) => (collection === 'pipelines' ? record.points?.[0] : record);
+  const a = position(incoming);
+  const b = position(live);
+  if (a && b && validCoordinate(a.lat, a.lng) && validCoordinate(b.lat, b.lng)) {
+    const distance = haversineMeters({ lat: asNumber(a.lat), lng: asNumber(a.lng) }, { lat: asNumber(b.lat), lng: asNumber(b.lng) });
+    if (distance > MOVED_ASSET_TOLERANCE_M) reasons.push(`${Math.round(distance)} m from the existing record`);
+  }
+  return reasons;
+}
+
+// incoming: { tanks: [plain data], ... }   live: { tanks: [records], ... }
+export function planImport(incoming, live) {
+  const liveById = {};
+  IMPORT_COLLECTIONS.forEach((collection) => {
+    liveById[collection] = new Map((live[collection] || []).map((record) => {
+      const data = typeof record.toFirebase === 'function' ? record.toFirebase() : record;
+      return [String(data.id), data];
+    }));
+  });
+
+  const entries = [];
+  IMPORT_COLLECTIONS.forEach((collection) => {
+    const seen = new Set();
+    (incoming[collection] || []).forEach((data, index) => {
+      const id = data && present(data.id) ? String(data.id) : null;
+      const entry = {
+        key: `${collection}/${id ?? `#${index + 1}`}`,
+        collection,
+        id,
+        name: data?.name || id || `${collection} #${index + 1}`,
+        data: data && id ? { ...data, id } : data,
+        live: null,
+        status: 'added',
+        errors: validateRecord(collection, data),
+        reasons: [],
+        warnings: []
+      };
+      if (id && seen.has(id)) entry.errors.push(`Id ${id} appears more than once in the file`);
+      if (id) seen.add(id);
+
+      if (entry.errors.length > 0) {
+        entry.status = 'invalid';
+      } else if (liveById[collection].has(id)) {
+        entry.live = liveById[collection].get(id);
+        if (sameContent(entry.data, entry.live)) entry.status = 'unchanged';
+        else {
+          entry.reasons = conflictReasons(collection, entry.data, entry.live);
+          entry.status = entry.reasons.length > 0 ? 'conflict' : 'updated';
+        }
+      }
+      entries.push(entry);
+    });
+  });
+
+  // References that resolve neither inside the file nor to live data
+  const fileIds = {};
+  IMPORT_COLLECTIONS.forEach((collection) => {
+    fileIds[collection] = new Set(entries.filter((e) => e.collection === collection && e.status !== 'invalid').map((e) => e.id));
+  });
+  entries.forEach((entry) => {
+    if (entry.status === 'invalid') return;
+    references(entry.collection, entry.data).forEach(([collection, id]) => {
+      if (!fileIds[collection].has(String(id)) && !liveById[collection].has(String(id))) {
+        entry.warnings.push(`refers to missing ${collection.slice(0, -1)} ${id}`);
+      }
+    });
+  });
+
+  const counts = { added: 0, updated: 0, unchanged: 0, conflict: 0, invalid: 0 };
+  entries.forEach((entry) => { counts[entry.status]++; });
+  return { entries, counts, takenIds: liveById };
+}
+
+export const DEFAULT_RESOLUTION = { added: 'overwrite', updated: 'overwrite', unchanged: 'keep', conflict: 'keep', invalid: 'keep' };
+
+export function resolutionFor(entry, resolutions = {}) {
+  if (entry.status === 'invalid') return 'keep';
+  return resolutions[entry.key] || DEFAULT_RESOLUTION[entry.status];
+}
+
+function uniqueId(id, taken) {
+  let n = 2;
+  while (taken.has(`${id}_${n}`)) n++;
+  return `${id}_${n}`;
+}
+
+// Records to write, grouped by collection, after applying keep / overwrite / rename
+export function resolveImport(plan, resolutions = {}) {
+  const renamed = {};
+  IMPORT_COLLECTIONS.forEach((collection) => { renamed[collection] = new Map(); });
+  const taken = {};
+  IMPORT_COLLECTIONS.forEach((collection) => {
+    taken[collection] = new Set([
+      ...plan.takenIds[collection].keys(),
+      ...plan.entries.filter((e) => e.collection === collection && e.id).map((e) => e.id)
+    ]);
+  });
+
+  const chosen = plan.entries.filter((entry) => resolutionFor(entry, resolutions) !== 'keep');
+  chosen.forEach((entry) => {
+    if (resolutionFor(entry, resolutions) !== 'rename') return;
+    const newId = uniqueId(entry.id, taken[entry.collection]);
+    taken[entry.collection].add(newId);
+    renamed[entry.collection].set(entry.id, newId);
+  });
+
+  const follow = (collection, id) => renamed[collection].get(String(id)) || id;
+  const records = { junctions: [], tanks: [], pipelines: [], valves: [] };
+  chosen.forEach((entry) => {
+    const data = { ...entry.data, id: follow(entry.collection, entry.id) };
+    if (entry.collection === 'tanks') {
+      if (data.nodeId) data.nodeId = follow('junctions', data.nodeId);
+      if (Array.isArray(data.connectedMainValves)) data.connectedMainValves = data.connectedMainValves.map((id) => follow('valves', id));
+    } else if (entry.collection === 'valves') {
+      if (data.pipelineId) data.pipelineId = follow('pipelines', data.pipelineId);
+      if (data.parentValveId) data.parentValveId = follow('valves', data.parentValveId);
+    } else if (entry.collection === 'pipelines' && data.nodes && typeof data.nodes === 'object') {
+      data.nodes = Object.fromEntries(Object.entries(data.nodes).map(([vi, id]) => [vi, id && follow('junctions', id)]));
+    }
+    records[entry.collection].push(data);
+  });
+
+  const renames = IMPORT_COLLECTIONS.flatMap((collection) =>
+    [...renamed[collection]].map(([from, to]) => ({ collection, from, to })));
+  return { records, renames };
+}
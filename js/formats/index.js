@@ -0,0 +1,56 @@
+import { parseGeoJSON, exportGeoJSON } from './geojson.js';
+import { parseKML, exportKML } from './kml.js';
+import { parseINP, exportINP } from './epanet.js';
+import { IMPORT_COLLECTIONS, validateImportFile } from './importPlan.js';
+
+// ==================== NETWORK FILE FORMATS ====================
+// GeoJSON and KML are read into neutral features that still need an attribute mapping
+// (see mapping.js); EPANET INP has a fixed schema and is read straight into records.
+
+export const NETWORK_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json', exporter: exportGeoJSON },
+  kml: { label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml', exporter: exportKML },
+  inp: { label: 'EPANET INP', extension: 'inp', mime: 'text/plain', exporter: exportINP }
+};
+
+// 'app' is the app's own JSON export
+export function detectFormat(fileName, text) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (extension === 'kml') return 'kml';
+  if (extension === 'inp') return 'inp';
+  if (extension === 'geojson') return 'geojson';
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('<')) return 'kml';
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(text);
+    return ['FeatureCollection', 'Feature'].includes(data.type) ? 'geojson' : 'app';
+  }
+  if (/^\s*\[(TITLE|JUNCTIONS|PIPES)\]/im.test(text)) return 'inp';
+  throw new Error('Unrecognised file format');
+}
+
+export const formatLabel = (format) => (format === 'app' ? 'App JSON' : NETWORK_FORMATS[format].label);
+
+// { features, warnings } for geojson/kml, { records, warnings } for app JSON and inp
+export function readNetworkFile(format, text) {
+  if (format === 'app') {
+    const data = JSON.parse(text);
+    const { errors, warnings } = validateImportFile(data);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    const records = Object.fromEntries(IMPORT_COLLECTIONS.map((collection) => [collection, data[collection] || []]));
+    return { records, warnings };
+  }
+  if (format === 'geojson') return parseGeoJSON(text);
+  if (format === 'kml') return parseKML(text);
+  if (format === 'inp') {
+    const { warnings, ...records } = parseINP(text);
+    return { records, warnings };
+  }
+  throw new Error(`Unsupported format: ${format}`);
+}
+
+export function exportNetwork(format, network, title) {
+  const spec = NETWORK_FORMATS[format];
+  if (!spec) throw new Error(`Unsupported format: ${format}`);
+  return spec.exporter(network, title);
+}
@@ -0,0 +1,140 @@
+// ==================== KML ====================
+// Placemarks with Point / LineString geometry, as saved by Google Earth and My Maps.
+// Attributes come from <name>, <description> and ExtendedData (<Data> and <SimpleData>).
+// Read with a small tag scanner rather than DOMParser so the converters also run in Node.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeText(text) {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(text);
+  if (cdata) return cdata[1].trim();
+  return text
+    .replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => ENTITIES[name])
+    .replace(/&#(x?)([0-9a-f]+);/gi, (match, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+    .trim();
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Elements may carry a namespace prefix (kml:Placemark)
+const element = (name) => new RegExp(`<(?:\\w+:)?${name}\\b([^>]*)>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'g');
+const firstText = (xml, name) => {
+  const match = element(name).exec(xml);
+  return match ? decodeText(match[2]) : null;
+};
+
+function parseCoordinates(text) {
+  return text.trim().split(/\s+/).filter(Boolean).map((tuple) => {
+    const [lng, lat, elevation] = tuple.split(',').map(Number);
+    const point = { lat, lng };
+    if (Number.isFinite(elevation)) point.elevation = elevation;
+    return point;
+  }).filter((point) => Number.isFinite(point.lat) && Number.isFinite(point.lng));
+}
+
+function placemarkProperties(xml) {
+  const properties = {};
+  const name = firstText(xml, 'name');
+  const description = firstText(xml, 'description');
+  if (name) properties.name = name;
+  if (description) properties.description = description;
+
+  for (const [, attributes, body] of xml.matchAll(element('Data'))) {
+    const key = /name="([^"]*)"/.exec(attributes)?.[1];
+    const value = firstText(body, 'value');
+    if (key) properties[decodeText(key)] = value ?? '';
+  }
+  for (const [, attributes, body] of xml.matchAll(element('SimpleData'))) {
+    const key = /name="([^"]*)"/.exec(attributes)?.[1];
+    if (key) properties[decodeText(key)] = decodeText(body);
+  }
+  return properties;
+}
+
+export function parseKML(text) {
+  if (!/<(?:\w+:)?kml\b/.test(text) && !/<(?:\w+:)?Placemark\b/.test(text)) throw new Error('Not a KML document');
+  const features = [];
+  const warnings = [];
+  let ignored = 0;
+
+  for (const [, , body] of text.matchAll(element('Placemark'))) {
+    const properties = placemarkProperties(body);
+    let found = false;
+    for (const [, , point] of body.matchAll(element('Point'))) {
+      const coordinates = parseCoordinates(firstText(point, 'coordinates') || '');
+      if (coordinates.length === 0) continue;
+      features.push({ geometry: 'Point', coordinates: coordinates.slice(0, 1), properties });
+      found = true;
+    }
+    for (const [, , line] of body.matchAll(element('LineString'))) {
+      const coordinates = parseCoordinates(firstText(line, 'coordinates') || '');
+      if (coordinates.length === 0) continue;
+      features.push({ geometry: 'LineString', coordinates, properties });
+      found = true;
+    }
+    if (!found) ignored++;
+  }
+
+  if (ignored > 0) warnings.push(`${ignored} placemark(s) without a point or line ignored`);
+  return { features, warnings };
+}
+
+const SKIPPED_ATTRIBUTES = ['lat', 'lng', 'points', 'name'];
+
+function extendedData(kind, data) {
+  const entries = [['kind', kind], ...Object.entries(data).filter(([key]) => !SKIPPED_ATTRIBUTES.includes(key))];
+  return entries
+    .map(([key, value]) => {
+      const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+      return `        <Data name="${escapeXml(key)}"><value>${escapeXml(text)}</value></Data>`;
+    })
+    .join('\n');
+}
+
+function placemark(kind, data, geometry) {
+  return [
+    '      <Placemark>',
+    `        <name>${escapeXml(data.name || data.id)}</name>`,
+    `        <styleUrl>#${kind}</styleUrl>`,
+    '        <ExtendedData>',
+    extendedData(kind, data),
+    '        </ExtendedData>',
+    `        ${geometry}`,
+    '      </Placemark>'
+  ].join('\n');
+}
+
+const STYLES = {
+  tank: '<Style id="tank"><IconStyle><color>ffd18802</color></IconStyle></Style>',
+  valve: '<Style id="valve"><IconStyle><color>ff9a1b6a</color></IconStyle></Style>',
+  junction: '<Style id="junction"><IconStyle><scale>0.6</scale></IconStyle></Style>',
+  pipeline: '<Style id="pipeline"><LineStyle><color>ffe5881e</color><width>3</width></LineStyle></Style>'
+};
+
+export function exportKML({ tanks = [], valves = [], pipelines = [], junctions = [] }, title = 'Water network') {
+  const plain = (record) => (typeof record.toFirebase === 'function' ? record.toFirebase() : record);
+  const pointGeometry = (data) => `<Point><coordinates>${data.lng},${data.lat},${data.elevation || 0}</coordinates></Point>`;
+  const folder = (name, placemarks) => [`    <Folder><name>${name}</name>`, ...placemarks, '    </Folder>'].join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    ...Object.values(STYLES).map((style) => `    ${style}`),
+    folder('Tanks', tanks.map(plain).map((data) => placemark('tank', data, pointGeometry(data)))),
+    folder('Valves', valves.map(plain).map((data) => placemark('valve', data, pointGeometry(data)))),
+    folder('Junctions', junctions.map(plain).map((data) => placemark('junction', data, pointGeometry(data)))),
+    folder('Pipelines', pipelines.map(plain).map((data) => placemark('pipeline', data,
+      `<LineString><tessellate>1</tessellate><coordinates>${(data.points || []).map((pt) => `${pt.lng},${pt.lat},0`).join(' ')}</coordinates></LineString>`))),
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
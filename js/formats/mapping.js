@@ -0,0 +1,198 @@
+// ==================== ATTRIBUTE MAPPING ====================
+// GeoJSON and KML files arrive with whatever attribute names the surveyor's GIS used.
+// Features are first read into a neutral shape:
+//   { geometry: 'Point' | 'LineString', coordinates: [{ lat, lng, elevation? }], properties }
+// and a mapping then says which property feeds which Tank / Valve / Pipeline field and
+// how point features are told apart (tank, valve or junction).
+
+export const FEATURE_KINDS = ['tank', 'valve', 'junction'];
+
+export const IMPORT_FIELDS = {
+  tank: [
+    { field: 'id', aliases: ['id', 'tank_id', 'tankid', 'code', 'asset_id'] },
+    { field: 'name', aliases: ['name', 'tank_name', 'title', 'label'] },
+    { field: 'type', aliases: ['type', 'tank_type', 'tanktype'] },
+    { field: 'shape', aliases: ['shape'] },
+    { field: 'capacity', aliases: ['capacity', 'capacity_l', 'capacity_litres', 'capacity_liters', 'volume'], number: true },
+    { field: 'height', aliases: ['height', 'height_m', 'depth'], number: true },
+    { field: 'diameter', aliases: ['diameter', 'diameter_m', 'dia'], number: true },
+    { field: 'length', aliases: ['length', 'length_m'], number: true },
+    { field: 'breadth', aliases: ['breadth', 'width', 'breadth_m', 'width_m'], number: true },
+    { field: 'waterLevel', aliases: ['waterlevel', 'water_level', 'level', 'initlevel'], number: true },
+    { field: 'elevation', aliases: ['elevation', 'elev', 'altitude', 'z'], number: true },
+    { field: 'deviceId', aliases: ['deviceid', 'device_id', 'device', 'sensor'] },
+    { field: 'state', aliases: ['state'] },
+    { field: 'district', aliases: ['district'] },
+    { field: 'mandal', aliases: ['mandal', 'block', 'tehsil'] },
+    { field: 'habitation', aliases: ['habitation', 'village', 'hab_name'] }
+  ],
+  valve: [
+    { field: 'id', aliases: ['id', 'valve_id', 'valveid', 'code', 'asset_id'] },
+    { field: 'name', aliases: ['name', 'valve_name', 'title', 'label'] },
+    { field: 'type', aliases: ['type', 'valve_type', 'valvetype'] },
+    { field: 'category', aliases: ['category'] },
+    { field: 'households', aliases: ['households', 'hh', 'connections', 'house_count'], number: true },
+    { field: 'flowRate', aliases: ['flowrate', 'flow_rate', 'flow', 'demand'], number: true },
+    { field: 'valveState', aliases: ['valvestate', 'valve_state', 'status'] },
+    { field: 'mandal', aliases: ['mandal', 'block', 'tehsil'] },
+    { field: 'habitation', aliases: ['habitation', 'village', 'hab_name'] }
+  ],
+  junction: [
+    { field: 'id', aliases: ['id', 'junction_id', 'node_id', 'code'] },
+    { field: 'elevation', aliases: ['elevation', 'elev', 'altitude', 'z'], number: true }
+  ],
+  pipeline: [
+    { field: 'id', aliases: ['id', 'pipe_id', 'pipeid', 'pipeline_id', 'code'] },
+    { field: 'name', aliases: ['name', 'pipe_name', 'title', 'label'] },
+    { field: 'type', aliases: ['type', 'material', 'pipe_type', 'pipe_material', 'mat'] },
+    { field: 'diameter', aliases: ['diameter', 'diameter_mm', 'dia', 'dia_mm', 'size'], number: true },
+    { field: 'capacity', aliases: ['capacity', 'capacity_lpm'], number: true },
+    { field: 'startPoint', aliases: ['startpoint', 'start_point', 'from', 'start'] },
+    { field: 'endPoint', aliases: ['endpoint', 'end_point', 'to', 'end'] },
+    { field: 'notes', aliases: ['notes', 'description', 'remarks', 'comment'] }
+  ]
+};
+
+// Google Earth placemarks often carry nothing but a name, so names are the last resort
+const KIND_FIELD_ALIASES = ['kind', 'feature_type', 'featuretype', 'asset_type', 'category', 'class', 'layer', 'type', 'name'];
+const KIND_PATTERNS = [
+  ['tank', /tank|ohsr|gsr|esr|reservoir|sump/],
+  ['valve', /valve/],
+  ['junction', /junction|node/]
+];
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function classifyValue(value) {
+  const text = String(value ?? '').toLowerCase();
+  if (!text) return null;
+  const match = KIND_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+// Every property name seen on points and on lines, for the mapping selects
+export function propertyKeys(features) {
+  const keys = { Point: new Set(), LineString: new Set() };
+  features.forEach((feature) => {
+    Object.keys(feature.properties || {}).forEach((key) => keys[feature.geometry]?.add(key));
+  });
+  return { points: [...keys.Point].sort(), lines: [...keys.LineString].sort() };
+}
+
+// Best guess from the property names: exact alias matches, and a kind field whose
+// values actually tell tanks from valves
+export function defaultMapping(features) {
+  const keys = propertyKeys(features);
+  const guess = (available, aliases) => {
+    const byNormalized = new Map(available.map((key) => [normalizeKey(key), key]));
+    for (const alias of aliases) {
+      const key = byNormalized.get(normalizeKey(alias));
+      if (key) return key;
+    }
+    return '';
+  };
+
+  const points = features.filter((feature) => feature.geometry === 'Point');
+  const kindField = KIND_FIELD_ALIASES
+    .map((alias) => guess(keys.points, [alias]))
+    .find((key) => key && points.some((feature) => classifyValue(feature.properties[key]))) || '';
+
+  const fields = {};
+  Object.entries(IMPORT_FIELDS).forEach(([kind, specs]) => {
+    const available = kind === 'pipeline' ? keys.lines : keys.points;
+    fields[kind] = {};
+    specs.forEach((spec) => {
+      fields[kind][spec.field] = guess(available, spec.aliases);
+    });
+  });
+  return { kindField, pointKind: 'valve', fields };
+}
+
+export function classifyPoint(feature, mapping) {
+  if (mapping.kindField) {
+    const kind = classifyValue(feature.properties[mapping.kindField]);
+    if (kind) return kind;
+  }
+  return mapping.pointKind === 'skip' ? null : mapping.pointKind;
+}
+
+function mappedFields(properties, kind, mapping) {
+  const data = {};
+  IMPORT_FIELDS[kind].forEach((spec) => {
+    const key = mapping.fields[kind]?.[spec.field];
+    if (!key) return;
+    const raw = properties[key];
+    if (raw === undefined || raw === null || raw === '') return;
+    if (spec.number) {
+      const number = parseFloat(raw);
+      if (Number.isFinite(number)) data[spec.field] = number;
+    } else {
+      data[spec.field] = String(raw).trim();
+    }
+  });
+  return data;
+}
+
+// KML attributes are text, so objects come back JSON-encoded
+function structuredValue(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+const generatedId = (kind, index) => `${kind}_${Date.now()}_${index}`;
+
+// Plain record data in the app's own export shape, ready for the model constructors
+export function applyMapping(features, mapping) {
+  const result = { tanks: [], valves: [], pipelines: [], junctions: [], warnings: [] };
+  let skipped = 0;
+
+  features.forEach((feature, index) => {
+    const [first] = feature.coordinates;
+    if (feature.geometry === 'LineString') {
+      if (feature.coordinates.length < 2) {
+        result.warnings.push(`Line ${index + 1} has fewer than two points and was skipped`);
+        return;
+      }
+      const data = mappedFields(feature.properties, 'pipeline', mapping);
+      const record = {
+        ...data,
+        id: data.id || generatedId('pipe', index),
+        points: feature.coordinates.map(({ lat, lng }) => ({ lat, lng }))
+      };
+      const nodes = structuredValue(feature.properties.nodes);
+      if (nodes && typeof nodes === 'object') record.nodes = nodes;
+      result.pipelines.push(record);
+      return;
+    }
+
+    const kind = classifyPoint(feature, mapping);
+    if (!kind) {
+      skipped++;
+      return;
+    }
+    const data = mappedFields(feature.properties, kind, mapping);
+    if (data.elevation === undefined && Number.isFinite(first.elevation) && first.elevation !== 0) {
+      data.elevation = first.elevation;
+    }
+    const record = { ...data, id: data.id || generatedId(kind, index), lat: first.lat, lng: first.lng };
+    if (kind === 'valve' && record.valveState) {
+      record.valveState = /clos|shut|off/i.test(record.valveState) ? 'closed' : 'open';
+      record.active = record.valveState === 'closed';
+    }
+    // Network attachment also survives a round trip through our own export
+    if (kind === 'tank' && feature.properties.nodeId) record.nodeId = feature.properties.nodeId;
+    if (kind === 'valve' && feature.properties.pipelineId) {
+      record.pipelineId = feature.properties.pipelineId;
+      const segmentIndex = parseInt(feature.properties.segmentIndex, 10);
+      record.segmentIndex = Number.isInteger(segmentIndex) ? segmentIndex : null;
+    }
+    result[`${kind}s`].push(record);
+  });
+
+  if (skipped > 0) result.warnings.push(`${skipped} point(s) could not be classified and were skipped`);
+  return result;
+}
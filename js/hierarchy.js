@@ -0,0 +1,165 @@
+// ==================== ADMINISTRATIVE HIERARCHY ====================
+// State → District → Mandal → Habitation (the scheme), from the fields tanks and valves carry.
+// Tanks have all four; valves only mandal and habitation, so their state and district are
+// those of the tanks in the same mandal. A scope is a path down the tree,
+// { state, district, mandal, habitation } with only the leading levels set; {} is everything.
+
+export const ADMIN_LEVELS = ['state', 'district', 'mandal', 'habitation'];
+export const ADMIN_LEVEL_LABELS = { state: 'State', district: 'District', mandal: 'Mandal', habitation: 'Habitation / Scheme' };
+export const UNASSIGNED = 'Unassigned';
+
+// The levels each collection's records carry, which a database query can narrow by
+const QUERY_FIELDS = { tanks: ADMIN_LEVELS, valves: ['mandal', 'habitation'] };
+export const SCOPED_COLLECTIONS = Object.keys(QUERY_FIELDS);
+
+export function scopeDepth(scope = {}) {
+  const depth = ADMIN_LEVELS.findIndex((level) => !scope?.[level]);
+  return depth === -1 ? ADMIN_LEVELS.length : depth;
+}
+
+// Only the leading levels that are set, as strings
+export function normalizeScope(scope = {}) {
+  return Object.fromEntries(ADMIN_LEVELS.slice(0, scopeDepth(scope)).map((level) => [level, String(scope[level])]));
+}
+
+// The scope one level down (childScope(scope, 'Mulugu')) or cut back to depth levels
+export const childScope = (scope, name) => ({ ...normalizeScope(scope), [ADMIN_LEVELS[scopeDepth(scope)]]: name });
+export const parentScope = (scope, depth) => normalizeScope(Object.fromEntries(ADMIN_LEVELS.slice(0, depth).map((level) => [level, scope[level]])));
+
+export const sameScope = (a, b) => JSON.stringify(normalizeScope(a)) === JSON.stringify(normalizeScope(b));
+
+// mandal → { state, district } of the tanks there; the most common, should tanks disagree
+export function mandalIndex(tanks) {
+  const counts = new Map();
+  tanks.forEach((tank) => {
+    if (!tank?.mandal) return;
+    const key = JSON.stringify([tank.state || UNASSIGNED, tank.district || UNASSIGNED]);
+    const byPlace = counts.get(tank.mandal) || new Map();
+    byPlace.set(key, (byPlace.get(key) || 0) + 1);
+    counts.set(tank.mandal, byPlace);
+  });
+  const index = new Map();
+  counts.forEach((byPlace, mandal) => {
+    const [state, district] = JSON.parse([...byPlace.entries()].sort((a, b) => b[1] - a[1])[0][0]);
+    index.set(mandal, { state, district });
+  });
+  return index;
+}
+
+export const locateTank = (tank) => Object.fromEntries(ADMIN_LEVELS.map((level) => [level, tank[level] || UNASSIGNED]));
+
+export function locateValve(valve, mandals) {
+  const place = mandals.get(valve.mandal);
+  return {
+    state: place?.state || UNASSIGNED,
+    district: place?.district || UNASSIGNED,
+    mandal: valve.mandal || UNASSIGNED,
+    habitation: valve.habitation || UNASSIGNED
+  };
+}
+
+export const inScope = (location, scope = {}) => ADMIN_LEVELS.every((level) => !scope[level] || location[level] === scope[level]);
+
+// { child, equalTo } narrowing a collection to the scope in the database (the deepest
+// scoped level its records carry), or null to load it whole. What comes back can still
+// hold records outside the scope, e.g. a mandal of the same name in another district.
+export function scopeQuery(collection, scope = {}) {
+  const scoped = normalizeScope(scope);
+  const level = [...(QUERY_FIELDS[collection] || [])].reverse().find((field) => scoped[field]);
+  return level ? { child: level, equalTo: scoped[level] } : null;
+}
+
+// What a valve itself supplies, so main and sub valves add up without counting twice: a
+// sub valve its households, a main valve those on its own taps. valveTree as in
+// householdStats (js/analyticsEngine.js); only valves under a main valve are counted there.
+function valveShares(valveTree) {
+  const shares = new Map();
+  valveTree.forEach((node, id) => {
+    if (node.valve?.category !== 'main') return;
+    shares.set(id, {
+      households: node.directHouseholds || 0,
+      served: node.valve.active ? 0 : node.directHouseholds || 0,
+      flow: node.directFlow || 0
+    });
+    (node.children || []).forEach((childId) => {
+      const child = valveTree.get(childId);
+      if (child) shares.set(childId, { households: child.totalHouseholds || 0, served: child.servedHouseholds || 0, flow: child.totalFlow || 0 });
+    });
+  });
+  return shares;
+}
+
+const createNode = (level, name, scope) => ({
+  level,
+  name,
+  scope,
+  children: new Map(),
+  tanks: 0,
+  valves: 0,
+  totalHouseholds: 0,
+  servedHouseholds: 0,
+  supplyFlow: 0,
+  suppliedLitresPerDay: 0,
+  devices: 0,
+  devicesOnline: 0
+});
+
+// The scope's subtree with roll-up KPIs on every node:
+//   { level, name, scope, children: [node], tanks, valves, totalHouseholds, servedHouseholds,
+//     supplyFlow (L/min), suppliedLitresPerDay, devices, devicesOnline }
+// suppliedLitres(tank) → litres drawn per day or null; deviceOnline(tank) → true/false, or
+// null for a tank without a device.
+export function buildHierarchy(scope, { tanks = [], valves = [], valveTree = new Map(), suppliedLitres = () => null, deviceOnline = () => null } = {}) {
+  const scoped = normalizeScope(scope);
+  const depth = scopeDepth(scoped);
+  const root = createNode(depth > 0 ? ADMIN_LEVELS[depth - 1] : null, depth > 0 ? scoped[ADMIN_LEVELS[depth - 1]] : 'All regions', scoped);
+  const mandals = mandalIndex(tanks);
+  const shares = valveShares(valveTree);
+
+  // Every node from the scope down to the location's habitation
+  const chain = (location) => {
+    const nodes = [root];
+    let node = root;
+    ADMIN_LEVELS.slice(depth).forEach((level) => {
+      const name = location[level];
+      if (!node.children.has(name)) node.children.set(name, createNode(level, name, { ...node.scope, [level]: name }));
+      node = node.children.get(name);
+      nodes.push(node);
+    });
+    return nodes;
+  };
+
+  tanks.forEach((tank) => {
+    const location = locateTank(tank);
+    if (!inScope(location, scoped)) return;
+    const supplied = suppliedLitres(tank);
+    const online = deviceOnline(tank);
+    chain(location).forEach((node) => {
+      node.tanks++;
+      if (Number.isFinite(supplied)) node.suppliedLitresPerDay += supplied;
+      if (online !== null) node.devices++;
+      if (online) node.devicesOnline++;
+    });
+  });
+
+  valves.forEach((valve) => {
+    const location = locateValve(valve, mandals);
+    if (!inScope(location, scoped)) return;
+    const share = shares.get(valve.id);
+    chain(location).forEach((node) => {
+      node.valves++;
+      if (!share) return;
+      node.totalHouseholds += share.households;
+      node.servedHouseholds += share.served;
+      node.supplyFlow += share.flow;
+    });
+  });
+
+  const finish = (node) => ({
+    ...node,
+    children: [...node.children.values()]
+      .sort((a, b) => (a.name === UNASSIGNED) - (b.name === UNASSIGNED) || a.name.localeCompare(b.name))
+      .map(finish)
+  });
+  return finish(root);
+}
@@ -0,0 +1,455 @@
+// ==================== HISTORY CHARTS ====================
+// Time-series chart for the history modal, drawn on a canvas so months of 2-minute readings
+// stay responsive:
+//   wheel           zoom the time axis around the pointer
+//   drag            pan
+//   shift + drag    brush a range (onBrush({ from, to }) drives the date filter)
+//   double-click    back to the whole range
+// Series are [{ id, label, color, points: [{ t, v }] }]; bands are shaded time ranges
+// ([{ start, end, label }], e.g. when a tank's valves were closed). Visible series with more
+// than DOWNSAMPLE_THRESHOLD points are thinned with LTTB to about two points per pixel.
+
+export const CHART_METRICS = {
+  level: { label: 'Water level', unit: 'm', decimals: 2 },
+  volume: { label: 'Volume', unit: 'L', decimals: 0 },
+  fill: { label: 'Fill', unit: '%', decimals: 1, min: 0, max: 100 }
+};
+
+export const SERIES_COLORS = ['#0288d1', '#6a1b9a', '#2e7d32', '#ef6c00', '#c2185b', '#00838f', '#5d4037'];
+export const DOWNSAMPLE_THRESHOLD = 5000;
+// Readings further apart than this are not joined by a line
+export const GAP_MS = 60 * 60 * 1000;
+const MIN_SPAN_MS = 60 * 1000;
+const MARGIN = { top: 30, right: 16, bottom: 30, left: 60 };
+const BAND_FILL = 'rgba(211,47,47,0.10)';
+const BAND_EDGE = 'rgba(211,47,47,0.35)';
+
+// Largest-Triangle-Three-Buckets: keeps the first and last point and, from each bucket in
+// between, the point making the largest triangle with its neighbours, so peaks and troughs survive
+export function lttb(points, threshold) {
+  if (threshold >= points.length || threshold < 3) return points;
+  const sampled = [points[0]];
+  const every = (points.length - 2) / (threshold - 2);
+  let a = 0;
+  for (let i = 0; i < threshold - 2; i++) {
+    const nextStart = Math.floor((i + 1) * every) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * every) + 1, points.length);
+    let avgT = 0;
+    let avgV = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgT += points[j].t;
+      avgV += points[j].v;
+    }
+    avgT /= nextEnd - nextStart;
+    avgV /= nextEnd - nextStart;
+
+    const bucketStart = Math.floor(i * every) + 1;
+    const bucketEnd = nextStart;
+    let maxArea = -1;
+    let chosen = bucketStart;
+    for (let j = bucketStart; j < bucketEnd; j++) {
+      const area = Math.abs((points[a].t - avgT) * (points[j].v - points[a].v) - (points[a].t - points[j].t) * (avgV - points[a].v));
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = j;
+      }
+    }
+    sampled.push(points[chosen]);
+    a = chosen;
+  }
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+// Runs of points no more than gapMs apart, sorted by time
+export function splitAtGaps(points, gapMs = GAP_MS) {
+  const sorted = points.filter((p) => Number.isFinite(p.t) && Number.isFinite(p.v)).sort((a, b) => a.t - b.t);
+  const segments = [];
+  sorted.forEach((point, i) => {
+    if (i === 0 || point.t - sorted[i - 1].t > gapMs) segments.push([]);
+    segments[segments.length - 1].push(point);
+  });
+  return segments;
+}
+
+// Points inside [from, to] plus one either side, so lines run to the edge of the plot
+export function visibleSlice(points, from, to) {
+  const firstAtOrAfter = (time) => {
+    let lo = 0;
+    let hi = points.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].t < time) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const start = Math.max(0, firstAtOrAfter(from) - 1);
+  const end = Math.min(points.length, firstAtOrAfter(to) + 1);
+  return points.slice(start, end);
+}
+
+// Round steps for a value axis
+export function niceTicks(min, max, count = 5) {
+  if (!(max > min)) return [min];
+  const raw = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= raw);
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(Number(v.toFixed(10)));
+  return ticks;
+}
+
+const TIME_STEPS = [
+  60e3, 5 * 60e3, 15 * 60e3, 30 * 60e3,
+  3600e3, 3 * 3600e3, 6 * 3600e3, 12 * 3600e3,
+  86400e3, 2 * 86400e3, 7 * 86400e3, 14 * 86400e3, 30 * 86400e3
+];
+
+// Local-time ticks at a round step giving roughly `count` labels
+export function timeTicks(from, to, count = 6) {
+  const step = TIME_STEPS.find((s) => (to - from) / s <= count) || TIME_STEPS[TIME_STEPS.length - 1];
+  const offset = new Date(from).getTimezoneOffset() * 60e3;
+  const ticks = [];
+  for (let t = Math.ceil((from - offset) / step) * step + offset; t <= to; t += step) ticks.push(t);
+  return { ticks, step };
+}
+
+function formatTick(time, step) {
+  const date = new Date(time);
+  if (step >= 86400e3) return date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+  const clock = date.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: false });
+  return date.getHours() === 0 && date.getMinutes() === 0 ? date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' }) : clock;
+}
+
+export function createHistoryChart(canvas, { onBrush = null } = {}) {
+  const ctx = canvas.getContext('2d');
+  let series = [];
+  let bands = [];
+  let metric = CHART_METRICS.level;
+  let extent = null;
+  let view = null;
+  let hoverX = null;
+  let drag = null;
+  let frame = null;
+
+  const size = () => ({ width: canvas.clientWidth, height: canvas.clientHeight });
+  const plot = () => {
+    const { width, height } = size();
+    return { x: MARGIN.left, y: MARGIN.top, w: Math.max(1, width - MARGIN.left - MARGIN.right), h: Math.max(1, height - MARGIN.top - MARGIN.bottom) };
+  };
+  const timeAt = (x) => {
+    const p = plot();
+    return view.from + ((x - p.x) / p.w) * (view.to - view.from);
+  };
+  const xOf = (t) => {
+    const p = plot();
+    return p.x + ((t - view.from) / (view.to - view.from)) * p.w;
+  };
+
+  const clampView = (from, to) => {
+    let span = Math.max(MIN_SPAN_MS, to - from);
+    span = Math.min(span, extent.to - extent.from || MIN_SPAN_MS);
+    const start = Math.max(extent.from, Math.min(from, extent.to - span));
+    return { from: start, to: start + span };
+  };
+
+  // What is drawn: each visible segment, thinned when the view holds too many points
+  function visibleSeries() {
+    const p = plot();
+    return series.map((s) => {
+      const slices = s.segments.map((segment) => visibleSlice(segment, view.from, view.to)).filter((slice) => slice.length > 0);
+      const count = slices.reduce((sum, slice) => sum + slice.length, 0);
+      if (count <= DOWNSAMPLE_THRESHOLD) return { ...s, slices, sampled: false };
+      const target = Math.max(100, Math.round(p.w * 2));
+      return { ...s, slices: slices.map((slice) => lttb(slice, Math.max(3, Math.round((target * slice.length) / count)))), sampled: true };
+    });
+  }
+
+  function valueRange(visible) {
+    if (metric.min !== undefined && metric.max !== undefined) return { min: metric.min, max: metric.max };
+    let min = Infinity;
+    let max = -Infinity;
+    visible.forEach((s) => s.slices.forEach((slice) => slice.forEach((point) => {
+      if (point.v < min) min = point.v;
+      if (point.v > max) max = point.v;
+    })));
+    if (!Number.isFinite(min)) return { min: 0, max: 1 };
+    const pad = (max - min) * 0.08 || Math.abs(max) * 0.05 || 1;
+    return { min: Math.max(0, min - pad), max: max + pad };
+  }
+
+  function draw({ withHover = true } = {}) {
+    frame = null;
+    const dpr = globalThis.devicePixelRatio || 1;
+    const { width, height } = size();
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '11px Inter, sans-serif';
+    if (!view) {
+      ctx.fillStyle = '#8a94a6';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('No readings to chart', width / 2, height / 2);
+      return;
+    }
+
+    const p = plot();
+    const visible = visibleSeries();
+    const range = valueRange(visible);
+    const yOf = (v) => p.y + p.h - ((v - range.min) / (range.max - range.min)) * p.h;
+
+    // Valve bands under everything else
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(p.x, p.y, p.w, p.h);
+    ctx.clip();
+    bands.forEach((band) => {
+      if (band.end < view.from || band.start > view.to) return;
+      const x1 = Math.max(p.x, xOf(band.start));
+      const x2 = Math.min(p.x + p.w, xOf(band.end));
+      ctx.fillStyle = BAND_FILL;
+      ctx.fillRect(x1, p.y, Math.max(1, x2 - x1), p.h);
+      ctx.strokeStyle = BAND_EDGE;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x1, p.y); ctx.lineTo(x1, p.y + p.h);
+      ctx.moveTo(x2, p.y); ctx.lineTo(x2, p.y + p.h);
+      ctx.stroke();
+      if (band.label && x2 - x1 > ctx.measureText(band.label).width + 8) {
+        ctx.fillStyle = '#c62828';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(band.label, x1 + 4, p.y + 4);
+      }
+    });
+    ctx.restore();
+
+    // Grid and axes
+    ctx.strokeStyle = '#eef1f5';
+    ctx.fillStyle = '#5f6b7a';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    niceTicks(range.min, range.max).forEach((v) => {
+      const y = yOf(v);
+      ctx.beginPath(); ctx.moveTo(p.x, y); ctx.lineTo(p.x + p.w, y); ctx.stroke();
+      ctx.fillText(v.toLocaleString('en-IN', { maximumFractionDigits: metric.decimals }), p.x - 6, y);
+    });
+    const { ticks, step } = timeTicks(view.from, view.to, Math.max(2, Math.floor(p.w / 90)));
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ticks.forEach((t) => {
+      const x = xOf(t);
+      ctx.beginPath(); ctx.moveTo(x, p.y); ctx.lineTo(x, p.y + p.h); ctx.stroke();
+      ctx.fillText(formatTick(t, step), x, p.y + p.h + 6);
+    });
+    ctx.strokeStyle = '#c9d1dc';
+    ctx.strokeRect(p.x, p.y, p.w, p.h);
+    ctx.save();
+    ctx.translate(14, p.y + p.h / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${metric.label} (${metric.unit})`, 0, 0);
+    ctx.restore();
+
+    // Series
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(p.x, p.y, p.w, p.h);
+    ctx.clip();
+    visible.forEach((s) => {
+      ctx.strokeStyle = s.color;
+      ctx.lineWidth = 1.6;
+      ctx.lineJoin = 'round';
+      s.slices.forEach((slice) => {
+        ctx.beginPath();
+        slice.forEach((point, i) => {
+          const x = xOf(point.t);
+          const y = yOf(point.v);
+          if (i === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        });
+        if (slice.length === 1) ctx.arc(xOf(slice[0].t), yOf(slice[0].v), 2, 0, Math.PI * 2);
+        ctx.stroke();
+      });
+    });
+    ctx.restore();
+
+    // Legend
+    let lx = p.x;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const legend = visible.map((s) => ({ color: s.color, label: s.sampled ? `${s.label} (downsampled)` : s.label }));
+    if (bands.length > 0) legend.push({ color: BAND_EDGE, label: 'Valve closed', band: true });
+    legend.forEach((item) => {
+      ctx.fillStyle = item.band ? BAND_FILL : item.color;
+      ctx.fillRect(lx, 10, 14, item.band ? 10 : 3);
+      if (item.band) {
+        ctx.strokeStyle = item.color;
+        ctx.strokeRect(lx, 10, 14, 10);
+      }
+      ctx.fillStyle = '#2d3748';
+      ctx.fillText(item.label, lx + 18, 15);
+      lx += 18 + ctx.measureText(item.label).width + 16;
+    });
+
+    // Brush
+    if (drag?.brush) {
+      const x1 = Math.max(p.x, Math.min(drag.startX, drag.x));
+      const x2 = Math.min(p.x + p.w, Math.max(drag.startX, drag.x));
+      ctx.fillStyle = 'rgba(2,136,209,0.12)';
+      ctx.fillRect(x1, p.y, x2 - x1, p.h);
+      ctx.strokeStyle = '#0288d1';
+      ctx.strokeRect(x1, p.y, x2 - x1, p.h);
+    }
+
+    // Crosshair with the nearest reading of each series
+    if (withHover && hoverX !== null && !drag && hoverX >= p.x && hoverX <= p.x + p.w) {
+      const t = timeAt(hoverX);
+      ctx.strokeStyle = 'rgba(45,55,72,0.4)';
+      ctx.beginPath(); ctx.moveTo(hoverX, p.y); ctx.lineTo(hoverX, p.y + p.h); ctx.stroke();
+      const lines = [new Date(t).toLocaleString('en-IN')];
+      visible.forEach((s) => {
+        const near = nearestPoint(s.slices, t);
+        if (!near) return;
+        ctx.fillStyle = s.color;
+        ctx.beginPath(); ctx.arc(xOf(near.t), yOf(near.v), 3.5, 0, Math.PI * 2); ctx.fill();
+        lines.push(`${s.label}: ${near.v.toLocaleString('en-IN', { maximumFractionDigits: metric.decimals })} ${metric.unit}`);
+      });
+      const boxW = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 16;
+      const boxX = hoverX + boxW + 12 > p.x + p.w ? hoverX - boxW - 8 : hoverX + 8;
+      ctx.fillStyle = 'rgba(255,255,255,0.94)';
+      ctx.strokeStyle = '#c9d1dc';
+      ctx.fillRect(boxX, p.y + 8, boxW, lines.length * 16 + 8);
+      ctx.strokeRect(boxX, p.y + 8, boxW, lines.length * 16 + 8);
+      ctx.fillStyle = '#2d3748';
+      lines.forEach((line, i) => ctx.fillText(line, boxX + 8, p.y + 20 + i * 16));
+    }
+  }
+
+  function nearestPoint(slices, t) {
+    let best = null;
+    slices.forEach((slice) => {
+      const around = visibleSlice(slice, t, t);
+      around.forEach((point) => {
+        if (!best || Math.abs(point.t - t) < Math.abs(best.t - t)) best = point;
+      });
+    });
+    return best;
+  }
+
+  const requestDraw = () => {
+    if (!frame) frame = requestAnimationFrame(() => draw());
+  };
+
+  const pointerX = (event) => event.clientX - canvas.getBoundingClientRect().left;
+
+  function onWheel(event) {
+    if (!view) return;
+    event.preventDefault();
+    const t = timeAt(pointerX(event));
+    const factor = event.deltaY > 0 ? 1.25 : 0.8;
+    view = clampView(t - (t - view.from) * factor, t + (view.to - t) * factor);
+    requestDraw();
+  }
+
+  function onPointerDown(event) {
+    if (!view || event.button !== 0) return;
+    canvas.setPointerCapture(event.pointerId);
+    const x = pointerX(event);
+    drag = { startX: x, x, brush: event.shiftKey, view: { ...view } };
+  }
+
+  function onPointerMove(event) {
+    const x = pointerX(event);
+    hoverX = x;
+    if (drag) {
+      drag.x = x;
+      if (!drag.brush) {
+        const shift = ((drag.startX - x) / plot().w) * (drag.view.to - drag.view.from);
+        view = clampView(drag.view.from + shift, drag.view.to + shift);
+      }
+    }
+    requestDraw();
+  }
+
+  function onPointerUp() {
+    if (drag?.brush && Math.abs(drag.x - drag.startX) > 4) {
+      const from = timeAt(Math.min(drag.startX, drag.x));
+      const to = timeAt(Math.max(drag.startX, drag.x));
+      view = clampView(from, to);
+      if (onBrush) onBrush({ from: view.from, to: view.to });
+    }
+    drag = null;
+    requestDraw();
+  }
+
+  function onPointerLeave() {
+    hoverX = null;
+    requestDraw();
+  }
+
+  function resetZoom() {
+    if (extent) view = { ...extent };
+    requestDraw();
+  }
+
+  canvas.addEventListener('wheel', onWheel, { passive: false });
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointerleave', onPointerLeave);
+  canvas.addEventListener('dblclick', resetZoom);
+  const resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(requestDraw) : null;
+  if (resizeObserver) resizeObserver.observe(canvas);
+
+  return {
+    // Keeps the current zoom when the new data still covers it
+    setData({ series: nextSeries = [], bands: nextBands = [], metric: metricKey = 'level' } = {}) {
+      metric = CHART_METRICS[metricKey] || CHART_METRICS.level;
+      series = nextSeries.map((s, i) => ({ ...s, color: s.color || SERIES_COLORS[i % SERIES_COLORS.length], segments: splitAtGaps(s.points || []) }));
+      bands = nextBands;
+      const times = series.flatMap((s) => s.segments.flatMap((segment) => [segment[0].t, segment[segment.length - 1].t]));
+      extent = times.length > 0 ? { from: Math.min(...times), to: Math.max(...times) } : null;
+      if (extent && extent.to - extent.from < MIN_SPAN_MS) extent = { from: extent.from - MIN_SPAN_MS / 2, to: extent.to + MIN_SPAN_MS / 2 };
+      if (!extent) view = null;
+      else if (!view || view.from < extent.from || view.to > extent.to) view = { ...extent };
+      requestDraw();
+    },
+
+    setView(from, to) {
+      if (extent) view = clampView(from, to);
+      requestDraw();
+    },
+
+    get view() {
+      return view ? { ...view } : null;
+    },
+
+    resetZoom,
+
+    // The chart as drawn, without the hover readout
+    toPNG() {
+      draw({ withHover: false });
+      return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    },
+
+    destroy() {
+      if (frame) cancelAnimationFrame(frame);
+      if (resizeObserver) resizeObserver.disconnect();
+      canvas.removeEventListener('wheel', onWheel);
+      canvas.removeEventListener('pointerdown', onPointerDown);
+      canvas.removeEventListener('pointermove', onPointerMove);
+      canvas.removeEventListener('pointerup', onPointerUp);
+      canvas.removeEventListener('pointerleave', onPointerLeave);
+      canvas.removeEventListener('dblclick', resetZoom);
+    }
+  };
+}
@@ -0,0 +1,72 @@
+import { joinPath } from './backends/paths.js';
+import {
+  RAW_RETENTION_DAYS, ROLLUP_RESOLUTIONS, timeKey, keyTime, keyRange, bucketStart, bucketEnd, summarizeHour, summarizeDay
+} from './historyRollups.js';
+
+// ==================== HISTORY COMPACTION ====================
+// Rollups (js/historyRollups.js) rebuilt through any storage backend, and the retention
+// policy for raw points. Compaction deletes data, so it runs in one privileged place,
+// server/analyticsService.js, not in every open page.
+
+const COMPACT_BATCH_SIZE = 500;
+const MAX_COMPACT_BATCHES = 200;
+const DELETE_CHUNK_SIZE = 500;
+
+export const rollupPath = (deviceType, deviceId, ...rest) => joinPath('historyRollups', deviceType, deviceId, ...rest);
+
+// Rebuilds the hourly rollups of these hours from their raw points, then the daily rollups
+// of their days from the hours. Returns the raw points read, by hour start.
+export async function rollUpHours(backend, deviceType, deviceId, hours) {
+  const pointsByHour = new Map();
+  if (hours.length === 0) return pointsByHour;
+  const hourUpdates = {};
+  for (const start of hours) {
+    const points = (await backend.readHistoryRange(deviceType, deviceId, keyRange(start, bucketEnd(start, 'hour') - 1))) || {};
+    pointsByHour.set(start, points);
+    hourUpdates[rollupPath(deviceType, deviceId, 'hour', timeKey(start))] = summarizeHour(Object.values(points), start);
+  }
+  await backend.update(hourUpdates);
+
+  const dayUpdates = {};
+  for (const start of new Set(hours.map((hour) => bucketStart(hour, 'day')))) {
+    const dayHours = await backend.readRange(rollupPath(deviceType, deviceId, 'hour'), keyRange(start, bucketEnd(start, 'day') - 1));
+    dayUpdates[rollupPath(deviceType, deviceId, 'day', timeKey(start))] = summarizeDay(Object.values(dayHours || {}), start);
+  }
+  await backend.update(dayUpdates);
+  return pointsByHour;
+}
+
+// Deletes raw points from the hours that ended before the cutoff. Each hour is rebuilt from
+// all its points, whatever rollup it had, and then deleted whole, so no hour is ever left
+// with part of its points and a rollup of the rest.
+export async function compactHistory(backend, deviceType, deviceId, cutoff) {
+  const before = bucketStart(cutoff, 'hour');
+  let removed = 0;
+  for (let batch = 0; batch < MAX_COMPACT_BATCHES; batch++) {
+    const old = await backend.readHistoryRange(deviceType, deviceId, { ...keyRange(1, before - 1), limit: COMPACT_BATCH_SIZE });
+    const keys = Object.keys(old || {});
+    if (keys.length === 0) break;
+    const hours = [...new Set(keys.map((key) => bucketStart(keyTime(key), 'hour')))];
+    const pointsByHour = await rollUpHours(backend, deviceType, deviceId, hours);
+    const doomed = [...pointsByHour.values()].flatMap((points) => Object.keys(points));
+    for (let i = 0; i < doomed.length; i += DELETE_CHUNK_SIZE) {
+      await backend.update(Object.fromEntries(doomed.slice(i, i + DELETE_CHUNK_SIZE).map((key) => [backend.historyPath(deviceType, deviceId, key), null])));
+    }
+    removed += doomed.length;
+    if (keys.length < COMPACT_BATCH_SIZE) break;
+  }
+  if (removed > 0) console.log(`🧹 Compacted ${removed} raw points for ${deviceType}/${deviceId}`);
+  return removed;
+}
+
+// The retention policy over every device with history
+export async function compactAllHistory(backend, { retentionDays = RAW_RETENTION_DAYS, now = Date.now() } = {}) {
+  const cutoff = now - retentionDays * ROLLUP_RESOLUTIONS.day;
+  let removed = 0;
+  for (const deviceType of await backend.listKeys('history')) {
+    for (const deviceId of await backend.listKeys(joinPath('history', deviceType))) {
+      removed += await compactHistory(backend, deviceType, deviceId, cutoff);
+    }
+  }
+  return removed;
+}
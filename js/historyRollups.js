@@ -0,0 +1,133 @@
+// ==================== HISTORY ROLLUPS ====================
+// history/{type}/{id}/{key} holds raw points keyed by time, so a date range is a key range:
+//   13-digit epoch milliseconds, optionally followed by '_' and whatever made the point unique
+//   ('1767225600000' for app-written points, '1767225600000_84213_1_25' for device readings).
+//   Points whose time is unknown sit under UNPLACED_KEY_PREFIX until they are re-stamped.
+// historyRollups/{type}/{id}/{hour|day}/{bucketKey} summarise them per local hour and day:
+//   { start, resolution, count, level: { min, max, avg, count }, volume: {…}, supply: {…} }
+// Hours are rebuilt from their raw points and days from their hours whenever points are
+// written, so a repeated write cannot count twice. Raw points older than RAW_RETENTION_DAYS
+// are deleted once their hour is rolled up (js/historyCompaction.js); rollups are kept.
+
+export const RAW_RETENTION_DAYS = 30;
+export const HISTORY_KEY_VERSION = 2;
+export const UNPLACED_KEY_PREFIX = '0000000000000';
+export const ROLLUP_RESOLUTIONS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+export const RESOLUTION_LABELS = { raw: 'Raw readings', hour: 'Hourly', day: 'Daily' };
+
+// Longest span each resolution is picked for automatically
+const RAW_MAX_SPAN_MS = 3 * ROLLUP_RESOLUTIONS.day;
+const HOURLY_MAX_SPAN_MS = 62 * ROLLUP_RESOLUTIONS.day;
+const KEY_DIGITS = 13;
+const KEY_END = '\uf8ff';
+
+// What each rollup summarises: level and volume for tanks, supply flow for both
+export const ROLLUP_FIELDS = {
+  level: (entry) => entry.filteredWaterLevel ?? entry.waterLevel,
+  volume: (entry) => entry.currentVolume,
+  supply: (entry) => entry.mainFlowRate ?? entry.supplyFlow
+};
+
+export function timeKey(timestamp, suffix = '') {
+  const key = String(Math.max(0, Math.round(Number(timestamp) || 0))).padStart(KEY_DIGITS, '0');
+  return suffix === '' ? key : `${key}_${String(suffix).replace(/[.#$/[\]]/g, '_')}`;
+}
+
+export const isTimeKey = (key) => /^\d{13}(_|$)/.test(key);
+
+export const keyTime = (key) => (isTimeKey(key) ? Number(key.slice(0, KEY_DIGITS)) : null);
+
+// Every key for points from `from` to `to`, both inclusive
+export function keyRange(from, to) {
+  return { startKey: timeKey(from), endKey: timeKey(to) + KEY_END };
+}
+
+export const UNPLACED_RANGE = { startKey: UNPLACED_KEY_PREFIX, endKey: UNPLACED_KEY_PREFIX + KEY_END };
+
+// Start of the local hour or day a time falls in
+export function bucketStart(timestamp, resolution) {
+  const date = new Date(timestamp);
+  if (resolution === 'day') date.setHours(0, 0, 0, 0);
+  else date.setMinutes(0, 0, 0);
+  return date.getTime();
+}
+
+export function bucketEnd(start, resolution) {
+  if (resolution === 'hour') return start + ROLLUP_RESOLUTIONS.hour;
+  const next = new Date(start);
+  next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+const emptyStats = () => ({ min: Infinity, max: -Infinity, total: 0, count: 0 });
+
+function addStat(stats, value, weight = 1, min = value, max = value) {
+  if (!Number.isFinite(value)) return;
+  stats.min = Math.min(stats.min, min);
+  stats.max = Math.max(stats.max, max);
+  stats.total += value * weight;
+  stats.count += weight;
+}
+
+const finishStats = (stats) => (stats.count === 0 ? null : {
+  min: stats.min,
+  max: stats.max,
+  avg: stats.total / stats.count,
+  count: stats.count
+});
+
+// One hour's raw points → its rollup, or null when it has none
+export function summarizeHour(entries, start) {
+  const stats = Object.fromEntries(Object.keys(ROLLUP_FIELDS).map((field) => [field, emptyStats()]));
+  entries.forEach((entry) => {
+    Object.entries(ROLLUP_FIELDS).forEach(([field, read]) => {
+      const value = read(entry);
+      if (value !== undefined && value !== null) addStat(stats[field], Number(value));
+    });
+  });
+  if (entries.length === 0) return null;
+  return {
+    start,
+    resolution: 'hour',
+    count: entries.length,
+    ...Object.fromEntries(Object.entries(stats).map(([field, s]) => [field, finishStats(s)]))
+  };
+}
+
+// A day's hourly rollups → its rollup; averages are weighted by how many points each hour had
+export function summarizeDay(hours, start) {
+  const stats = Object.fromEntries(Object.keys(ROLLUP_FIELDS).map((field) => [field, emptyStats()]));
+  hours.forEach((hour) => {
+    Object.keys(ROLLUP_FIELDS).forEach((field) => {
+      const s = hour[field];
+      if (s) addStat(stats[field], s.avg, s.count, s.min, s.max);
+    });
+  });
+  if (hours.length === 0) return null;
+  return {
+    start,
+    resolution: 'day',
+    count: hours.reduce((sum, hour) => sum + (hour.count || 0), 0),
+    ...Object.fromEntries(Object.entries(stats).map(([field, s]) => [field, finishStats(s)]))
+  };
+}
+
+// Raw points for short spans, hourly rollups up to about two months, daily beyond that.
+// Raw points are only asked for while the whole span is still within retention.
+export function chooseResolution(from, to, { now = Date.now(), retentionDays = RAW_RETENTION_DAYS } = {}) {
+  const span = to - from;
+  if (span <= RAW_MAX_SPAN_MS && from >= now - retentionDays * ROLLUP_RESOLUTIONS.day) return 'raw';
+  return span <= HOURLY_MAX_SPAN_MS ? 'hour' : 'day';
+}
+
+// A rollup shaped like a history entry (averages in the usual fields) for tables, charts and CSV
+export function rollupEntry(rollup) {
+  return {
+    timestamp: rollup.start,
+    waterLevel: rollup.level?.avg ?? null,
+    currentVolume: rollup.volume?.avg ?? null,
+    mainFlowRate: rollup.supply?.avg ?? null,
+    supplyFlow: rollup.supply?.avg ?? null,
+    rollup
+  };
+}
@@ -0,0 +1,275 @@
+// ==================== HYDRAULIC NETWORK SOLVER ====================
+// Steady-state pipe network analysis using the Hazen-Williams head loss formula
+// and the Todini-Pilati global gradient algorithm (same approach as EPANET).
+// Flows are exchanged in L/min to match the rest of the app; internally SI units are used.
+
+// Hazen-Williams roughness coefficient (C) by pipe material
+export const HAZEN_WILLIAMS_C = {
+  PVC: 150,
+  HDPE: 140,
+  DI: 130,
+  GI: 120,
+  CI: 100
+};
+export const DEFAULT_HAZEN_WILLIAMS_C = 130;
+
+const HW_EXPONENT = 1.852;
+const HW_CONSTANT = 10.67; // SI form: h = 10.67 * L * Q^1.852 / (C^1.852 * D^4.87)
+const MIN_FLOW_M3S = 1e-7; // keeps the linearised conductance finite for idle pipes
+const MIN_LENGTH_M = 0.1;
+const MIN_CG_ITERATIONS = 500;
+const LPM_PER_M3S = 60000;
+const EARTH_RADIUS_M = 6371000;
+
+export const lpmToM3s = (lpm) => (lpm || 0) / LPM_PER_M3S;
+export const m3sToLpm = (m3s) => (m3s || 0) * LPM_PER_M3S;
+
+// Great-circle distance between two {lat, lng} points in metres
+export function haversineMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export function roughnessForMaterial(material) {
+  return HAZEN_WILLIAMS_C[String(material || '').toUpperCase()] || DEFAULT_HAZEN_WILLIAMS_C;
+}
+
+// Resistance r in h = r * Q^1.852 (h in m, Q in m³/s)
+export function pipeResistance(lengthM, diameterMM, roughnessC) {
+  const length = Math.max(MIN_LENGTH_M, lengthM || 0);
+  const diameter = Math.max(1, diameterMM || 0) / 1000;
+  const c = roughnessC || DEFAULT_HAZEN_WILLIAMS_C;
+  return (HW_CONSTANT * length) / (Math.pow(c, HW_EXPONENT) * Math.pow(diameter, 4.87));
+}
+
+// Jacobi-preconditioned conjugate gradient for the symmetric head matrix. CG needs at most
+// one step per unknown in exact arithmetic, so the step limit grows with the network.
+function solveLinearSystem(diag, offDiag, rhs, x0, maxIterations = Math.max(MIN_CG_ITERATIONS, 2 * rhs.length), tolerance = 1e-10) {
+  const n = rhs.length;
+  const x = Float64Array.from(x0);
+  const multiply = (v, out) => {
+    for (let i = 0; i < n; i++) {
+      let sum = diag[i] * v[i];
+      const row = offDiag[i];
+      for (let k = 0; k < row.length; k++) sum += row[k].value * v[row[k].col];
+      out[i] = sum;
+    }
+  };
+
+  const r = new Float64Array(n);
+  const z = new Float64Array(n);
+  const p = new Float64Array(n);
+  const Ap = new Float64Array(n);
+  multiply(x, Ap);
+  let rhsNorm = 0;
+  for (let i = 0; i < n; i++) {
+    r[i] = rhs[i] - Ap[i];
+    z[i] = r[i] / diag[i];
+    p[i] = z[i];
+    rhsNorm += rhs[i] * rhs[i];
+  }
+  let rz = 0;
+  for (let i = 0; i < n; i++) rz += r[i] * z[i];
+  const threshold = tolerance * Math.max(1e-30, rhsNorm);
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    let rr = 0;
+    for (let i = 0; i < n; i++) rr += r[i] * r[i];
+    if (rr <= threshold) break;
+
+    multiply(p, Ap);
+    let pAp = 0;
+    for (let i = 0; i < n; i++) pAp += p[i] * Ap[i];
+    if (pAp === 0) break;
+    const alpha = rz / pAp;
+    for (let i = 0; i < n; i++) {
+      x[i] += alpha * p[i];
+      r[i] -= alpha * Ap[i];
+      z[i] = r[i] / diag[i];
+    }
+    let rzNext = 0;
+    for (let i = 0; i < n; i++) rzNext += r[i] * z[i];
+    const beta = rzNext / rz;
+    rz = rzNext;
+    for (let i = 0; i < n; i++) p[i] = z[i] + beta * p[i];
+  }
+  return x;
+}
+
+// Solve a pipe network.
+// network.nodes: [{ id, elevation?, demand? (L/min), head? (m, fixed for tanks) }]
+// network.links: [{ id, from, to, length (m), diameter (mm), roughness (C), open? }]
+// Returns per-link flow (L/min, positive from -> to), head loss (m) and velocity (m/s),
+// and per-node head and pressure head (m). Nodes that cannot be reached from a tank
+// through open links are reported as unsupplied.
+export function solveNetwork(network, { maxIterations = 40, tolerance = 1e-4 } = {}) {
+  const nodes = network?.nodes || [];
+  const links = network?.links || [];
+  const nodeIndex = new Map();
+  nodes.forEach((node, i) => nodeIndex.set(node.id, i));
+
+  const fixed = nodes.map((node) => Number.isFinite(node.head));
+  const adjacency = nodes.map(() => []);
+  const activeLinks = [];
+
+  links.forEach((link) => {
+    const from = nodeIndex.get(link.from);
+    const to = nodeIndex.get(link.to);
+    if (from === undefined || to === undefined || from === to) return;
+    if (link.open === false) return;
+    const entry = {
+      link,
+      from,
+      to,
+      r: pipeResistance(link.length, link.diameter, link.roughness),
+      area: Math.PI * Math.pow(Math.max(1, link.diameter || 0) / 2000, 2),
+      q: 0
+    };
+    adjacency[from].push(entry);
+    adjacency[to].push(entry);
+    activeLinks.push(entry);
+  });
+
+  // Only nodes hydraulically connected to a tank take part in the solve
+  const reachable = new Array(nodes.length).fill(false);
+  const queue = [];
+  fixed.forEach((isFixed, i) => {
+    if (isFixed) {
+      reachable[i] = true;
+      queue.push(i);
+    }
+  });
+  while (queue.length > 0) {
+    const i = queue.pop();
+    adjacency[i].forEach((entry) => {
+      const other = entry.from === i ? entry.to : entry.from;
+      if (!reachable[other]) {
+        reachable[other] = true;
+        queue.push(other);
+      }
+    });
+  }
+
+  const unknownIndex = new Array(nodes.length).fill(-1);
+  const unknowns = [];
+  nodes.forEach((node, i) => {
+    if (reachable[i] && !fixed[i]) {
+      unknownIndex[i] = unknowns.length;
+      unknowns.push(i);
+    }
+  });
+
+  const heads = nodes.map((node, i) => (fixed[i] ? node.head : null));
+  const solvedLinks = activeLinks.filter((entry) => reachable[entry.from] && reachable[entry.to]);
+  const demandM3s = nodes.map((node) => lpmToM3s(node.demand));
+
+  // Start every pipe at 0.3 m/s, as EPANET does with 1 ft/s
+  solvedLinks.forEach((entry) => {
+    entry.q = entry.area * 0.3;
+  });
+
+  const maxFixedHead = nodes.reduce((max, node, i) => (fixed[i] ? Math.max(max, node.head) : max), 0);
+  let x = new Float64Array(unknowns.length).fill(maxFixedHead);
+  let converged = unknowns.length === 0 && solvedLinks.length === 0;
+  let iterations = 0;
+
+  if (unknowns.length > 0 || solvedLinks.length > 0) {
+    for (iterations = 1; iterations <= maxIterations; iterations++) {
+      const diag = new Float64Array(unknowns.length);
+      const offDiag = unknowns.map(() => []);
+      const rhs = new Float64Array(unknowns.length);
+
+      unknowns.forEach((nodeIdx, u) => {
+        rhs[u] = -demandM3s[nodeIdx];
+      });
+
+      solvedLinks.forEach((entry) => {
+        const qAbs = Math.max(MIN_FLOW_M3S, Math.abs(entry.q));
+        entry.p = 1 / (HW_EXPONENT * entry.r * Math.pow(qAbs, HW_EXPONENT - 1));
+        entry.residual = entry.q * (1 - 1 / HW_EXPONENT); // q - y, where y = p * h(q) = q / n
+
+        const uFrom = unknownIndex[entry.from];
+        const uTo = unknownIndex[entry.to];
+        if (uFrom >= 0) {
+          diag[uFrom] += entry.p;
+          rhs[uFrom] -= entry.residual;
+          if (uTo >= 0) offDiag[uFrom].push({ col: uTo, value: -entry.p });
+          else rhs[uFrom] += entry.p * heads[entry.to];
+        }
+        if (uTo >= 0) {
+          diag[uTo] += entry.p;
+          rhs[uTo] += entry.residual;
+          if (uFrom >= 0) offDiag[uTo].push({ col: uFrom, value: -entry.p });
+          else rhs[uTo] += entry.p * heads[entry.from];
+        }
+      });
+
+      x = solveLinearSystem(diag, offDiag, rhs, x);
+      unknowns.forEach((nodeIdx, u) => {
+        heads[nodeIdx] = x[u];
+      });
+
+      let change = 0;
+      let total = 0;
+      solvedLinks.forEach((entry) => {
+        const next = entry.residual + entry.p * (heads[entry.from] - heads[entry.to]);
+        change += Math.abs(next - entry.q);
+        total += Math.abs(next);
+        entry.q = next;
+      });
+
+      if (total === 0 || change / total < tolerance) {
+        converged = true;
+        break;
+      }
+    }
+  }
+
+  const linkResults = new Map();
+  links.forEach((link) => {
+    linkResults.set(link.id, { flow: 0, headLoss: 0, velocity: 0, supplied: false, open: link.open !== false });
+  });
+  solvedLinks.forEach((entry) => {
+    const q = Math.abs(entry.q) < MIN_FLOW_M3S ? 0 : entry.q;
+    linkResults.set(entry.link.id, {
+      flow: m3sToLpm(q),
+      headLoss: entry.r * Math.sign(q) * Math.pow(Math.abs(q), HW_EXPONENT),
+      velocity: Math.abs(q) / entry.area,
+      supplied: true,
+      open: true
+    });
+  });
+  // Closed links that touch the supplied network are reported as blocked, not idle
+  links.forEach((link) => {
+    if (link.open !== false) return;
+    const from = nodeIndex.get(link.from);
+    const to = nodeIndex.get(link.to);
+    const touchesSupply = (from !== undefined && reachable[from]) || (to !== undefined && reachable[to]);
+    linkResults.set(link.id, { flow: 0, headLoss: 0, velocity: 0, supplied: touchesSupply, open: false });
+  });
+
+  const nodeResults = new Map();
+  let unservedDemand = 0;
+  nodes.forEach((node, i) => {
+    const head = reachable[i] ? heads[i] : null;
+    if (!reachable[i]) unservedDemand += node.demand || 0;
+    nodeResults.set(node.id, {
+      head,
+      pressure: head === null ? null : head - (node.elevation || 0),
+      supplied: reachable[i]
+    });
+  });
+
+  return {
+    converged,
+    iterations,
+    links: linkResults,
+    nodes: nodeResults,
+    unservedDemand
+  };
+}
@@ -0,0 +1,165 @@
+// ==================== LEAK DETECTION ====================
+// Non-revenue water from tank level history. Two independent signs of a leak or an
+// illegal connection downstream of a tank:
+//
+//   closed-valve drawdown  while every main valve on the tank is closed nothing should
+//                          leave it, so any sustained fall in volume is loss
+//   minimum night flow     between 2 and 4 AM legitimate use is close to zero; the lowest
+//                          night-time outflow over several nights, less an allowance per
+//                          household, is the background leakage of the zone
+//
+// Rates come from a least-squares line through the volumes in each window, so single
+// noisy readings barely move them. Valve state comes from the valve history the app
+// records on every open / close.
+
+export const NIGHT_START_HOUR = 2;
+export const NIGHT_END_HOUR = 4;
+// Legitimate night use per household (toilet cisterns, taps left on), L/h
+export const NIGHT_USE_LPH_PER_HOUSEHOLD = 1.7;
+// Loss below this is within what the sensor can resolve
+export const MIN_LEAK_LPH = 20;
+
+// A closed window has to last this long, with this many readings, before its loss counts
+const MIN_CLOSED_MINUTES = 30;
+const MIN_WINDOW_POINTS = 4;
+// The fitted drop over a window must exceed this much level to be more than noise
+const MIN_DROP_M = 0.005;
+// Night windows need readings over most of the two hours
+const MIN_NIGHT_COVERAGE = 0.75;
+// Minimum night flow only counts as sustained over at least this many nights
+const MIN_NIGHTS = 2;
+
+// Least-squares slope of volume over time in L/h: { slopeLph, hours, points }
+function fitRate(points) {
+  if (points.length < MIN_WINDOW_POINTS) return null;
+  const t0 = points[0].at;
+  const xs = points.map((point) => (point.at - t0) / 3600000);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = points.reduce((sum, point) => sum + point.volumeL, 0) / points.length;
+  let num = 0;
+  let den = 0;
+  xs.forEach((x, i) => {
+    num += (x - meanX) * (points[i].volumeL - meanY);
+    den += (x - meanX) ** 2;
+  });
+  if (den === 0) return null;
+  return { slopeLph: num / den, hours: xs[xs.length - 1], points: points.length };
+}
+
+// history: valve history entries [{ timestamp, active }]; current: closed now
+// Returns closedAt(time): true / false. Before the first recorded change the valve is
+// taken to be in the opposite state; a valve with no history has always been as it is now.
+export function valveStateTimeline(history, current) {
+  const changes = history
+    .map((entry) => ({ at: Number(entry.timestamp), closed: entry.active === true || entry.valveState === 'closed' }))
+    .filter((change) => Number.isFinite(change.at))
+    .sort((a, b) => a.at - b.at);
+  return {
+    changes,
+    closedAt(time) {
+      if (changes.length === 0) return !!current;
+      let state = !changes[0].closed;
+      for (const change of changes) {
+        if (change.at > time) break;
+        state = change.closed;
+      }
+      return state;
+    }
+  };
+}
+
+// Windows within [from, to] during which every timeline says closed
+export function closedIntervals(timelines, from, to) {
+  if (timelines.length === 0) return [];
+  const boundaries = [...new Set([from, to, ...timelines.flatMap((timeline) => timeline.changes.map((change) => change.at))])]
+    .filter((at) => at >= from && at <= to)
+    .sort((a, b) => a - b);
+  const intervals = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    if (!timelines.every((timeline) => timeline.closedAt(start))) continue;
+    const last = intervals[intervals.length - 1];
+    if (last && last.end === start) last.end = end;
+    else intervals.push({ start, end });
+  }
+  return intervals;
+}
+
+const nightsBetween = (from, to) => {
+  const nights = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  for (; day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+    const start = new Date(day).setHours(NIGHT_START_HOUR, 0, 0, 0);
+    const end = new Date(day).setHours(NIGHT_END_HOUR, 0, 0, 0);
+    const date = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+    if (start >= from && end <= to) nights.push({ date, start, end });
+  }
+  return nights;
+};
+
+// points:       [{ at, volumeL }] from the tank's level history
+// timelines:    valveStateTimeline() for each main valve on the tank
+// households:   households served by the tank
+// surfaceAreaM2 turns MIN_DROP_M into litres
+export function detectLeaks(points, { timelines = [], households = 0, surfaceAreaM2 = 0, now = Date.now() } = {}) {
+  const sorted = points.filter((point) => Number.isFinite(point.at) && Number.isFinite(point.volumeL)).sort((a, b) => a.at - b.at);
+  const minDropL = Math.max(1, surfaceAreaM2 * MIN_DROP_M * 1000);
+  const within = (start, end) => sorted.filter((point) => point.at >= start && point.at <= end);
+  const from = sorted.length > 0 ? sorted[0].at : now;
+  const to = sorted.length > 0 ? sorted[sorted.length - 1].at : now;
+
+  const closedWindows = closedIntervals(timelines, from, to)
+    .filter((interval) => interval.end - interval.start >= MIN_CLOSED_MINUTES * 60000)
+    .map((interval) => {
+      const fit = fitRate(within(interval.start, interval.end));
+      if (!fit) return null;
+      const lossLph = -fit.slopeLph;
+      const dropL = lossLph * fit.hours;
+      return { ...interval, lossLph, dropL, significant: lossLph >= MIN_LEAK_LPH && dropL >= minDropL };
+    })
+    .filter(Boolean);
+
+  const nights = nightsBetween(from, to)
+    .map((night) => {
+      const windowPoints = within(night.start, night.end);
+      const fit = fitRate(windowPoints);
+      if (!fit || fit.hours < (NIGHT_END_HOUR - NIGHT_START_HOUR) * MIN_NIGHT_COVERAGE) return null;
+      const closed = timelines.length > 0 && timelines.every((timeline) => timeline.closedAt(night.start) && timeline.closedAt(night.end));
+      return { ...night, outflowLph: -fit.slopeLph, closed };
+    })
+    // A tank being filled at night hides its outflow
+    .filter((night) => night && night.outflowLph >= 0);
+
+  const significant = closedWindows.filter((window) => window.significant);
+  const mnfLph = nights.length >= MIN_NIGHTS ? Math.min(...nights.map((night) => night.outflowLph)) : null;
+  const expectedNightLph = households * NIGHT_USE_LPH_PER_HOUSEHOLD;
+  const excessNightLph = mnfLph !== null ? mnfLph - expectedNightLph : null;
+
+  const reasons = [];
+  if (significant.length > 0) {
+    const worst = significant.reduce((best, window) => (window.lossLph > best.lossLph ? window : best));
+    reasons.push(`Level fell ${Math.round(worst.dropL).toLocaleString()} L over ${((worst.end - worst.start) / 3600000).toFixed(1)} h with all main valves closed`);
+  }
+  if (excessNightLph !== null && excessNightLph >= MIN_LEAK_LPH) {
+    reasons.push(`Minimum night flow ${Math.round(mnfLph)} L/h over ${nights.length} nights, ${Math.round(expectedNightLph)} L/h expected`);
+  }
+
+  // Closed-valve loss is the direct measurement; night flow is the fallback estimate
+  const sortedLoss = significant.map((window) => window.lossLph).sort((a, b) => a - b);
+  const leakLph = sortedLoss.length > 0
+    ? sortedLoss[Math.floor(sortedLoss.length / 2)]
+    : excessNightLph !== null && excessNightLph >= MIN_LEAK_LPH ? excessNightLph : null;
+
+  return {
+    closedWindows,
+    nights,
+    mnfLph,
+    expectedNightLph,
+    excessNightLph,
+    leakLph,
+    suspect: reasons.length > 0,
+    reasons
+  };
+}
@@ -1,3 +1,8 @@
+import { normalizeFilterSettings } from './signalFilter.js';
+import { DEFAULT_PERSONS_PER_HOUSEHOLD } from './supplyAnalytics.js';
+import { normalizeSchedule } from './valveSchedule.js';
+import { TANK_SHAPES, volumeAtLevel, surfaceAreaAt, overflowLevel, deadStorageLevel, parseCalibrationTable } from './tankGeometry.js';
+
 export class Tank {
   constructor(data) {
     Object.assign(this, {
@@ -13,6 +18,14 @@ export class Tank {
       height: parseFloat(data.height) || 10,
       length: parseFloat(data.length) || 10,
       breadth: parseFloat(data.breadth) || 10,
+      // Cone-bottom and Intze tanks (js/tankGeometry.js)
+      coneHeight: parseFloat(data.coneHeight) || 0,
+      bottomDiameter: parseFloat(data.bottomDiameter) || 0,
+      domeRise: parseFloat(data.domeRise) || 0,
+      calibrationTable: parseCalibrationTable(data.calibrationTable),
+      // Levels in m; no overflow level means the tank fills to its height
+      deadStorageLevel: parseFloat(data.deadStorageLevel) || 0,
+      overflowLevel: parseFloat(data.overflowLevel) || null,
       state: data.state || 'Telangana',
       district: data.district || 'Mulugu',
       mandal: data.mandal || 'Eturunagaram',
@@ -20,11 +33,17 @@ export class Tank {
       connectedMainValves: data.connectedMainValves || [],
       deviceId: data.deviceId || null,
       sensorHeight: parseFloat(data.sensorHeight) || parseFloat(data.height) || 10,
+      elevation: parseFloat(data.elevation) || 0,
+      nodeId: data.nodeId || null,
       status: data.status || 'active',
       pressure: data.pressure || null,
       flowRate: data.flowRate || null,
       pH: data.pH || null,
       temperature: data.temperature || null,
+      // Outlier rejection / smoothing applied to the sensor distance (js/signalFilter.js)
+      signalFilter: normalizeFilterSettings(data.signalFilter),
+      // Population factor for LPCD (js/supplyAnalytics.js)
+      personsPerHousehold: parseFloat(data.personsPerHousehold) || DEFAULT_PERSONS_PER_HOUSEHOLD,
       lastUpdate: data.lastUpdate || Date.now()
     });
 
@@ -32,52 +51,34 @@ export class Tank {
       this.connectedMainValves = [];
     }
   }
-  
 
-  
-calculateVolumeFromWaterLevel(waterLevel) {
-  if (this.shape === 'cylinder' && this.diameter) {
-    const radius = this.diameter / 2;
-    return Math.PI * Math.pow(radius, 2) * waterLevel * 1000; // m³ to liters
-  } else if (this.shape === 'cuboid' && this.length && this.breadth) {
-    return this.length * this.breadth * waterLevel * 1000; // m³ to liters
-  } else {
-    // Fallback calculation
-    const maxCapacity = this.capacity || 20000;
-    const maxHeight = this.height || 10;
-    return (waterLevel / maxHeight) * maxCapacity;
+  calculateVolumeFromWaterLevel(waterLevel) {
+    return volumeAtLevel(this, waterLevel); // liters
   }
-}
-
 
   calculateCurrentVolume() {
-  // CRITICAL: Returns volume in LITERS
-  let volumeM3 = 0; // Volume in cubic meters
-  
-  if (this.shape === 'cylinder' && this.diameter) {
-    const radius = this.diameter / 2; // meters
-    volumeM3 = Math.PI * Math.pow(radius, 2) * this.waterLevel; // m³
-  } else if (this.shape === 'cuboid' && this.length && this.breadth) {
-    volumeM3 = this.length * this.breadth * this.waterLevel; // m³
-  } else {
-    // Fallback: use capacity ratio
-    const maxHeight = this.height || 10;
-    const maxCapacity = this.capacity || 20000;
-    return (this.waterLevel / maxHeight) * maxCapacity; // liters
+    // CRITICAL: Returns volume in LITERS
+    return this.calculateVolumeFromWaterLevel(this.waterLevel);
   }
-  
-  // Convert m³ to liters (1 m³ = 1000 L)
-  return volumeM3 * 1000;
-}
 
+  // Volume at the overflow level
   calculateMaxCapacity() {
-    if (this.shape === 'cylinder') {
-      const radius = this.diameter / 2;
-      return Math.PI * Math.pow(radius, 2) * this.height * 1000;
-    } else if (this.shape === 'cuboid') {
-      return this.length * this.breadth * this.height * 1000;
-    }
-    return this.capacity;
+    return volumeAtLevel(this, overflowLevel(this));
+  }
+
+  // Water below the outlet that can never be supplied, in liters
+  calculateDeadStorage() {
+    return volumeAtLevel(this, deadStorageLevel(this));
+  }
+
+  calculateUsableVolume(waterLevel = this.waterLevel) {
+    return Math.max(0, this.calculateVolumeFromWaterLevel(waterLevel) - this.calculateDeadStorage());
+  }
+
+  // Water surface area in m², for turning flow rates into level rates. Tapered tanks
+  // change area with level, so it is taken at the current level.
+  surfaceArea(waterLevel = this.waterLevel) {
+    return surfaceAreaAt(this, waterLevel);
   }
 
   calculateWaterLevelFromDistance(distanceMeters) {
@@ -91,11 +92,6 @@ calculateVolumeFromWaterLevel(waterLevel) {
   // Ensure water level stays within valid range
   const calculatedLevel = Math.max(0, Math.min(sensorHeight, sensorHeight - distanceMeters));
   
-  console.log(`💧 Water Level Calculation:
-    Sensor Height: ${sensorHeight}m (from tank bottom)
-    Measured Distance: ${distanceMeters}m (sensor to water)
-    Calculated Water Level: ${calculatedLevel}m (from tank bottom)`);
-  
   return calculatedLevel;
 }
 
@@ -126,21 +122,25 @@ calculateVolumeFromWaterLevel(waterLevel) {
       connectedMainValves: this.connectedMainValves,
       deviceId: this.deviceId,
       sensorHeight: this.sensorHeight,
+      elevation: this.elevation,
+      nodeId: this.nodeId,
       status: this.status,
       pressure: this.pressure,
       flowRate: this.flowRate,
       pH: this.pH,
       temperature: this.temperature,
+      signalFilter: this.signalFilter,
+      personsPerHousehold: this.personsPerHousehold,
       lastUpdate: this.lastUpdate
     };
     
+    if (this.deadStorageLevel) data.deadStorageLevel = this.deadStorageLevel;
+    if (this.overflowLevel) data.overflowLevel = this.overflowLevel;
+
     // Only include shape-specific dimensions (exclude undefined values)
-    if (this.shape === 'cylinder' && this.diameter !== undefined) {
-      data.diameter = this.diameter;
-    } else if (this.shape === 'cuboid') {
-      if (this.length !== undefined) data.length = this.length;
-      if (this.breadth !== undefined) data.breadth = this.breadth;
-    }
+    (TANK_SHAPES[this.shape]?.fields || []).forEach(field => {
+      if (this[field] !== undefined) data[field] = this[field];
+    });
     
     return data;
   }
@@ -192,10 +192,22 @@ export class Valve {
       valveState: data.valveState || 'open',
       active: data.active || false,
       status: data.status || 'active',
+      // Remote-controlled valves take commands and report back (js/valveCommands.js);
+      // valveState/active always follow the reported state
+      motorised: data.motorised === true,
+      reportedState: data.reportedState || data.valveState || (data.active ? 'closed' : 'open'),
+      reportedAt: data.reportedAt || null,
+      desiredState: data.desiredState || data.reportedState || data.valveState || (data.active ? 'closed' : 'open'),
+      command: data.command || null,
       mandal: data.mandal || 'Eturunagaram',
       habitation: data.habitation || 'Ellishettypalle',
+      pipelineId: data.pipelineId || null,
+      segmentIndex: Number.isInteger(data.segmentIndex) ? data.segmentIndex : null,
       battery: data.battery || (Math.random() * 30 + 70).toFixed(0),
       pressure: data.pressure || (Math.random() * 10 + 15).toFixed(1),
+      // Supply timetable (js/valveSchedule.js) and when the valve last opened or closed
+      schedule: normalizeSchedule(data.schedule),
+      stateChangedAt: data.stateChangedAt || null,
       lastUpdate: data.lastUpdate || Date.now()
     });
   }
@@ -209,6 +221,17 @@ export class Valve {
   toggle() {
     this.active = !this.active;
     this.valveState = this.active ? 'closed' : 'open';
+    this.reportedState = this.valveState;
+    this.desiredState = this.valveState;
+  }
+
+  // Where the device says the valve is; flow and households follow. Without a time the
+  // stored report time is kept, so a report laid over the record is still written back later.
+  applyReportedState(state, at = this.reportedAt) {
+    this.reportedState = state;
+    this.reportedAt = at;
+    this.valveState = state;
+    this.active = state === 'closed';
   }
 
   update(data) {
@@ -230,10 +253,19 @@ export class Valve {
       valveState: this.valveState,
       active: this.active,
       status: this.status,
+      motorised: this.motorised,
+      reportedState: this.reportedState,
+      reportedAt: this.reportedAt,
+      desiredState: this.desiredState,
+      command: this.command,
       mandal: this.mandal,
       habitation: this.habitation,
+      pipelineId: this.pipelineId,
+      segmentIndex: this.segmentIndex,
       battery: this.battery,
       pressure: this.pressure,
+      schedule: this.schedule,
+      stateChangedAt: this.stateChangedAt,
       lastUpdate: this.lastUpdate
     };
   }
@@ -271,8 +303,10 @@ export class Pipeline {
       endPoint: data.endPoint || '',
       notes: data.notes || '',
       points: data.points || [],
+      nodes: normalizeVertexNodes(data.nodes),
       currentFlow: 0,
-      active: data.active !== undefined ? data.active : true
+      active: data.active !== undefined ? data.active : true,
+      lastUpdate: data.lastUpdate || Date.now()
     });
   }
 
@@ -280,6 +314,48 @@ export class Pipeline {
     Object.assign(this, data);
   }
 
+  // Insert a vertex and shift the junction ids of the vertices after it
+  insertVertex(index, point) {
+    this.points.splice(index, 0, { lat: point.lat, lng: point.lng });
+    const shifted = {};
+    Object.entries(this.nodes).forEach(([vi, nodeId]) => {
+      const i = Number(vi);
+      shifted[i >= index ? i + 1 : i] = nodeId;
+    });
+    this.nodes = shifted;
+  }
+
+  removeVertex(index) {
+    this.points.splice(index, 1);
+    const shifted = {};
+    Object.entries(this.nodes).forEach(([vi, nodeId]) => {
+      const i = Number(vi);
+      if (i === index) return;
+      shifted[i > index ? i - 1 : i] = nodeId;
+    });
+    this.nodes = shifted;
+  }
+
+  reverse() {
+    const last = this.points.length - 1;
+    this.points.reverse();
+    this.nodes = Object.fromEntries(
+      Object.entries(this.nodes).map(([vi, nodeId]) => [last - Number(vi), nodeId])
+    );
+    [this.startPoint, this.endPoint] = [this.endPoint, this.startPoint];
+  }
+
+  // Continue this pipeline with another one that starts where this one ends
+  append(other) {
+    const offset = this.points.length - 1;
+    this.points = [...this.points, ...other.points.slice(1).map(pt => ({ lat: pt.lat, lng: pt.lng }))];
+    Object.entries(other.nodes).forEach(([vi, nodeId]) => {
+      if (Number(vi) === 0 && this.nodes[offset]) return;
+      this.nodes[offset + Number(vi)] = nodeId;
+    });
+    if (other.endPoint) this.endPoint = other.endPoint;
+  }
+
   toFirebase() {
     return {
       id: this.id,
@@ -291,7 +367,45 @@ export class Pipeline {
       endPoint: this.endPoint,
       notes: this.notes,
       points: this.points,
-      active: this.active
+      nodes: this.nodes,
+      active: this.active,
+      lastUpdate: this.lastUpdate
+    };
+  }
+}
+
+// Junction ids keyed by vertex index. Firebase may hand sparse maps back as arrays.
+function normalizeVertexNodes(nodes) {
+  const result = {};
+  if (!nodes) return result;
+  Object.entries(nodes).forEach(([vi, nodeId]) => {
+    if (nodeId) result[Number(vi)] = nodeId;
+  });
+  return result;
+}
+
+export class Junction {
+  constructor(data) {
+    Object.assign(this, {
+      id: data.id || `junction_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      lat: parseFloat(data.lat),
+      lng: parseFloat(data.lng),
+      elevation: parseFloat(data.elevation) || 0,
+      lastUpdate: data.lastUpdate || Date.now()
+    });
+  }
+
+  update(data) {
+    Object.assign(this, data);
+  }
+
+  toFirebase() {
+    return {
+      id: this.id,
+      lat: this.lat,
+      lng: this.lng,
+      elevation: this.elevation,
+      lastUpdate: this.lastUpdate
     };
   }
 }
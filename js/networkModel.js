@@ -0,0 +1,105 @@
+import { Tank, Valve, Pipeline, Junction } from './models.js';
+import { NetworkTopology } from './topology.js';
+import { buildHydraulicNetwork, pipelineFlows, householdStats, supplyPerHousehold } from './analyticsEngine.js';
+
+// ==================== NETWORK MODEL ====================
+// The network as the flow worker (js/flowWorker.js) keeps it, patched by diffs from the page
+// (js/services/flowService.js):
+//   { tanks: { upsert: { id: record }, remove: [id] }, valves, pipelines, junctions,
+//     levels: { tankId: water level in m } }
+// The topology is rebuilt only when records change; level changes just re-solve.
+
+export const NETWORK_COLLECTIONS = { tanks: Tank, valves: Valve, pipelines: Pipeline, junctions: Junction };
+
+export function createNetworkModel() {
+  const records = Object.fromEntries(Object.keys(NETWORK_COLLECTIONS).map((collection) => [collection, new Map()]));
+  const levels = new Map();
+  let topology = null;
+  let flows = {};
+
+  const network = () => Object.fromEntries(Object.entries(records).map(([collection, byId]) => [collection, [...byId.values()]]));
+
+  return {
+    applyDiff(diff = {}) {
+      Object.entries(NETWORK_COLLECTIONS).forEach(([collection, Model]) => {
+        const change = diff[collection];
+        if (!change) return;
+        (change.remove || []).forEach((id) => {
+          records[collection].delete(id);
+          if (collection === 'tanks') levels.delete(id);
+        });
+        Object.entries(change.upsert || {}).forEach(([id, record]) => records[collection].set(id, new Model({ ...record, id })));
+        topology = null;
+      });
+      Object.entries(diff.levels || {}).forEach(([id, level]) => levels.set(id, { currentWaterLevel: level }));
+    },
+
+    // Flow in every pipeline, by pipeline id (js/analyticsEngine.js)
+    solveFlows() {
+      const current = network();
+      if (!topology) topology = new NetworkTopology(current);
+      current.tanks.forEach((tank) => {
+        if (!levels.has(tank.id)) levels.set(tank.id, { currentWaterLevel: tank.waterLevel });
+      });
+      const result = pipelineFlows(buildHydraulicNetwork(topology, current, levels), current.pipelines);
+      flows = result.flows;
+      return result;
+    },
+
+    // Households served and supply per household, from the last flows
+    household() {
+      const household = householdStats(network().valves, topology || new NetworkTopology(network()), flows);
+      household.supplies = supplyPerHousehold(household);
+      return household;
+    }
+  };
+}
+
+// The worker's message handling, shared with the in-page fallback. Diffs are always applied;
+// only the newest job runs, and a job superseded (or cancelled) between its flow and stats
+// stages stops there.
+//   in:  { type: 'diff', jobId, diff }  /  { type: 'cancel' }
+//   out: { type: 'flow', jobId, pipelines, converged, iterations, ms }
+//        { type: 'stats', jobId, household }  /  { type: 'error', jobId, message }
+export function createFlowJobs(post, { defer = (fn) => setTimeout(fn, 0), clock = () => Date.now() } = {}) {
+  const model = createNetworkModel();
+  let latestJob = 0;
+  let cancelledThrough = 0;
+  let scheduled = false;
+  const current = (jobId) => jobId === latestJob && jobId > cancelledThrough;
+
+  const stage = (jobId, work) => {
+    if (!current(jobId)) return false;
+    try {
+      work();
+      return true;
+    } catch (error) {
+      post({ type: 'error', jobId, message: error.message });
+      return false;
+    }
+  };
+
+  const run = () => {
+    scheduled = false;
+    const jobId = latestJob;
+    const solved = stage(jobId, () => {
+      const started = clock();
+      const { flows, converged, iterations } = model.solveFlows();
+      post({ type: 'flow', jobId, pipelines: flows, converged, iterations, ms: clock() - started });
+    });
+    if (solved) defer(() => stage(jobId, () => post({ type: 'stats', jobId, household: model.household() })));
+  };
+
+  return (message) => {
+    if (message?.type === 'diff') {
+      model.applyDiff(message.diff);
+      latestJob = message.jobId;
+      if (!scheduled) {
+        scheduled = true;
+        defer(run);
+      }
+    } else if (message?.type === 'cancel') {
+      cancelledThrough = latestJob;
+    }
+  };
+}
@@ -0,0 +1,80 @@
+import { splitPath } from './backends/paths.js';
+
+// ==================== ROLES ====================
+// Who may change what. Each role can do everything the roles before it can:
+//   viewer    sees the network, changes nothing
+//   operator  opens and closes valves, acknowledges and resolves alerts
+//   engineer  edits the network: tanks, valves, pipelines, junctions, schedules, alert rules
+//   admin     imports files and clears the database
+// Shared by the app (toolbar, sidebar and FirebaseService checks) and server/localServer.js,
+// which enforces the same rules on every write; database.rules.json does the same for
+// Firebase, reading the role from the user's 'role' custom claim.
+
+export const ROLES = ['viewer', 'operator', 'engineer', 'admin'];
+
+export const ROLE_LABELS = {
+  viewer: 'Viewer',
+  operator: 'Operator',
+  engineer: 'Engineer',
+  admin: 'Admin'
+};
+
+// Least role needed for each permission
+export const PERMISSIONS = {
+  'valve:operate': 'operator',
+  'alert:manage': 'operator',
+  'network:edit': 'engineer',
+  'audit:view': 'engineer',
+  'data:admin': 'admin'
+};
+
+export const normalizeRole = (role) => (ROLES.includes(role) ? role : 'viewer');
+
+export function hasRole(role, required) {
+  return ROLES.indexOf(normalizeRole(role)) >= ROLES.indexOf(required);
+}
+
+export function can(role, permission) {
+  const required = PERMISSIONS[permission];
+  return !!required && hasRole(role, required);
+}
+
+// Least role allowed to write each collection. Anything not listed (device telemetry,
+// history, analytics, alert state kept by the automatic evaluation) is open, since
+// devices and every open browser write there.
+const PATH_ROLES = {
+  valves: 'engineer',
+  audit: 'operator',
+  tanks: 'engineer',
+  pipelines: 'engineer',
+  junctions: 'engineer',
+  alertRules: 'engineer'
+};
+
+// Fields of a valve an operator may write on their own: its state and the commands to its
+// device. The rest of the record (name, location, connections) is network editing.
+export const VALVE_STATE_FIELDS = ['active', 'valveState', 'desiredState', 'command', 'reportedState', 'reportedAt', 'stateChangedAt', 'lastUpdate'];
+
+// Fields of a record a lesser role than the collection's may write
+const FIELD_ROLES = {
+  valves: Object.fromEntries(VALVE_STATE_FIELDS.map((field) => [field, 'operator']))
+};
+
+// Role needed to write a path, or null when anyone may. Writing the root or a whole
+// protected collection at once is a bulk operation and needs an admin.
+export function roleForPath(path) {
+  const [collection, ...rest] = splitPath(path);
+  if (!collection) return 'admin';
+  const role = PATH_ROLES[collection];
+  if (!role) return null;
+  if (rest.length === 0) return 'admin';
+  return (rest.length > 1 && FIELD_ROLES[collection]?.[rest[1]]) || role;
+}
+
+// Highest role any of the paths needs, or null
+export function roleForPaths(paths) {
+  return paths.map(roleForPath).reduce((highest, role) => {
+    if (!role) return highest;
+    return !highest || ROLES.indexOf(role) > ROLES.indexOf(highest) ? role : highest;
+  }, null);
+}
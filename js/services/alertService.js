@@ -0,0 +1,220 @@
+import { FirebaseService } from './firebaseService.js';
+import { DEFAULT_RULES, DrawdownTracker, evaluateRules, ruleLabel } from '../alerts.js';
+import { AuthService } from './authService.js';
+import { toast } from '../utils.js';
+
+// ==================== ALERTS ====================
+// Persisted alerts raised from the rules in js/alerts.js. One alert stays open per
+// rule + target while its condition holds:
+//   active        raised and not yet seen by anyone
+//   acknowledged  someone is on it; stays open until the condition clears
+//   resolved      the condition cleared, or someone closed it by hand
+// A hand-closed alert is not raised again until its condition has cleared once.
+
+const RESOLVED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const alertId = (key, raisedAt) => `alert_${key.replace(/[^A-Za-z0-9_-]/g, '_')}_${raisedAt}`;
+// createdAt keeps the defaults first and in their listed order once stored
+const defaultRules = () => DEFAULT_RULES.map((rule, i) => ({ ...rule, params: { ...rule.params }, createdAt: i + 1 }));
+
+const AlertService = {
+  rules: defaultRules(),
+  storedRules: false,
+  alerts: [],
+  loaded: false,
+  tracker: new DrawdownTracker(),
+  changeCallbacks: [],
+  started: false,
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    FirebaseService.listenToAlertRules((rules) => {
+      this.storedRules = rules.length > 0;
+      this.rules = this.storedRules
+        ? rules.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+        : defaultRules();
+      this.notify();
+    });
+    FirebaseService.listenToAlerts((alerts) => {
+      this.alerts = alerts.sort((a, b) => b.raisedAt - a.raisedAt);
+      this.loaded = true;
+      this.notify();
+    });
+  },
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  },
+
+  notify() {
+    this.changeCallbacks.forEach((callback) => callback(this));
+  },
+
+  openAlerts() {
+    return this.alerts.filter((alert) => alert.state !== 'resolved');
+  },
+
+  // Open alerts by "tank:ID" / "valve:ID", worst severity first, for map badges
+  openAlertsByTarget() {
+    const byTarget = new Map();
+    this.openAlerts().forEach((alert) => {
+      const target = `${alert.targetType}:${alert.targetId}`;
+      if (!byTarget.has(target)) byTarget.set(target, []);
+      byTarget.get(target).push(alert);
+    });
+    byTarget.forEach((list) => list.sort((a, b) => (a.severity === 'critical' ? 0 : 1) - (b.severity === 'critical' ? 0 : 1)));
+    return byTarget;
+  },
+
+  latestForKey(key) {
+    return this.alerts.find((alert) => alert.key === key) || null;
+  },
+
+  // Check the rules against a network snapshot and raise / clear alerts to match
+  async evaluate(context) {
+    const openKeys = new Set(this.openAlerts().map((alert) => alert.key));
+    const conditions = evaluateRules(this.rules, context, openKeys, this.tracker);
+    const holding = new Map(conditions.map((condition) => [condition.key, condition]));
+    const writes = [];
+
+    holding.forEach((condition, key) => {
+      const latest = this.latestForKey(key);
+      if (latest && latest.state !== 'resolved') return;
+      if (latest && latest.resolution === 'manual' && !latest.clearedAt) return;
+      const raisedAt = context.now;
+      const alert = {
+        id: alertId(key, raisedAt),
+        ...condition,
+        state: 'active',
+        raisedAt,
+        acknowledgedAt: null,
+        resolvedAt: null,
+        resolution: null,
+        clearedAt: null
+      };
+      this.alerts.unshift(alert);
+      writes.push(alert);
+      this.announce(alert);
+    });
+
+    this.alerts.forEach((alert) => {
+      if (holding.has(alert.key)) return;
+      if (alert.state !== 'resolved') {
+        Object.assign(alert, { state: 'resolved', resolvedAt: context.now, resolution: 'auto', clearedAt: context.now });
+        writes.push(alert);
+      } else if (alert.resolution === 'manual' && !alert.clearedAt && this.latestForKey(alert.key) === alert) {
+        alert.clearedAt = context.now;
+        writes.push(alert);
+      }
+    });
+
+    if (writes.length > 0) {
+      this.notify();
+      await Promise.all(writes.map((alert) => FirebaseService.saveAlert({ ...alert })));
+    }
+  },
+
+  async acknowledge(id) {
+    const alert = this.alerts.find((item) => item.id === id);
+    if (!alert || alert.state !== 'active' || !AuthService.require('alert:manage')) return false;
+    Object.assign(alert, { state: 'acknowledged', acknowledgedAt: Date.now() });
+    return FirebaseService.saveAlert({ ...alert }, `Acknowledge alert: ${alert.targetName} ${alert.message}`);
+  },
+
+  async resolve(id) {
+    const alert = this.alerts.find((item) => item.id === id);
+    if (!alert || alert.state === 'resolved' || !AuthService.require('alert:manage')) return false;
+    Object.assign(alert, { state: 'resolved', resolvedAt: Date.now(), resolution: 'manual', clearedAt: null });
+    return FirebaseService.saveAlert({ ...alert }, `Resolve alert: ${alert.targetName} ${alert.message}`);
+  },
+
+  async acknowledgeAll() {
+    if (!AuthService.require('alert:manage')) return 0;
+    const active = this.alerts.filter((alert) => alert.state === 'active');
+    await Promise.all(active.map((alert) => this.acknowledge(alert.id)));
+    return active.length;
+  },
+
+  // Drop resolved alerts older than the retention window
+  async pruneResolved(now = Date.now()) {
+    const expired = this.alerts
+      .filter((alert) => alert.state === 'resolved' && alert.resolvedAt && now - alert.resolvedAt > RESOLVED_RETENTION_MS)
+      .filter((alert) => this.latestForKey(alert.key) !== alert || alert.resolution !== 'manual' || alert.clearedAt);
+    return FirebaseService.deleteAlerts(expired.map((alert) => alert.id));
+  },
+
+  // Rules are the built-in defaults until someone edits one; from then on the whole set is
+  // stored, so disabling or deleting a default sticks. Deleting every rule brings the
+  // defaults back.
+  async saveRule(rule) {
+    if (!AuthService.require('network:edit')) return false;
+    const saved = { ...rule, createdAt: rule.createdAt || Date.now() };
+    const exists = this.rules.some((item) => item.id === rule.id);
+    const rules = exists ? this.rules.map((item) => (item.id === rule.id ? saved : item)) : [...this.rules, saved];
+    const toSave = this.storedRules ? [saved] : rules;
+    this.rules = rules;
+    this.storedRules = true;
+    this.notify();
+    return FirebaseService.saveAlertRules(toSave);
+  },
+
+  async deleteRule(id) {
+    if (!AuthService.require('network:edit')) return false;
+    const rules = this.rules.filter((rule) => rule.id !== id);
+    if (!this.storedRules) await FirebaseService.saveAlertRules(rules);
+    else await FirebaseService.deleteAlertRules([id]);
+    this.rules = rules;
+    this.storedRules = true;
+    this.notify();
+    return true;
+  },
+
+  async restoreDefaultRules() {
+    if (!AuthService.require('network:edit')) return false;
+    if (this.storedRules) await FirebaseService.deleteAlertRules(this.rules.map((rule) => rule.id));
+    this.storedRules = false;
+    this.rules = defaultRules();
+    this.notify();
+    return true;
+  },
+
+  ruleName(ruleId) {
+    const rule = this.rules.find((item) => item.id === ruleId);
+    return rule ? ruleLabel(rule) : ruleId;
+  },
+
+  // ==================== NOTIFICATIONS ====================
+
+  notificationsSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+  },
+
+  notificationPermission() {
+    return this.notificationsSupported() ? Notification.permission : 'unsupported';
+  },
+
+  async requestNotifications() {
+    if (!this.notificationsSupported()) return 'unsupported';
+    const permission = await Notification.requestPermission();
+    this.notify();
+    return permission;
+  },
+
+  announce(alert) {
+    toast(`${alert.severity === 'critical' ? '🚨' : '⚠️'} ${alert.message}`);
+    if (this.notificationPermission() !== 'granted') return;
+    try {
+      // Same tag replaces an earlier notification for the same condition
+      new Notification(alert.severity === 'critical' ? 'Critical alert' : 'Alert', {
+        body: alert.message,
+        tag: alert.key,
+        requireInteraction: alert.severity === 'critical'
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not show notification:', error);
+    }
+  }
+};
+
+export { AlertService };
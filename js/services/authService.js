@@ -0,0 +1,92 @@
+import { can, hasRole, normalizeRole, PERMISSIONS, ROLE_LABELS } from '../roles.js';
+import { toast } from '../utils.js';
+
+// ==================== ACCOUNTS ====================
+// The signed-in user and their role (js/roles.js). Accounts come from the storage backend:
+// Firebase Auth, with the role in a 'role' custom claim, or the users file of the local
+// server. A backend without accounts (in-memory, or a local server with no users) runs with
+// open access, as a local admin. Signed out with accounts enabled means viewer.
+
+const OPEN_ACCESS_USER = { uid: 'local', email: 'local', role: 'admin' };
+
+const AuthService = {
+  auth: null,
+  enabled: false,
+  user: null,
+  changeCallbacks: [],
+  ready: Promise.resolve(),
+
+  init(backend) {
+    this.auth = backend.auth || null;
+    this.ready = this.start();
+  },
+
+  async start() {
+    try {
+      this.enabled = this.auth ? await this.auth.isEnabled() : false;
+    } catch (error) {
+      console.warn('⚠️ Accounts unavailable, running with open access:', error);
+      this.enabled = false;
+    }
+    if (!this.enabled) {
+      this.setUser(OPEN_ACCESS_USER);
+      return;
+    }
+    this.auth.onChange((user) => this.setUser(user));
+  },
+
+  setUser(user) {
+    this.user = user ? { uid: user.uid, email: user.email || user.uid, role: normalizeRole(user.role) } : null;
+    console.log(this.user ? `🔑 Signed in as ${this.user.email} (${this.user.role})` : '🔑 Signed out');
+    this.changeCallbacks.forEach((callback) => callback(this));
+  },
+
+  get role() {
+    return this.user?.role || 'viewer';
+  },
+
+  get roleLabel() {
+    return ROLE_LABELS[this.role];
+  },
+
+  can(permission) {
+    return can(this.role, permission);
+  },
+
+  hasRole(role) {
+    return hasRole(this.role, role);
+  },
+
+  // Checks a permission before a change; says why when it is refused unless quiet
+  require(permission, quiet = false) {
+    if (this.can(permission)) return true;
+    if (!quiet) this.deny(PERMISSIONS[permission]);
+    return false;
+  },
+
+  deny(role) {
+    toast(this.user ? `🔒 Needs ${ROLE_LABELS[role]} access (you are ${this.roleLabel})` : `🔒 Sign in as ${ROLE_LABELS[role]} to make this change`);
+  },
+
+  // Who made a change, for the audit log
+  actor() {
+    return this.user ? { ...this.user } : { uid: null, email: 'anonymous', role: 'viewer' };
+  },
+
+  async signIn(email, password) {
+    if (!this.enabled) return this.user;
+    this.setUser(await this.auth.signIn(email, password));
+    return this.user;
+  },
+
+  async signOut() {
+    if (!this.enabled) return;
+    await this.auth.signOut();
+  },
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+};
+
+export { AuthService };
@@ -0,0 +1,110 @@
+import { FirebaseService } from './firebaseService.js';
+import { toast } from '../utils.js';
+
+// ==================== UNDO / REDO ====================
+// Each command is a labelled group of record changes with before/after snapshots, captured
+// by FirebaseService from the writes the command hands its recording to. Undo and redo write the snapshots back through
+// FirebaseService, so they are queued offline and synced like any other edit.
+
+const MAX_COMMANDS = 100;
+
+const CommandStack = {
+  undoStack: [],
+  redoStack: [],
+  busy: false,
+  changeCallbacks: [],
+
+  // Run an editing operation as one undoable command. work(recording) passes the recording
+  // as { recording } to each FirebaseService write that belongs to the command.
+  async run(label, work) {
+    const recording = FirebaseService.startRecording(label);
+    try {
+      return await work(recording);
+    } finally {
+      const changes = FirebaseService.recordedChanges(recording);
+      if (changes.length > 0) {
+        this.undoStack.push({ label, changes, at: Date.now() });
+        if (this.undoStack.length > MAX_COMMANDS) this.undoStack.shift();
+        this.redoStack = [];
+        this.notify();
+      }
+    }
+  },
+
+  canUndo() {
+    return this.undoStack.length > 0 && !this.busy;
+  },
+
+  canRedo() {
+    return this.redoStack.length > 0 && !this.busy;
+  },
+
+  async undo() {
+    if (!this.canUndo()) return false;
+    const command = this.undoStack[this.undoStack.length - 1];
+    if (!this.confirmUntouched(command, 'after')) return false;
+    const ok = await this.apply(command, 'before');
+    if (ok) {
+      this.redoStack.push(this.undoStack.pop());
+      toast(`↩️ Undone: ${command.label}`);
+    }
+    this.notify();
+    return ok;
+  },
+
+  async redo() {
+    if (!this.canRedo()) return false;
+    const command = this.redoStack[this.redoStack.length - 1];
+    if (!this.confirmUntouched(command, 'before')) return false;
+    const ok = await this.apply(command, 'after');
+    if (ok) {
+      this.undoStack.push(this.redoStack.pop());
+      toast(`↪️ Redone: ${command.label}`);
+    }
+    this.notify();
+    return ok;
+  },
+
+  async apply(command, side) {
+    this.busy = true;
+    try {
+      const written = await FirebaseService.restoreSnapshots(
+        command.changes.map((change) => ({ path: change.path, value: change[side] })),
+        `Failed to undo ${command.label}`,
+        `${side === 'before' ? 'Undo' : 'Redo'}: ${command.label}`
+      );
+      command.changes.forEach((change) => {
+        change[side] = written[change.path] ?? null;
+      });
+      return true;
+    } catch (error) {
+      console.error(`Error applying ${command.label}:`, error);
+      toast(`❌ Could not undo ${command.label}`);
+      return false;
+    } finally {
+      this.busy = false;
+    }
+  },
+
+  // Records edited by someone else since the command ran would be silently overwritten
+  confirmUntouched(command, expectedSide) {
+    const changed = command.changes.filter((change) => {
+      const current = FirebaseService.valueAt(change.path);
+      const expected = change[expectedSide];
+      return (current?.lastUpdate || null) !== (expected?.lastUpdate || null) ||
+        (current === null) !== (expected === null);
+    });
+    if (changed.length === 0) return true;
+    return confirm(`${changed.length} record(s) changed since "${command.label}". Overwrite them anyway?`);
+  },
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  },
+
+  notify() {
+    this.changeCallbacks.forEach((callback) => callback(this));
+  }
+};
+
+export { CommandStack };
@@ -0,0 +1,70 @@
+import { reconcileReadings, readingEpoch, readingSignature } from '../timeReconciliation.js';
+
+// ==================== DEVICE CLOCK ====================
+// Remembers when this browser first saw each device reading, as wall-clock anchors for
+// readings that only carry millis() (see js/timeReconciliation.js). Kept in localStorage
+// so anchors from earlier visits still place older boot sessions.
+
+const STORAGE_KEY = 'jal.deviceClockAnchors';
+const MAX_ANCHORS_PER_DEVICE = 50;
+
+const DeviceClock = {
+  anchors: null,
+
+  load() {
+    if (this.anchors) return this.anchors;
+    this.anchors = {};
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+      if (stored) this.anchors = JSON.parse(stored) || {};
+    } catch (error) {
+      console.warn('⚠️ Could not read device clock anchors:', error);
+    }
+    return this.anchors;
+  },
+
+  save() {
+    try {
+      if (typeof localStorage !== 'undefined') localStorage.setItem(STORAGE_KEY, JSON.stringify(this.anchors));
+    } catch (error) {
+      console.warn('⚠️ Could not store device clock anchors:', error);
+    }
+  },
+
+  // live: the reading replaced an earlier one while we were listening, so it was sent
+  // moments ago; otherwise it was already there when the page loaded
+  observe(deviceId, reading, seenAt = Date.now(), live = false) {
+    if (!reading || readingEpoch(reading) !== null) return;
+    const anchors = this.load();
+    const key = String(deviceId).toUpperCase();
+    const list = anchors[key] || [];
+    const signature = readingSignature(reading);
+    const existing = list.find((anchor) => readingSignature(anchor) === signature);
+    if (existing) {
+      if (live && !existing.live) Object.assign(existing, { seenAt: Math.min(existing.seenAt, seenAt), live: true });
+      else return;
+    } else {
+      list.push({ timestamp: reading.timestamp, distance: reading.distance ?? 0, seenAt, live });
+    }
+    anchors[key] = list.slice(-MAX_ANCHORS_PER_DEVICE);
+    this.save();
+  },
+
+  anchorsFor(deviceId) {
+    return this.load()[String(deviceId).toUpperCase()] || [];
+  },
+
+  reconcile(deviceId, readings, now = Date.now()) {
+    return reconcileReadings(readings, { anchors: this.anchorsFor(deviceId), now });
+  },
+
+  // Best wall-clock time for a single (latest) reading
+  epochOf(deviceId, reading) {
+    const epoch = readingEpoch(reading);
+    if (epoch !== null) return epoch;
+    const anchor = this.anchorsFor(deviceId).find((item) => readingSignature(item) === readingSignature(reading));
+    return anchor ? anchor.seenAt : null;
+  }
+};
+
+export { DeviceClock };
@@ -1,324 +1,820 @@
-import { initializeApp } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js';
-import {
-  getDatabase,
-  ref,
-  set,
-  get,
-  update,
-  remove,
-  onValue,
-  off
-} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
-
-import { firebaseConfig } from '../firebaseConfig.js';
-import { Tank, Valve, Pipeline } from '../models.js';
+import { createBackend, resolveBackendOptions } from '../backends/index.js';
+import { clone, getAtPath, setAtPath, splitPath } from '../backends/paths.js';
+import { Tank, Valve, Pipeline, Junction } from '../models.js';
 import { toast, updateConnectionStatus } from '../utils.js';
+import { OfflineStore, MIRRORED_COLLECTIONS } from './offlineStore.js';
+import { extractAllReadings, collectDeviceReadings, deviceNodes, latestDeviceTelemetry, listLegacyDevices, recentReadingsWith, DEVICES_PATH, RECENT_READINGS, devicePath } from '../deviceTelemetry.js';
+import { AuthService } from './authService.js';
+import { SCOPED_COLLECTIONS, normalizeScope, scopeDepth, scopeQuery } from '../hierarchy.js';
+import { roleForPaths } from '../roles.js';
 
-const app = initializeApp(firebaseConfig);
-const db = getDatabase(app);
+// The app-level data service. Storage goes through whichever backend was selected at
+// startup (Firebase, local REST server or in-memory, see js/backends/index.js).
+const backend = await createBackend(resolveBackendOptions());
+console.log(`🗄️ Storage backend: ${backend.name}`);
+
+const COLLECTION_MODELS = {
+  tanks: Tank,
+  valves: Valve,
+  pipelines: Pipeline,
+  junctions: Junction
+};
+
+function applyOutboxEntry(root, entry) {
+  if (entry.op === 'update') {
+    Object.entries(entry.updates).forEach(([path, value]) => setAtPath(root, path, value));
+  } else {
+    setAtPath(root, entry.path, entry.value);
+  }
+}
+
+// Whole collections (clear all) would copy the database into the audit log, so large
+// values are summarised, and a huge import only lists its first records
+const MAX_AUDIT_VALUE_CHARS = 20000;
+const MAX_AUDIT_CHANGES = 200;
+
+// Device ids are listed again this often, to pick up newly installed devices
+const DEVICE_DISCOVERY_INTERVAL_MS = 10 * 60 * 1000;
+// Device updates arriving together are handed on once
+const DEVICE_EMIT_DELAY_MS = 100;
+
+function auditValue(value) {
+  if (value === null || value === undefined) return null;
+  const size = JSON.stringify(value).length;
+  if (size <= MAX_AUDIT_VALUE_CHARS) return value;
+  return { summary: `${typeof value === 'object' ? Object.keys(value).length : 1} entries, ${size.toLocaleString()} characters` };
+}
+
+const entryPaths = (entry) => (entry.op === 'update' ? Object.keys(entry.updates) : [entry.path]);
+
+// A queued write conflicts when the server copy changed after the version it was based on
+function isConflict(entry, serverValue) {
+  if (!entry.baseLastUpdate || !serverValue || !serverValue.lastUpdate) return false;
+  if (entry.value && serverValue.lastUpdate === entry.value.lastUpdate) return false;
+  return serverValue.lastUpdate > entry.baseLastUpdate;
+}
+
+// A write the server refused and would refuse again (invalid, or forbidden to the signed-in
+// user), as opposed to one that never got there or went without a valid sign-in: an expired
+// session (401), or Firebase refusing a signed-out user. Those are replayed after the next
+// sign-in. HTTP errors carry their status (js/backends/restBackend.js).
+function isRejection(error, signedIn) {
+  if (Number.isInteger(error?.status)) return error.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status);
+  return signedIn && /permission[_ ]denied/i.test(`${error?.code || ''} ${error?.message || ''}`);
+}
 
 const FirebaseService = {
   listeners: [],
+  connected: false,
+  outbox: [],
+  conflicts: [],
+  flushing: false,
+  nextSeq: 0,
+  serverData: {},
+  cachedData: {},
+  collectionCallbacks: {},
+  connectionCallbacks: [],
+  ready: Promise.resolve(),
+  // Device telemetry in its stored layout, holding only what is listened to
+  deviceData: {},
+  // path → { deviceId, unsubscribe }
+  deviceWatches: new Map(),
+  // Device ids bound to the page's tanks
+  wantedDevices: new Set(),
+  // Administrative scope the tanks, valves and devices are loaded for (js/hierarchy.js)
+  scope: {},
+  collectionUnsubscribes: {},
+  deviceCallback: null,
+  deviceEmitTimer: null,
+
+  init() {
+    AuthService.init(backend);
+    this.ready = this.restoreOfflineState();
+    backend.onConnectionChange((connected) => this.setConnected(connected));
+    // Writes held back by an expired session go out once someone signs in again
+    AuthService.onChange(() => {
+      if (AuthService.user && this.connected) this.flushOutbox();
+    });
+  },
 
-  async saveTank(tank) {
+  async restoreOfflineState() {
     try {
-      await set(ref(db, `tanks/${tank.id}`), tank.toFirebase());
-      return true;
+      const [outbox, conflicts, ...collections] = await Promise.all([
+        OfflineStore.readOutbox(),
+        OfflineStore.readConflicts(),
+        ...MIRRORED_COLLECTIONS.map((name) => OfflineStore.readCollection(name))
+      ]);
+      MIRRORED_COLLECTIONS.forEach((name, i) => {
+        this.cachedData[name] = collections[i];
+      });
+      // Writes left over from an earlier session are checked against the server before replay
+      this.outbox = [...outbox.map((entry) => ({ ...entry, checkConflict: true })), ...this.outbox];
+      this.conflicts = conflicts;
+      this.nextSeq = Math.max(this.nextSeq, ...outbox.map((entry) => entry.seq + 1));
+      if (outbox.length > 0) console.log(`📮 Restored ${outbox.length} pending write(s) from offline outbox`);
+      Object.keys(this.collectionCallbacks).forEach((name) => this.emitCollection(name));
     } catch (error) {
-      console.error('Error saving tank:', error);
-      toast('❌ Failed to save tank');
-      return false;
+      console.warn('⚠️ Offline cache unavailable:', error);
     }
+    this.updateSyncStatus();
+  },
+
+  setConnected(connected) {
+    this.connected = connected;
+    this.updateSyncStatus();
+    this.connectionCallbacks.forEach((callback) => callback(connected));
+    if (connected) this.ready.then(() => this.flushOutbox());
+  },
+
+  onConnectionChange(callback) {
+    this.connectionCallbacks.push(callback);
+  },
+
+  get pendingWrites() {
+    return this.outbox.length;
+  },
+
+  updateSyncStatus() {
+    updateConnectionStatus(this.connected, this.outbox.length);
+  },
+
+  // Every write goes through the durable outbox first so nothing is lost offline.
+  // entry.permission (js/roles.js) is checked against the signed-in user, or without one the
+  // role the written paths need; quiet refusals (automatic writes) do not toast. Unless
+  // entry.audit is false the change is also written to the audit log. A write passed an
+  // undo recording (see startRecording) is captured in it.
+  async enqueue({ recording = null, ...entry }) {
+    if (!this.authorize(entry)) return false;
+    const queued = this.queueEntry(entry);
+    const recordPaths = this.affectedRecordPaths(queued);
+    const recorded = !!recording && entry.undoable !== false;
+    const auditing = entry.audit !== false;
+    const before = recorded || auditing ? this.valuesAt(recordPaths) : [];
+    this.outbox.push(queued);
+    const after = before.length > 0 ? this.valuesAt(recordPaths) : [];
+    if (recorded) recordPaths.forEach((path, i) => this.recordChange(recording, path, before[i], after[i]));
+    await this.persistQueued(queued);
+    if (auditing) await this.queueAudit(entry, recordPaths, before, after, recording?.label);
+    this.emitAffected(queued);
+    this.updateSyncStatus();
+    if (this.connected) this.flushOutbox();
+    return true;
+  },
+
+  queueEntry(entry) {
+    this.nextSeq = Math.max(this.nextSeq + 1, Date.now());
+    return { ...entry, seq: this.nextSeq, queuedAt: Date.now(), checkConflict: !this.connected };
   },
 
-  async saveValve(valve) {
+  async persistQueued(queued) {
     try {
-      await set(ref(db, `valves/${valve.id}`), valve.toFirebase());
-      return true;
+      await OfflineStore.putOutbox(queued);
     } catch (error) {
-      console.error('Error saving valve:', error);
-      toast('❌ Failed to save valve');
-      return false;
+      console.warn('⚠️ Could not persist queued write:', error);
     }
   },
 
-  async savePipeline(pipeline) {
+  authorize(entry) {
+    if (entry.permission) return AuthService.require(entry.permission, entry.quiet);
+    const required = roleForPaths(entryPaths(entry));
+    if (!required || AuthService.hasRole(required)) return true;
+    if (!entry.quiet) AuthService.deny(required);
+    return false;
+  },
+
+  // ==================== AUDIT LOG ====================
+  // audit/{id}: { id, at, user: { uid, email, role }, action, changes: [{ path, before, after }] }
+  // Queued right behind the write it describes, so it syncs (or waits offline) with it.
+
+  async queueAudit(entry, paths, before, after, label = null) {
+    const changes = paths
+      .map((path, i) => ({ path, before: auditValue(before[i]), after: auditValue(after[i]) }))
+      .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after));
+    if (changes.length === 0) return;
+    const at = Date.now();
+    const id = `${at.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const record = {
+      id,
+      at,
+      user: AuthService.actor(),
+      action: label || entry.action || entry.failureMessage || 'Change',
+      changes: changes.slice(0, MAX_AUDIT_CHANGES)
+    };
+    if (changes.length > MAX_AUDIT_CHANGES) record.omitted = changes.length - MAX_AUDIT_CHANGES;
+    const queued = this.queueEntry({ op: 'set', path: `audit/${id}`, value: record, undoable: false, audit: false });
+    this.outbox.push(queued);
+    await this.persistQueued(queued);
+  },
+
+  // Newest first, entries still waiting in the outbox included
+  async readAuditLog() {
+    let stored = {};
     try {
-      await set(ref(db, `pipelines/${pipeline.id}`), pipeline.toFirebase());
-      return true;
+      stored = (await backend.read('audit')) || {};
     } catch (error) {
-      console.error('Error saving pipeline:', error);
-      toast('❌ Failed to save pipeline');
-      return false;
+      console.warn('⚠️ Could not read audit log:', error);
     }
+    const view = { audit: stored };
+    this.outbox.forEach((entry) => {
+      if (entry.op === 'set' && entry.path.startsWith('audit/')) applyOutboxEntry(view, entry);
+    });
+    return Object.values(view.audit || {})
+      .map((record) => ({ ...record, changes: (record.changes || []).map((change) => ({ before: null, after: null, ...change })) }))
+      .sort((a, b) => b.at - a.at);
   },
 
-  async deleteTank(id) {
+  async dequeue(entry) {
+    this.outbox = this.outbox.filter((queued) => queued.seq !== entry.seq);
     try {
-      await remove(ref(db, `tanks/${id}`));
-      return true;
+      await OfflineStore.removeOutbox(entry.seq);
     } catch (error) {
-      console.error(error);
-      return false;
+      console.warn('⚠️ Could not remove replayed write:', error);
     }
+    this.updateSyncStatus();
   },
 
-  async deleteValve(id) {
+  // Replay queued writes in order; stops quietly when the connection drops
+  async flushOutbox() {
+    if (this.flushing || !this.connected) return;
+    this.flushing = true;
     try {
-      await remove(ref(db, `valves/${id}`));
-      return true;
+      while (this.connected && this.outbox.length > 0) {
+        const entry = this.outbox[0];
+        if (entry.checkConflict && entry.op === 'set') {
+          const serverValue = await backend.read(entry.path);
+          if (isConflict(entry, serverValue)) {
+            await this.recordConflict(entry, serverValue);
+            continue;
+          }
+        }
+        try {
+          if (entry.op === 'update') await backend.update(entry.updates);
+          else await backend.write(entry.path, entry.value);
+          await this.dequeue(entry);
+        } catch (error) {
+          // Kept for the next flush unless the server turned it down for good
+          if (!isRejection(error, !!AuthService.user)) throw error;
+          console.error(`Error replaying write to ${entry.path || 'multiple paths'}:`, error);
+          toast(`❌ ${entry.failureMessage || 'Failed to save changes'}`);
+          await this.dequeue(entry);
+          this.emitAffected(entry);
+        }
+      }
     } catch (error) {
-      console.error(error);
-      return false;
+      console.warn('⚠️ Outbox replay interrupted, will retry on reconnect or sign-in:', error);
+    } finally {
+      this.flushing = false;
     }
   },
 
-  async deletePipeline(id) {
+  async recordConflict(entry, serverValue) {
+    const conflict = { ...entry, serverValue, detectedAt: Date.now() };
+    this.conflicts.push(conflict);
     try {
-      await remove(ref(db, `pipelines/${id}`));
-      return true;
+      await OfflineStore.putConflict(conflict);
     } catch (error) {
-      console.error(error);
-      return false;
+      console.warn('⚠️ Could not persist conflict:', error);
     }
+    await this.dequeue(entry);
+    this.emitAffected(entry);
+    toast(`⚠️ Conflict: ${entry.path} was changed by someone else while you were offline`);
   },
 
-  listenToTanks(callback) {
-    const tanksRef = ref(db, 'tanks');
-    onValue(
-      tanksRef,
-      (snapshot) => {
-        const data = snapshot.val();
-        const tankList = data ? Object.values(data).map((t) => new Tank(t)) : [];
-        callback(tankList);
+  // keepLocal re-queues the offline edit on top of the server copy; otherwise it is dropped
+  async resolveConflict(seq, keepLocal) {
+    const conflict = this.conflicts.find((c) => c.seq === seq);
+    if (!conflict) return false;
+    this.conflicts = this.conflicts.filter((c) => c.seq !== seq);
+    try {
+      await OfflineStore.removeConflict(seq);
+    } catch (error) {
+      console.warn('⚠️ Could not remove conflict:', error);
+    }
+    if (keepLocal) {
+      const value = conflict.value ? { ...conflict.value, lastUpdate: Date.now() } : null;
+      await this.enqueue({
+        op: 'set',
+        path: conflict.path,
+        value,
+        baseLastUpdate: conflict.serverValue?.lastUpdate || null,
+        failureMessage: conflict.failureMessage,
+        action: `Keep offline edit of ${conflict.path}`
+      });
+    }
+    return true;
+  },
+
+  // options: { permission, action, quiet, recording } for the write (see enqueue)
+  async saveRecord(collection, record, failureMessage, options = {}) {
+    const { permission = 'network:edit', action = `Save ${collection} ${record.id}`, quiet = false, recording = null } = options;
+    if (!AuthService.require(permission, quiet)) return false;
+    const baseLastUpdate = this.serverData[collection]?.[record.id]?.lastUpdate || record.lastUpdate || null;
+    record.lastUpdate = Date.now();
+    return this.enqueue({ op: 'set', path: `${collection}/${record.id}`, value: record.toFirebase(), baseLastUpdate, failureMessage, permission, action, quiet, recording });
+  },
+
+  async deleteRecord(collection, id, failureMessage, { recording = null } = {}) {
+    const baseLastUpdate = this.serverData[collection]?.[id]?.lastUpdate || null;
+    return this.enqueue({ op: 'set', path: `${collection}/${id}`, value: null, baseLastUpdate, failureMessage, permission: 'network:edit', action: `Delete ${collection} ${id}`, recording });
+  },
+
+  async saveTank(tank, options = {}) {
+    return this.saveRecord('tanks', tank, 'Failed to save tank', options);
+  },
+
+  async saveValve(valve, options = {}) {
+    return this.saveRecord('valves', valve, 'Failed to save valve', options);
+  },
+
+  // Opening or closing a valve is an operator's job; editing it is an engineer's, so only
+  // the state fields are written (VALVE_STATE_FIELDS in js/roles.js).
+  // Scheduled changes are refused quietly for users who may not operate valves.
+  async saveValveState(valve, { scheduled = false, recording = null } = {}) {
+    valve.lastUpdate = Date.now();
+    const fields = ['active', 'valveState', 'desiredState', 'reportedState', 'reportedAt', 'stateChangedAt', 'lastUpdate'];
+    return this.enqueue({
+      op: 'update',
+      updates: Object.fromEntries(fields.map((field) => [`valves/${valve.id}/${field}`, valve[field] ?? null])),
+      failureMessage: 'Failed to save valve state',
+      permission: 'valve:operate',
+      action: `${scheduled ? 'Schedule: ' : ''}${valve.active ? 'Close' : 'Open'} valve ${valve.name || valve.id}`,
+      quiet: scheduled,
+      recording
+    });
+  },
+
+  // A motorised valve is sent a command rather than set (js/valveCommands.js): only the
+  // wanted state and the command change here, the reported state follows the device.
+  // Resends and scheduled commands are refused quietly.
+  async saveValveCommand(valve, { quiet = false } = {}) {
+    const command = valve.command;
+    valve.lastUpdate = Date.now();
+    return this.enqueue({
+      op: 'update',
+      updates: {
+        [`valves/${valve.id}/desiredState`]: valve.desiredState,
+        [`valves/${valve.id}/command`]: command,
+        [`valves/${valve.id}/stateChangedAt`]: valve.stateChangedAt,
+        [`valves/${valve.id}/lastUpdate`]: valve.lastUpdate
       },
-      (error) => {
-        console.error('Error listening to tanks:', error);
-        updateConnectionStatus(false);
-      }
-    );
-    this.listeners.push({ ref: tanksRef, unsubscribe: () => off(tanksRef) });
+      failureMessage: 'Failed to send valve command',
+      permission: 'valve:operate',
+      action: `${command.source === 'schedule' ? 'Schedule: ' : ''}${command.attempts > 1 ? 'Resend' : 'Send'} ${command.state === 'closed' ? 'close' : 'open'} command to valve ${valve.name || valve.id}`,
+      quiet,
+      undoable: false
+    });
   },
 
-  listenToValves(callback) {
-    const valvesRef = ref(db, 'valves');
-    onValue(
-      valvesRef,
-      (snapshot) => {
-        const data = snapshot.val();
-        const valveList = data ? Object.values(data).map((v) => new Valve(v)) : [];
-        callback(valveList);
+  // A command's outcome and the device's reported state, written by whichever operator's
+  // browser sees the report or the timeout first
+  async saveValveReport(valve, action) {
+    valve.lastUpdate = Date.now();
+    return this.enqueue({
+      op: 'update',
+      updates: {
+        [`valves/${valve.id}/command`]: valve.command,
+        [`valves/${valve.id}/reportedState`]: valve.reportedState,
+        [`valves/${valve.id}/reportedAt`]: valve.reportedAt,
+        [`valves/${valve.id}/valveState`]: valve.valveState,
+        [`valves/${valve.id}/active`]: valve.active,
+        [`valves/${valve.id}/lastUpdate`]: valve.lastUpdate
       },
-      (error) => {
-        console.error('Error listening to valves:', error);
-        updateConnectionStatus(false);
+      failureMessage: 'Failed to save valve report',
+      permission: 'valve:operate',
+      action,
+      quiet: true,
+      undoable: false
+    });
+  },
+
+  async savePipeline(pipeline, options = {}) {
+    return this.saveRecord('pipelines', pipeline, 'Failed to save pipeline', options);
+  },
+
+  async saveJunction(junction, options = {}) {
+    return this.saveRecord('junctions', junction, 'Failed to save junction', options);
+  },
+
+  // Write junctions and the attachments that reference them in one multi-path update
+  async saveTopology({ junctions = [], pipelines = [], tanks = [], valves = [] }, { recording = null } = {}) {
+    const updates = {};
+    junctions.forEach((junction) => {
+      updates[`junctions/${junction.id}`] = junction.toFirebase();
+    });
+    pipelines.forEach((pipeline) => {
+      updates[`pipelines/${pipeline.id}/nodes`] = pipeline.nodes;
+    });
+    tanks.forEach((tank) => {
+      updates[`tanks/${tank.id}/nodeId`] = tank.nodeId;
+    });
+    valves.forEach((valve) => {
+      updates[`valves/${valve.id}/pipelineId`] = valve.pipelineId;
+      updates[`valves/${valve.id}/segmentIndex`] = valve.segmentIndex;
+    });
+    if (Object.keys(updates).length === 0) return true;
+    return this.enqueue({ op: 'update', updates, failureMessage: 'Failed to save topology', permission: 'network:edit', action: 'Save topology', recording });
+  },
+
+  // A whole import as one multi-path update, so it lands completely or not at all
+  async importRecords(groups, failureMessage = 'Import failed', { recording = null } = {}) {
+    if (!AuthService.require('data:admin')) return false;
+    const updates = {};
+    const now = Date.now();
+    Object.entries(groups).forEach(([collection, records]) => {
+      const Model = COLLECTION_MODELS[collection];
+      records.forEach((data) => {
+        const record = new Model(data);
+        record.lastUpdate = now;
+        updates[`${collection}/${record.id}`] = record.toFirebase();
+      });
+    });
+    if (Object.keys(updates).length === 0) return true;
+    return this.enqueue({ op: 'update', updates, failureMessage, permission: 'data:admin', action: 'Import records', recording });
+  },
+
+  // Alerts and their rules are operational state, not network edits, so they stay out of undo.
+  // The automatic evaluation runs in every open browser and is not audited; an operator's
+  // acknowledge or resolve comes with an action label and is.
+  async saveAlert(alert, action = null) {
+    const entry = { op: 'set', path: `alerts/${alert.id}`, value: alert, undoable: false, failureMessage: 'Failed to save alert' };
+    if (!action) return this.enqueue({ ...entry, audit: false });
+    return this.enqueue({ ...entry, permission: 'alert:manage', action });
+  },
+
+  async saveAlertRules(rules) {
+    const updates = {};
+    rules.forEach((rule) => {
+      updates[`alertRules/${rule.id}`] = { ...rule, lastUpdate: Date.now() };
+    });
+    return this.enqueue({ op: 'update', updates, undoable: false, failureMessage: 'Failed to save alert rules', permission: 'network:edit', action: 'Save alert rules' });
+  },
+
+  async deleteAlertRules(ids) {
+    if (ids.length === 0) return true;
+    const updates = {};
+    ids.forEach((id) => {
+      updates[`alertRules/${id}`] = null;
+    });
+    return this.enqueue({ op: 'update', updates, undoable: false, failureMessage: 'Failed to delete alert rule', permission: 'network:edit', action: 'Delete alert rules' });
+  },
+
+  async deleteAlerts(ids) {
+    if (ids.length === 0) return true;
+    const updates = {};
+    ids.forEach((id) => {
+      updates[`alerts/${id}`] = null;
+    });
+    return this.enqueue({ op: 'update', updates, undoable: false, audit: false, failureMessage: 'Failed to prune alerts' });
+  },
+
+  async deleteTank(id, options = {}) {
+    return this.deleteRecord('tanks', id, 'Failed to delete tank', options);
+  },
+
+  async deleteValve(id, options = {}) {
+    return this.deleteRecord('valves', id, 'Failed to delete valve', options);
+  },
+
+  async deletePipeline(id, options = {}) {
+    return this.deleteRecord('pipelines', id, 'Failed to delete pipeline', options);
+  },
+
+  async deleteJunction(id, options = {}) {
+    return this.deleteRecord('junctions', id, 'Failed to delete junction', options);
+  },
+
+  // Server data (or the offline cache before it arrives) with pending writes applied on top
+  collectionView(collection) {
+    const base = this.serverData[collection] !== undefined ? this.serverData[collection] : this.cachedData[collection];
+    const view = { [collection]: clone(base || {}) };
+    this.outbox.forEach((entry) => applyOutboxEntry(view, entry));
+    return view[collection] || {};
+  },
+
+  // Current value of a record (or whole collection) as the app sees it
+  valueAt(path) {
+    const [collection, ...rest] = splitPath(path);
+    return clone(getAtPath(this.collectionView(collection), rest.join('/')));
+  },
+
+  // valueAt for many paths, building each collection's view once
+  valuesAt(paths) {
+    const views = new Map();
+    return paths.map((path) => {
+      const [collection, ...rest] = splitPath(path);
+      if (!views.has(collection)) views.set(collection, this.collectionView(collection));
+      return clone(getAtPath(views.get(collection), rest.join('/')));
+    });
+  },
+
+  emitCollection(collection) {
+    const callback = this.collectionCallbacks[collection];
+    if (!callback) return;
+    const base = this.serverData[collection] !== undefined ? this.serverData[collection] : this.cachedData[collection];
+    if (base === undefined && this.outbox.length === 0) return;
+    callback(this.collectionView(collection));
+  },
+
+  // ==================== CHANGE RECORDING (UNDO) ====================
+  // A recording captures before/after snapshots of the records touched by the writes it is
+  // passed to ({ recording } in their options). Writes made meanwhile without it, by the
+  // valve scheduler, a simulated device or a remote-triggered save, stay out of it.
+
+  // label names the command in the audit log
+  startRecording(label = null) {
+    return { label, changes: new Map() };
+  },
+
+  recordedChanges(recording) {
+    return [...recording.changes.entries()]
+      .map(([path, change]) => ({ path, ...change }))
+      .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after));
+  },
+
+  affectedRecordPaths(entry) {
+    return [...new Set(entryPaths(entry).map((path) => splitPath(path).slice(0, 2).join('/')))];
+  },
+
+  recordChange(recording, path, before, after) {
+    const existing = recording.changes.get(path);
+    recording.changes.set(path, { before: existing ? existing.before : before, after });
+  },
+
+  // Write record snapshots back in one update (used by undo/redo); not itself recorded.
+  // A record that exists before and after gets only the fields that differ, so undoing a
+  // valve toggle stays within what an operator may write (js/roles.js).
+  // Resolves with the values actually written, lastUpdate stamps included.
+  async restoreSnapshots(snapshots, failureMessage = 'Failed to restore changes', action = 'Restore changes') {
+    const written = {};
+    const updates = {};
+    const isRecord = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+    snapshots.forEach(({ path, value }) => {
+      const restored = isRecord(value) && 'lastUpdate' in value ? { ...value, lastUpdate: Date.now() } : value;
+      const current = this.valueAt(path);
+      written[path] = restored;
+      if (!isRecord(current) || !isRecord(restored)) {
+        updates[path] = restored;
+        return;
       }
-    );
-    this.listeners.push({ ref: valvesRef, unsubscribe: () => off(valvesRef) });
+      new Set([...Object.keys(current), ...Object.keys(restored)]).forEach((field) => {
+        if (JSON.stringify(current[field]) !== JSON.stringify(restored[field])) updates[`${path}/${field}`] = restored[field] ?? null;
+      });
+    });
+    if (!(await this.enqueue({ op: 'update', updates, failureMessage, action }))) throw new Error(`${action} was refused`);
+    return written;
+  },
+
+  emitAffected(entry) {
+    new Set(entryPaths(entry).map((path) => path.split('/')[0])).forEach((collection) => this.emitCollection(collection));
+  },
+
+  // Network collections are delivered as model instances, anything else as plain records
+  listenToCollection(collection, callback) {
+    const Model = COLLECTION_MODELS[collection];
+    const toRecord = Model ? (item) => new Model(item) : (item) => item;
+    this.collectionCallbacks[collection] = (data) => callback(Object.values(data).map(toRecord));
+    this.ready.then(() => {
+      if (this.serverData[collection] === undefined) this.emitCollection(collection);
+    });
+
+    this.attachCollection(collection);
+    this.listeners.push({ path: collection, unsubscribe: () => this.collectionUnsubscribes[collection]() });
+  },
+
+  // Tanks and valves are narrowed to the scope by a database query; pipelines and junctions
+  // carry no location and are always loaded whole
+  attachCollection(collection) {
+    if (this.collectionUnsubscribes[collection]) this.collectionUnsubscribes[collection]();
+    const onData = (value) => {
+      const data = value || {};
+      this.serverData[collection] = data;
+      OfflineStore.replaceCollection(collection, data).catch((error) => {
+        console.warn(`⚠️ Could not cache ${collection}:`, error);
+      });
+      this.emitCollection(collection);
+    };
+    const onError = (error) => {
+      console.error(`Error listening to ${collection}:`, error);
+      updateConnectionStatus(false, this.outbox.length);
+    };
+    const where = scopeQuery(collection, this.scope);
+    this.collectionUnsubscribes[collection] = where
+      ? backend.listenWhere(collection, where, onData, onError)
+      : backend.listen(collection, onData, onError);
+  },
+
+  // Listeners already attached move to the new scope; their data arrives as a fresh snapshot
+  setScope(scope) {
+    const scoped = normalizeScope(scope);
+    if (JSON.stringify(scoped) === JSON.stringify(this.scope)) return;
+    this.scope = scoped;
+    SCOPED_COLLECTIONS.forEach((collection) => {
+      if (this.collectionUnsubscribes[collection]) this.attachCollection(collection);
+    });
+    // Back at the top every listed device is wanted again
+    if (this.deviceCallback && scopeDepth(scoped) === 0) this.discoverDevices();
+  },
+
+  listenToTanks(callback) {
+    this.listenToCollection('tanks', callback);
+  },
+
+  listenToValves(callback) {
+    this.listenToCollection('valves', callback);
   },
 
   listenToPipelines(callback) {
-    const pipelinesRef = ref(db, 'pipelines');
-    onValue(
-      pipelinesRef,
-      (snapshot) => {
-        const data = snapshot.val();
-        const pipelineList = data ? Object.values(data).map((p) => new Pipeline(p)) : [];
-        callback(pipelineList);
+    this.listenToCollection('pipelines', callback);
+  },
+
+  listenToJunctions(callback) {
+    this.listenToCollection('junctions', callback);
+  },
+
+  listenToAlerts(callback) {
+    this.listenToCollection('alerts', callback);
+  },
+
+  listenToAlertRules(callback) {
+    this.listenToCollection('alertRules', callback);
+  },
+
+  listenToAnalytics(callback) {
+    const unsubscribe = backend.listen(
+      'analytics',
+      (value) => {
+        callback(value || null);
       },
       (error) => {
-        console.error('Error listening to pipelines:', error);
-        updateConnectionStatus(false);
+        console.error('Error listening to analytics:', error);
       }
     );
-    this.listeners.push({ ref: pipelinesRef, unsubscribe: () => off(pipelinesRef) });
+    this.listeners.push({ path: 'analytics', unsubscribe });
   },
 
-  listenToAnalytics(callback) {
-    const analyticsRef = ref(db, 'analytics');
-    onValue(
-      analyticsRef,
-      (snapshot) => {
-        callback(snapshot.val() || null);
+  // valveReports/{valveId}: the latest word from each motorised valve's device
+  listenToValveReports(callback) {
+    const unsubscribe = backend.listen(
+      'valveReports',
+      (value) => {
+        callback(value || {});
       },
       (error) => {
-        console.error('Error listening to analytics:', error);
+        console.error('Error listening to valve reports:', error);
       }
     );
-    this.listeners.push({ ref: analyticsRef, unsubscribe: () => off(analyticsRef) });
+    this.listeners.push({ path: 'valveReports', unsubscribe });
   },
 
   // Extract all readings from a device node (for history sync)
   extractAllReadings(deviceNode) {
-    if (!deviceNode || typeof deviceNode !== 'object') return [];
-    
-    const readings = [];
-    
-    // Check if this is a flat structure (direct distance/timestamp)
-    if (deviceNode.distance !== undefined || deviceNode.timestamp !== undefined) {
-      readings.push({
-        distance: deviceNode.distance,
-        distance_meters: deviceNode.distance,
-        timestamp: deviceNode.timestamp,
-        ...deviceNode
-      });
-      return readings;
-    }
-    
-    // Check for nested structure with push-key children
-    Object.keys(deviceNode).forEach(key => {
-      const child = deviceNode[key];
-      // Check if this child is a reading (has distance/timestamp)
-      if (child && typeof child === 'object' && 
-          (child.distance !== undefined || child.timestamp !== undefined)) {
-        readings.push({
-          distance: child.distance,
-          distance_meters: child.distance,
-          timestamp: child.timestamp,
-          pushKey: key, // Keep track of the push key for reference
-          ...child
-        });
-      }
-    });
-    
-    return readings.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)); // Sort by timestamp descending
+    return extractAllReadings(deviceNode);
+  },
+
+  // Every reading per device in a snapshot (by default the device data listened to):
+  // devices/ plus the legacy root-level and /ultrasonic nodes, newest first
+  collectDeviceReadings(rawData = this.lastDeviceRawData) {
+    return collectDeviceReadings(rawData);
   },
 
+  // Telemetry without listening on the database root: devices/{id}/latest for every device,
+  // with its recent readings read once, and legacy device nodes (js/deviceTelemetry.js)
+  // one by one until they are migrated
   listenToDevices(callback) {
-    // Helper function to extract latest reading from a device node
-    const extractLatestReading = (deviceNode) => {
-      if (!deviceNode || typeof deviceNode !== 'object') return null;
-      
-      // Check if this is a flat structure (direct distance/timestamp)
-      if (deviceNode.distance !== undefined || deviceNode.timestamp !== undefined) {
-        return {
-          distance: deviceNode.distance,
-          distance_meters: deviceNode.distance,
-          timestamp: deviceNode.timestamp,
-          ...deviceNode
-        };
-      }
-      
-      // Check for nested structure with push-key children
-      let latestReading = null;
-      let latestTimestamp = -1;
-      
-      Object.keys(deviceNode).forEach(key => {
-        const child = deviceNode[key];
-        // Check if this child is a reading (has distance/timestamp)
-        if (child && typeof child === 'object' && 
-            (child.distance !== undefined || child.timestamp !== undefined)) {
-          const timestamp = child.timestamp || 0;
-          // Get the reading with the highest timestamp (most recent)
-          if (timestamp > latestTimestamp) {
-            latestTimestamp = timestamp;
-            latestReading = child;
-          }
-        }
-      });
-      
-      if (latestReading) {
-        return {
-          distance: latestReading.distance,
-          distance_meters: latestReading.distance,
-          timestamp: latestReading.timestamp,
-          ...latestReading
-        };
+    this.deviceCallback = callback;
+    // Last known telemetry from the offline cache until the live snapshot arrives
+    this.ready.then(() => {
+      const cached = this.cachedData.devices || {};
+      if (!this.lastDeviceRawData && Object.keys(cached).length > 0) callback(cached);
+    });
+
+    this.wantedDevices.forEach((deviceId) => this.watchDevice(deviceId));
+    this.discoverDevices();
+    const discovery = setInterval(() => this.discoverDevices(), DEVICE_DISCOVERY_INTERVAL_MS);
+    this.listeners.push({
+      path: DEVICES_PATH,
+      unsubscribe: () => {
+        clearInterval(discovery);
+        this.deviceWatches.forEach(({ unsubscribe }) => unsubscribe());
+        this.deviceWatches.clear();
       }
-      
-      return null;
-    };
-    
-    // Known non-device paths to skip
-    const skipPaths = ['tanks', 'valves', 'pipelines', 'analytics', 'ultrasonic', 'history'];
-    
-    // Listen to device data at root level (DEVICE_001, DEVICE_002, etc.)
-    // Structure: DEVICE_001/{pushKey1: {distance, timestamp}, pushKey2: {distance, timestamp}, ...}
-    const devicesRef = ref(db);
-    onValue(
-      devicesRef,
-      (snapshot) => {
-        const data = snapshot.val() || {};
-        const normalized = {};
-        
-        // Process root-level device nodes
-        Object.keys(data).forEach(deviceId => {
-          // Skip known non-device paths
-          if (skipPaths.includes(deviceId)) return;
-          
-          // Check if this looks like a device ID (starts with DEVICE_ or similar pattern)
-          // Also accept any node that has device-like structure
-          const deviceNode = data[deviceId];
-          const reading = extractLatestReading(deviceNode);
-          
-          if (reading) {
-            normalized[deviceId] = {
-              id: deviceId,
-              ...reading
-            };
-          }
-        });
-        
-        // Also check /ultrasonic path for backward compatibility
-        if (data.ultrasonic && typeof data.ultrasonic === 'object') {
-          Object.keys(data.ultrasonic).forEach(deviceId => {
-            const reading = extractLatestReading(data.ultrasonic[deviceId]);
-            if (reading) {
-              normalized[deviceId] = {
-                id: deviceId,
-                ...reading
-              };
-            }
-          });
-        }
-        
-        if (Object.keys(normalized).length > 0) {
-          console.log(`📡 Found ${Object.keys(normalized).length} device(s) with telemetry data:`, Object.keys(normalized));
-        }
-        
-        // Store raw device data for history sync
-        this.lastDeviceRawData = data;
-        
-        callback(normalized);
+    });
+  },
+
+  // Within a scope only the devices bound to its tanks are listened to, matched without case
+  wantsDevice(deviceId) {
+    if (scopeDepth(this.scope) === 0) return true;
+    return [...this.wantedDevices].some((id) => id.toUpperCase() === deviceId.toUpperCase());
+  },
+
+  // Lists device ids without downloading their data
+  async discoverDevices() {
+    try {
+      // Root nodes are only listened to once a shallow check shows they hold readings
+      const [deviceIds, legacy] = await Promise.all([
+        backend.listKeys(DEVICES_PATH),
+        listLegacyDevices(backend, ({ path, deviceId }) => this.deviceWatches.has(path) || !this.wantsDevice(deviceId))
+      ]);
+      deviceIds.filter((deviceId) => this.wantsDevice(deviceId)).forEach((deviceId) => this.watchDevice(deviceId));
+      legacy.forEach(({ path, deviceId }) => this.watchLegacyDevice(path, deviceId));
+    } catch (error) {
+      console.error('Error listing devices:', error);
+    }
+  },
+
+  // The devices bound to the page's tanks, listened to even before they are listed
+  watchDevices(deviceIds) {
+    const wanted = new Set(deviceIds.filter(Boolean).map(String));
+    const changed = wanted.size !== this.wantedDevices.size || [...wanted].some((id) => !this.wantedDevices.has(id));
+    this.wantedDevices = wanted;
+    if (!this.deviceCallback || !changed) return;
+    wanted.forEach((deviceId) => this.watchDevice(deviceId));
+    if (scopeDepth(this.scope) === 0) return;
+    // Devices of tanks that left the scope are dropped; listing finds ids differing in case
+    this.deviceWatches.forEach(({ deviceId, unsubscribe }, path) => {
+      if (this.wantsDevice(deviceId)) return;
+      unsubscribe();
+      this.deviceWatches.delete(path);
+      this.setDeviceData(path.startsWith(`${DEVICES_PATH}/`) ? devicePath(deviceId) : path, null);
+    });
+    this.discoverDevices();
+  },
+
+  watchDevice(deviceId) {
+    const latestPath = devicePath(deviceId, 'latest');
+    const readingsPath = devicePath(deviceId, 'readings');
+    if (this.deviceWatches.has(latestPath)) return;
+
+    backend.readRange(readingsPath, { last: true, limit: RECENT_READINGS })
+      .then((readings) => {
+        if (Object.keys(readings).length === 0) return;
+        this.setDeviceData(readingsPath, { ...readings, ...(getAtPath(this.deviceData, readingsPath) || {}) });
+      })
+      .catch((error) => console.error(`Error reading recent readings of ${deviceId}:`, error));
+
+    const unsubscribe = backend.listen(
+      latestPath,
+      (latest) => {
+        this.setDeviceData(latestPath, latest);
+        // Each new latest extends the recent readings, so they stay current without a listener
+        if (latest?.pushKey) this.setDeviceData(readingsPath, recentReadingsWith(getAtPath(this.deviceData, readingsPath), latest));
       },
       (error) => {
-        console.error('Error listening to devices:', error);
-        updateConnectionStatus(false);
+        console.error(`Error listening to device ${deviceId}:`, error);
+        updateConnectionStatus(false, this.outbox.length);
       }
     );
-    this.listeners.push({ ref: devicesRef, unsubscribe: () => off(devicesRef) });
+    this.deviceWatches.set(latestPath, { deviceId, unsubscribe });
   },
 
-  // Fetch all device data directly from Firebase (one-time fetch)
+  watchLegacyDevice(path, deviceId) {
+    if (this.deviceWatches.has(path)) return;
+    const unsubscribe = backend.listen(
+      path,
+      (value) => this.setDeviceData(path, value),
+      (error) => console.error(`Error listening to legacy device node ${path}:`, error)
+    );
+    this.deviceWatches.set(path, { deviceId, unsubscribe });
+  },
+
+  setDeviceData(path, value) {
+    this.deviceData = setAtPath(this.deviceData, path, value);
+    clearTimeout(this.deviceEmitTimer);
+    this.deviceEmitTimer = setTimeout(() => this.emitDevices(), DEVICE_EMIT_DELAY_MS);
+  },
+
+  emitDevices() {
+    // A new object each time: caches keyed on the snapshot (js/services/tankSignal.js) refresh
+    const data = { ...this.deviceData };
+    const normalized = latestDeviceTelemetry(data);
+
+    if (Object.keys(normalized).length > 0) {
+      console.log(`📡 Found ${Object.keys(normalized).length} device(s) with telemetry data:`, Object.keys(normalized));
+    }
+
+    // Store raw device data for history sync
+    this.lastDeviceRawData = data;
+    OfflineStore.replaceCollection('devices', normalized).catch((error) => {
+      console.warn('⚠️ Could not cache device telemetry:', error);
+    });
+
+    if (this.deviceCallback) this.deviceCallback(normalized);
+  },
+
+  // Every device's full data, one-time (history views and sync): devices/ and the legacy nodes
   async fetchAllDeviceData() {
     try {
-      const devicesRef = ref(db);
-      const snapshot = await get(devicesRef);
-      if (!snapshot.exists()) {
-        console.log('📭 No device data found in Firebase');
+      const [devices, legacy] = await Promise.all([backend.read(DEVICES_PATH), listLegacyDevices(backend)]);
+      let snapshot = { [DEVICES_PATH]: devices || {} };
+      const legacyNodes = await Promise.all(legacy.map(({ path }) => backend.read(path)));
+      legacy.forEach(({ path }, i) => { snapshot = setAtPath(snapshot, path, legacyNodes[i]); });
+
+      const deviceData = deviceNodes(snapshot);
+      if (Object.keys(deviceData).length === 0) {
+        console.log('📭 No device data found');
         return {};
       }
-      
-      const data = snapshot.val() || {};
-      const skipPaths = ['tanks', 'valves', 'pipelines', 'analytics', 'ultrasonic', 'history'];
-      const deviceData = {};
-      
-      // Process root-level device nodes
-      Object.keys(data).forEach(deviceId => {
-        if (skipPaths.includes(deviceId)) return;
-        const deviceNode = data[deviceId];
-        if (deviceNode && typeof deviceNode === 'object') {
-          deviceData[deviceId] = deviceNode;
-        }
-      });
-      
-      // Also check /ultrasonic path
-      if (data.ultrasonic && typeof data.ultrasonic === 'object') {
-        Object.keys(data.ultrasonic).forEach(deviceId => {
-          deviceData[deviceId] = data.ultrasonic[deviceId];
-        });
-      }
-      
+
       console.log(`📡 Fetched data for ${Object.keys(deviceData).length} device(s)`);
       return deviceData;
     } catch (error) {
@@ -327,16 +823,15 @@ const FirebaseService = {
     }
   },
 
-  async clearAll() {
-    try {
-      await set(ref(db, 'tanks'), null);
-      await set(ref(db, 'valves'), null);
-      await set(ref(db, 'pipelines'), null);
-      return true;
-    } catch (error) {
-      console.error('Error clearing data:', error);
-      return false;
-    }
+  async clearAll({ recording = null } = {}) {
+    return this.enqueue({
+      op: 'update',
+      updates: { tanks: null, valves: null, pipelines: null, junctions: null },
+      failureMessage: 'Failed to clear data',
+      permission: 'data:admin',
+      action: 'Clear all data',
+      recording
+    });
   },
 
   detachListeners() {
@@ -345,15 +840,6 @@ const FirebaseService = {
   }
 };
 
-export {
-  FirebaseService,
-  db,
-  ref,
-  set,
-  get,
-  update,
-  remove,
-  onValue,
-  off
-};
+FirebaseService.init();
 
+export { FirebaseService, backend };
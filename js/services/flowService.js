@@ -0,0 +1,110 @@
+import { NETWORK_COLLECTIONS, createFlowJobs } from '../networkModel.js';
+
+// ==================== FLOW SERVICE ====================
+// Runs the page's hydraulics and household supply in js/flowWorker.js. Each update sends only
+// the records that changed since the last one (by their stored form) and the tank levels that
+// moved; results of jobs superseded since are dropped here as well as in the worker. Where
+// workers are unavailable the same jobs run in the page, one tick later.
+
+const emptySent = () => ({
+  ...Object.fromEntries(Object.keys(NETWORK_COLLECTIONS).map((collection) => [collection, new Map()])),
+  levels: new Map()
+});
+
+const recordOf = (item) => (typeof item.toFirebase === 'function' ? item.toFirebase() : { ...item });
+
+// Upserts and removals that turn what was sent into the current records, or null
+function diffRecords(sent, items) {
+  const upsert = {};
+  const seen = new Set();
+  items.forEach((item) => {
+    if (!item?.id) return;
+    seen.add(item.id);
+    const record = recordOf(item);
+    const json = JSON.stringify(record);
+    if (sent.get(item.id) === json) return;
+    sent.set(item.id, json);
+    upsert[item.id] = record;
+  });
+  const remove = [...sent.keys()].filter((id) => !seen.has(id));
+  remove.forEach((id) => sent.delete(id));
+  return Object.keys(upsert).length > 0 || remove.length > 0 ? { upsert, remove } : null;
+}
+
+const FlowService = {
+  worker: null,
+  jobId: 0,
+  sent: emptySent(),
+  // A job was cancelled, so the next update runs even if nothing changed
+  stale: false,
+  callbacks: [],
+
+  start() {
+    if (this.worker) return;
+    try {
+      this.worker = new Worker(new URL('../flowWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = ({ data }) => this.receive(data);
+      this.worker.onerror = (event) => {
+        console.error('❌ Flow worker failed, computing in the page:', event.message || event);
+        this.runInPage();
+      };
+    } catch (error) {
+      console.warn('⚠️ Web Workers unavailable, computing flow in the page:', error);
+      this.runInPage();
+    }
+  },
+
+  // Same jobs on the main thread; everything is sent again
+  runInPage() {
+    this.worker?.terminate?.();
+    const onMessage = createFlowJobs((data) => this.receive(data));
+    this.worker = { postMessage: onMessage, terminate() {} };
+    this.sent = emptySent();
+    this.notify({ type: 'restart' });
+  },
+
+  onResult(callback) {
+    this.callbacks.push(callback);
+  },
+
+  notify(message) {
+    this.callbacks.forEach((callback) => callback(message));
+  },
+
+  receive(message) {
+    if (message.type !== 'restart' && message.jobId !== this.jobId) return;
+    if (message.type === 'error') console.error(`❌ Flow job ${message.jobId} failed:`, message.message);
+    else if (message.type === 'flow' && !message.converged) console.warn(`⚠️ Hydraulic solver did not converge after ${message.iterations} iterations`);
+    this.notify(message);
+  },
+
+  // network: { tanks, valves, pipelines, junctions }; levels: { tankId: water level in m }.
+  // Returns the job id, or null when nothing changed.
+  update(network, levels = {}) {
+    this.start();
+    const diff = {};
+    Object.keys(NETWORK_COLLECTIONS).forEach((collection) => {
+      const change = diffRecords(this.sent[collection], network[collection] || []);
+      if (change) diff[collection] = change;
+    });
+    Object.entries(levels).forEach(([id, level]) => {
+      if (!Number.isFinite(level) || this.sent.levels.get(id) === level) return;
+      this.sent.levels.set(id, level);
+      diff.levels = { ...(diff.levels || {}), [id]: level };
+    });
+    if (Object.keys(diff).length === 0 && !this.stale) return null;
+    this.stale = false;
+    this.jobId += 1;
+    this.worker.postMessage({ type: 'diff', jobId: this.jobId, diff });
+    return this.jobId;
+  },
+
+  // Nothing pending is wanted any more (e.g. server analytics took over)
+  cancel() {
+    this.worker?.postMessage({ type: 'cancel' });
+    this.jobId += 1;
+    this.stale = true;
+  }
+};
+
+export { FlowService };
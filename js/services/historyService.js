@@ -1,17 +1,47 @@
-import { db, ref, set, get } from './firebaseService.js';
+import { backend } from './firebaseService.js';
+import { DeviceClock } from './deviceClock.js';
+import { absoluteTimestamp, confidenceRank, readingSignature } from '../timeReconciliation.js';
+import { volumeAtLevel, overflowLevel } from '../tankGeometry.js';
+import {
+  HISTORY_KEY_VERSION, ROLLUP_RESOLUTIONS, UNPLACED_RANGE,
+  timeKey, isTimeKey, keyRange, bucketStart, summarizeHour, summarizeDay
+} from '../historyRollups.js';
+import { rollupPath, rollUpHours } from '../historyCompaction.js';
 import { toast } from '../utils.js';
 
+// History is read by key range and summarised in hourly and daily rollups (js/historyRollups.js).
+// Raw points past retention are compacted by server/analyticsService.js (js/historyCompaction.js).
+const MIGRATION_CHUNK_SIZE = 200;
+// How far around a sync's readings to look for copies already in history
+const SYNC_LOOKAROUND_MS = ROLLUP_RESOLUTIONS.day;
+
+const toTime = (date, endOfDay = false) => {
+  if (!date) return null;
+  if (date instanceof Date) return date.getTime() + (endOfDay ? ROLLUP_RESOLUTIONS.day : 0);
+  return new Date(`${date}T${endOfDay ? '23:59:59' : '00:00:00'}`).getTime();
+};
+
+async function updateInChunks(updates) {
+  const entries = Object.entries(updates);
+  for (let i = 0; i < entries.length; i += MIGRATION_CHUNK_SIZE) {
+    await backend.update(Object.fromEntries(entries.slice(i, i + MIGRATION_CHUNK_SIZE)));
+  }
+}
+
 const HistoryService = {
+  // Devices whose history is keyed by time (HISTORY_KEY_VERSION), as far as this session knows
+  keyVersions: new Map(),
+
   // Save a single data point to history
   async saveDataPoint(deviceId, deviceType, data) {
     const timestamp = data.timestamp || data.deviceTimestamp || Date.now();
-    const historyRef = ref(db, `history/${deviceType}/${deviceId}/${timestamp}`);
     try {
-      await set(historyRef, {
+      await backend.writeHistory(deviceType, deviceId, timeKey(timestamp), {
         timestamp,
         date: new Date(timestamp).toISOString(),
         ...data
       });
+      await this.refreshRollups(deviceType, deviceId, [timestamp]);
       return true;
     } catch (error) {
       console.error('Error saving history:', error);
@@ -19,11 +49,29 @@ const HistoryService = {
     }
   },
 
-  // Generate a unique key for history entry
-  generateHistoryKey(originalTimestamp, distance) {
-    const ts = String(originalTimestamp || Date.now());
-    const dist = String(distance || 0).replace(/\./g, '_');
-    return `${ts}_${dist}`;
+  // Key for a device reading: its wall-clock time, then the raw device time and distance
+  // that make it unique
+  generateHistoryKey(timestamp, originalTimestamp, distance) {
+    return timeKey(timestamp, `${originalTimestamp || 0}_${distance || 0}`);
+  },
+
+  rollupPath(deviceType, deviceId, ...rest) {
+    return rollupPath(deviceType, deviceId, ...rest);
+  },
+
+  async keysMigrated(deviceType, deviceId) {
+    const id = `${deviceType}/${deviceId}`;
+    if (!this.keyVersions.has(id)) {
+      const meta = await backend.read(this.rollupPath(deviceType, deviceId, 'meta'));
+      this.keyVersions.set(id, (meta?.keyVersion || 0) >= HISTORY_KEY_VERSION);
+    }
+    return this.keyVersions.get(id);
+  },
+
+  // Raw points between two times; the whole node until the device's keys are migrated
+  async readPoints(deviceType, deviceId, from, to) {
+    if (!(await this.keysMigrated(deviceType, deviceId))) return backend.readHistory(deviceType, deviceId);
+    return backend.readHistoryRange(deviceType, deviceId, keyRange(from ?? 0, to ?? Date.now() + ROLLUP_RESOLUTIONS.day));
   },
 
   // Normalize timestamp - handle seconds, milliseconds, or relative timestamps
@@ -52,22 +100,43 @@ const HistoryService = {
     return null;
   },
 
-  // 🔥 NEW: Find the latest timestamp in existing history
-  getLatestTimestamp(existingHistory) {
-    if (!existingHistory || existingHistory.length === 0) {
-      return 0; // No history, start from beginning
-    }
-    
-    let maxTimestamp = 0;
-    for (const entry of existingHistory) {
-      const ts = entry.originalTimestamp || entry.deviceTimestamp || entry.timestamp || 0;
-      if (ts > maxTimestamp) {
-        maxTimestamp = ts;
-      }
+  // Entries written before readings were reconciled carry made-up times (or the raw
+  // millis() value); give them the reconciled time when it is better than what they have
+  // Re-stamped entries move to the key of their new time. Returns the times touched, old and
+  // new, so their rollups can be rebuilt.
+  async restampHistory(deviceType, deviceId, existing, placedBySignature) {
+    const updates = [];
+    Object.entries(existing).forEach(([key, entry]) => {
+      const uptime = entry.originalTimestamp ?? entry.deviceTimestamp;
+      if (uptime === undefined || uptime === null || absoluteTimestamp(uptime) !== null) return;
+      const placed = placedBySignature.get(readingSignature({ timestamp: uptime, distance: entry.distance }));
+      if (!placed) return;
+      const current = absoluteTimestamp(entry.timestamp) !== null ? entry.timeConfidence : null;
+      if (current && confidenceRank(current) <= confidenceRank(placed.timeConfidence)) return;
+      updates.push([key, {
+        ...entry,
+        timestamp: placed.epoch,
+        date: new Date(placed.epoch).toISOString(),
+        timeConfidence: placed.timeConfidence
+      }]);
+    });
+    if (updates.length === 0) return [];
+
+    const CHUNK_SIZE = 20;
+    const touched = [];
+    for (let i = 0; i < updates.length; i += CHUNK_SIZE) {
+      await Promise.all(updates.slice(i, i + CHUNK_SIZE).map(([key, entry]) => {
+        const newKey = this.generateHistoryKey(entry.timestamp, entry.originalTimestamp ?? entry.deviceTimestamp, entry.distance);
+        const moves = { [backend.historyPath(deviceType, deviceId, newKey)]: entry };
+        if (newKey !== key) moves[backend.historyPath(deviceType, deviceId, key)] = null;
+        touched.push(entry.timestamp, ...(absoluteTimestamp(existing[key].timestamp) !== null ? [existing[key].timestamp] : []));
+        return backend.update(moves).catch((error) => {
+          console.error(`Error re-stamping history entry ${key}:`, error);
+        });
+      }));
     }
-    
-    console.log(`📍 Latest existing timestamp: ${maxTimestamp}`);
-    return maxTimestamp;
+    console.log(`🕒 Re-stamped ${updates.length} history entries for ${deviceType}/${deviceId}`);
+    return touched;
   },
 
   // 🔥 FIXED: Only sync NEW readings (incremental sync)
@@ -80,18 +149,28 @@ const HistoryService = {
     try {
       console.log(`🔄 Starting incremental sync for tank ${tankId} with ${readings.length} readings`);
       
-      // Get existing history ONCE
-      const existingHistory = await this.getHistoryRaw(tankId, deviceType);
+      // Put every reading on the calendar; the ESP only knows its time since boot
+      const reconciled = DeviceClock.reconcile(tank?.deviceId || tankId, readings);
+      const placedBySignature = new Map(reconciled.map(reading => [readingSignature(reading), reading]));
+      
+      // Existing history around those times (plus entries still waiting for a time), not all of it
+      const existing = await this.readSyncNeighbours(deviceType, tankId, reconciled.map(reading => reading.epoch));
+      const existingHistory = Object.values(existing);
       console.log(`📊 Found ${existingHistory.length} existing entries`);
+      const touched = await this.restampHistory(deviceType, tankId, existing, placedBySignature);
       
-      // 🔥 CRITICAL FIX: Find the latest timestamp we already have
-      const latestExistingTimestamp = this.getLatestTimestamp(existingHistory);
+      // Create a Set for duplicate checking
+      const existingKeys = new Set(
+        existingHistory.map(h => {
+          const ts = String(h.originalTimestamp || h.deviceTimestamp || h.timestamp || '');
+          const dist = String(h.distance || '');
+          return `${ts}_${dist}`;
+        })
+      );
       
-      // 🔥 CRITICAL FIX: Filter to only NEW readings
-      const newReadings = readings.filter(reading => {
-        const ts = reading.timestamp || 0;
-        return ts > latestExistingTimestamp; // Only process readings AFTER our latest
-      });
+      // Only readings not in history yet. Uptime restarts at every reboot, so "newer than
+      // the latest timestamp" would skip everything sent after one.
+      const newReadings = readings.filter(reading => !existingKeys.has(`${reading.timestamp || ''}_${reading.distance || ''}`));
       
       console.log(`🎯 Filtered to ${newReadings.length} NEW readings (skipping ${readings.length - newReadings.length} existing)`);
       
@@ -100,17 +179,9 @@ const HistoryService = {
         return { synced: 0, skipped: readings.length };
       }
       
-      // Create a Set for duplicate checking (only for NEW readings)
-      const existingKeys = new Set(
-        existingHistory.map(h => {
-          const ts = String(h.originalTimestamp || h.deviceTimestamp || h.timestamp || '');
-          const dist = String(h.distance || '');
-          return `${ts}_${dist}`;
-        })
-      );
-      
       // Sort NEW readings chronologically
-      const sortedReadings = [...newReadings].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+      const sortedReadings = [...newReadings].sort((a, b) =>
+        (placedBySignature.get(readingSignature(a))?.epoch || 0) - (placedBySignature.get(readingSignature(b))?.epoch || 0));
       
       let syncedCount = 0;
       let skippedCount = 0;
@@ -148,22 +219,17 @@ const HistoryService = {
             continue;
           }
           
-          // Normalize timestamp
-          let normalizedTimestamp = this.normalizeTimestamp(rawTimestamp);
-          
-          if (!normalizedTimestamp || normalizedTimestamp < 946684800000) {
-            const totalReadings = sortedReadings.length;
-            const globalIndex = chunkIndex * CHUNK_SIZE + index;
-            const reverseIndex = totalReadings - 1 - globalIndex;
-            const minutesBetweenReadings = 5;
-            const offsetMinutes = reverseIndex * minutesBetweenReadings;
-            normalizedTimestamp = Date.now() - (offsetMinutes * 60 * 1000);
-          }
+          // Reconciled wall-clock time, with how far it can be trusted
+          const placed = placedBySignature.get(readingSignature(reading));
+          const normalizedTimestamp = placed?.epoch ?? absoluteTimestamp(rawTimestamp) ?? Date.now();
           
           // Build history entry
           const safeDistance = (distance === undefined ? null : distance);
 
           const historyEntry = {
+            ...Object.fromEntries(
+              Object.entries(reading).map(([k, v]) => [k, v === undefined ? null : v])
+            ),
             distance: safeDistance,
             distance_meters: safeDistance,
             distance_cm: safeDistance !== null ? (safeDistance * 100).toFixed(1) : null,
@@ -171,9 +237,7 @@ const HistoryService = {
             deviceTimestamp: rawTimestamp,
             timestamp: normalizedTimestamp,
             date: new Date(normalizedTimestamp).toISOString(),
-            ...Object.fromEntries(
-              Object.entries(reading).map(([k, v]) => [k, v === undefined ? null : v])
-            )
+            timeConfidence: placed?.timeConfidence || 'unanchored'
           };
           
           // Calculate tank metrics if tank provided
@@ -181,21 +245,9 @@ const HistoryService = {
             const sensorHeight = tank.sensorHeight || tank.height || 10;
             const waterLevel = Math.max(0, Math.min(sensorHeight, sensorHeight - distance));
             
-            let currentVolume = 0;
-            let maxCapacity = 0;
-
-            if (tank.shape === 'cylinder' && tank.diameter) {
-              const radius = tank.diameter / 2;
-              currentVolume = Math.PI * Math.pow(radius, 2) * waterLevel * 1000;
-              maxCapacity = Math.PI * Math.pow(radius, 2) * tank.height * 1000;
-            } else if (tank.shape === 'cuboid' && tank.length && tank.breadth) {
-              currentVolume = tank.length * tank.breadth * waterLevel * 1000;
-              maxCapacity = tank.length * tank.breadth * tank.height * 1000;
-            } else {
-              maxCapacity = tank.capacity || 20000;
-              const maxHeight = tank.height || 10;
-              currentVolume = (waterLevel / maxHeight) * maxCapacity;
-            }
+            // Same geometry as Tank, so plain tank records work too
+            const currentVolume = volumeAtLevel(tank, waterLevel);
+            const maxCapacity = volumeAtLevel(tank, overflowLevel(tank));
 
             const fillPercentage = maxCapacity > 0 ? (currentVolume / maxCapacity) * 100 : 0;
 
@@ -206,13 +258,13 @@ const HistoryService = {
             historyEntry.capacity = tank.capacity || Math.round(maxCapacity);
           }
           
-          // Generate unique Firebase key
-          const historyKey = this.generateHistoryKey(rawTimestamp, distance);
-          const historyRef = ref(db, `history/${deviceType}/${tankId}/${historyKey}`);
+          // Keyed by time, so range queries and rollups find it
+          const historyKey = this.generateHistoryKey(normalizedTimestamp, rawTimestamp, distance);
+          touched.push(normalizedTimestamp);
           
           // Add to save promises for this chunk
           savePromises.push(
-            set(historyRef, historyEntry).then(() => {
+            backend.writeHistory(deviceType, tankId, historyKey, historyEntry).then(() => {
               syncedCount++;
               return true;
             }).catch(err => {
@@ -235,6 +287,7 @@ const HistoryService = {
         }
       }
       
+      await this.refreshRollups(deviceType, tankId, touched);
       console.log(`✅ Sync complete: ${syncedCount} NEW entries synced, ${skippedCount} duplicates skipped`);
       
       return { synced: syncedCount, skipped: skippedCount };
@@ -247,14 +300,7 @@ const HistoryService = {
   // Get raw history data (no filtering, no normalization)
   async getHistoryRaw(deviceId, deviceType) {
     try {
-      const historyRef = ref(db, `history/${deviceType}/${deviceId}`);
-      const snapshot = await get(historyRef);
-      
-      if (!snapshot.exists()) {
-        return [];
-      }
-      
-      const rawData = snapshot.val();
+      const rawData = await backend.readHistory(deviceType, deviceId);
       return Object.values(rawData);
     } catch (error) {
       console.error('Error fetching raw history:', error);
@@ -267,22 +313,22 @@ const HistoryService = {
     try {
       console.log(`🔍 Fetching history for ${deviceType}/${deviceId}`);
       
-      const historyRef = ref(db, `history/${deviceType}/${deviceId}`);
-      const snapshot = await get(historyRef);
-      
-      if (!snapshot.exists()) {
+      const startTime = toTime(startDate);
+      const endTime = toTime(endDate, true);
+      // Without a range, everything (including points still waiting for a time)
+      const rawData = startTime || endTime
+        ? await this.readPoints(deviceType, deviceId, startTime, endTime)
+        : await backend.readHistory(deviceType, deviceId);
+      if (Object.keys(rawData).length === 0) {
         console.log(`🔭 No history found at: history/${deviceType}/${deviceId}`);
         return [];
       }
 
-      const rawData = snapshot.val();
       const totalKeys = Object.keys(rawData).length;
       console.log(`📦 Found ${totalKeys} history entries`);
       
       // Process in single pass
       let history = [];
-      const startTime = startDate ? (startDate instanceof Date ? startDate.getTime() : new Date(startDate + 'T00:00:00').getTime()) : null;
-      const endTime = endDate ? (endDate instanceof Date ? endDate.getTime() + 86400000 : new Date(endDate + 'T23:59:59').getTime()) : null;
       
       // Single loop instead of multiple filters
       for (const entry of Object.values(rawData)) {
@@ -304,20 +350,14 @@ const HistoryService = {
         
         history.push({
           ...entry,
-          timestamp: normalizedTs,
-          sortKey: entry.originalTimestamp || entry.deviceTimestamp || entry.timestamp || 0
+          timestamp: normalizedTs
         });
       }
       
       console.log(`📊 After filtering: ${history.length} entries`);
       
-      // Sort by timestamp (newest first)
-      const sorted = history.sort((a, b) => {
-        if (a.sortKey && b.sortKey && a.sortKey < 1000000 && b.sortKey < 1000000) {
-          return b.sortKey - a.sortKey;
-        }
-        return b.timestamp - a.timestamp;
-      });
+      // Sort by timestamp (newest first); reconciled times are comparable across reboots
+      const sorted = history.sort((a, b) => b.timestamp - a.timestamp);
       
       console.log(`✅ Returning ${sorted.length} history entries`);
       
@@ -328,6 +368,95 @@ const HistoryService = {
     }
   },
 
+  // Hourly or daily rollups overlapping a date range, newest first
+  async getRollups(deviceId, deviceType, resolution, startDate = null, endDate = null) {
+    try {
+      const from = toTime(startDate);
+      const to = toTime(endDate, true);
+      const range = keyRange(from === null ? 0 : bucketStart(from, resolution), to ?? Date.now());
+      const rollups = await backend.readRange(this.rollupPath(deviceType, deviceId, resolution), range);
+      return Object.values(rollups || {}).sort((a, b) => b.start - a.start);
+    } catch (error) {
+      console.error('❌ Error fetching history rollups:', error);
+      return [];
+    }
+  },
+
+  // Rebuilds the hourly rollups of the hours these times fall in from their raw points, then
+  // the daily rollups of their days from the hours
+  async refreshRollups(deviceType, deviceId, times) {
+    const placed = times.map((time) => absoluteTimestamp(time)).filter((time) => time !== null);
+    await rollUpHours(backend, deviceType, deviceId, [...new Set(placed.map((time) => bucketStart(time, 'hour')))]);
+  },
+
+  // Rollups for every placed entry at once, from entries already in hand
+  async rebuildRollups(deviceType, deviceId, entries) {
+    const byHour = new Map();
+    entries.forEach((entry) => {
+      const time = absoluteTimestamp(entry.timestamp);
+      if (time === null) return;
+      const start = bucketStart(time, 'hour');
+      if (!byHour.has(start)) byHour.set(start, []);
+      byHour.get(start).push(entry);
+    });
+    const byDay = new Map();
+    const updates = {};
+    byHour.forEach((points, start) => {
+      const hour = summarizeHour(points, start);
+      updates[this.rollupPath(deviceType, deviceId, 'hour', timeKey(start))] = hour;
+      const day = bucketStart(start, 'day');
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(hour);
+    });
+    byDay.forEach((hours, start) => {
+      updates[this.rollupPath(deviceType, deviceId, 'day', timeKey(start))] = summarizeDay(hours, start);
+    });
+    await updateInChunks(updates);
+    return byHour.size;
+  },
+
+  async readSyncNeighbours(deviceType, deviceId, times) {
+    const placed = times.filter((time) => Number.isFinite(time));
+    if (placed.length === 0 || !(await this.keysMigrated(deviceType, deviceId))) return backend.readHistory(deviceType, deviceId);
+    const from = placed.reduce((min, time) => Math.min(min, time), Infinity) - SYNC_LOOKAROUND_MS;
+    const to = placed.reduce((max, time) => Math.max(max, time), -Infinity) + SYNC_LOOKAROUND_MS;
+    const [around, unplaced] = await Promise.all([
+      backend.readHistoryRange(deviceType, deviceId, keyRange(from, to)),
+      backend.readHistoryRange(deviceType, deviceId, UNPLACED_RANGE)
+    ]);
+    return { ...unplaced, ...around };
+  },
+
+  // One-off move of a device's history to time keys (entries without a real time go under
+  // UNPLACED_KEY_PREFIX), with every rollup rebuilt. Reads the whole node once.
+  async migrateHistoryKeys(deviceType, deviceId) {
+    if (await this.keysMigrated(deviceType, deviceId)) return 0;
+    const existing = await backend.readHistory(deviceType, deviceId);
+    const updates = {};
+    Object.entries(existing).forEach(([key, entry]) => {
+      if (isTimeKey(key)) return;
+      updates[backend.historyPath(deviceType, deviceId, timeKey(absoluteTimestamp(entry?.timestamp) ?? 0, key))] = entry;
+      updates[backend.historyPath(deviceType, deviceId, key)] = null;
+    });
+    await updateInChunks(updates);
+    const hours = await this.rebuildRollups(deviceType, deviceId, Object.values(existing));
+    await backend.write(this.rollupPath(deviceType, deviceId, 'meta'), { keyVersion: HISTORY_KEY_VERSION, migratedAt: Date.now() });
+    this.keyVersions.set(`${deviceType}/${deviceId}`, true);
+    const moved = Object.keys(updates).length / 2;
+    console.log(`🗝️ History for ${deviceType}/${deviceId}: ${moved} entries re-keyed, ${hours} hours rolled up`);
+    return moved;
+  },
+
+  // Key migration; the retention policy is applied by server/analyticsService.js
+  async maintainHistory(deviceType, deviceId) {
+    try {
+      return { rekeyed: await this.migrateHistoryKeys(deviceType, deviceId) };
+    } catch (error) {
+      console.error(`❌ History maintenance failed for ${deviceType}/${deviceId}:`, error);
+      return { rekeyed: 0, error: error.message };
+    }
+  },
+
   exportToCSV(history, deviceName, deviceType) {
     if (history.length === 0) {
       toast('⚠️ No history data to export');
@@ -0,0 +1,108 @@
+// ==================== OFFLINE STORE ====================
+// IndexedDB mirror of the network data and the latest telemetry, plus the durable
+// outbox of writes that have not reached the server yet and the conflicts found
+// while replaying it.
+
+const DB_NAME = 'jal-shakti-offline';
+const DB_VERSION = 2;
+const OUTBOX_STORE = 'outbox';
+const CONFLICT_STORE = 'conflicts';
+
+export const MIRRORED_COLLECTIONS = ['tanks', 'valves', 'pipelines', 'junctions', 'devices', 'alerts', 'alertRules'];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      MIRRORED_COLLECTIONS.forEach((name) => {
+        if (!database.objectStoreNames.contains(name)) database.createObjectStore(name);
+      });
+      if (!database.objectStoreNames.contains(OUTBOX_STORE)) {
+        database.createObjectStore(OUTBOX_STORE, { keyPath: 'seq' });
+      }
+      if (!database.objectStoreNames.contains(CONFLICT_STORE)) {
+        database.createObjectStore(CONFLICT_STORE, { keyPath: 'seq' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+}
+
+// Run work(store) in a transaction and resolve with the last request's result once it commits.
+// Without IndexedDB (private browsing in some browsers, Node) the store is simply empty.
+async function withStore(storeName, mode, work) {
+  if (typeof indexedDB === 'undefined') return undefined;
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(storeName, mode);
+    let result;
+    const request = work(tx.objectStore(storeName));
+    if (request) request.onsuccess = () => { result = request.result; };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const OfflineStore = {
+  async readCollection(name) {
+    const records = {};
+    await withStore(name, 'readonly', (store) => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        records[cursor.key] = cursor.value;
+        cursor.continue();
+      };
+      return null;
+    });
+    return records;
+  },
+
+  async replaceCollection(name, records) {
+    await withStore(name, 'readwrite', (store) => {
+      store.clear();
+      Object.entries(records || {}).forEach(([id, value]) => store.put(value, id));
+      return null;
+    });
+  },
+
+  async readOutbox() {
+    const entries = await withStore(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+    return (entries || []).sort((a, b) => a.seq - b.seq);
+  },
+
+  async putOutbox(entry) {
+    await withStore(OUTBOX_STORE, 'readwrite', (store) => store.put(entry));
+  },
+
+  async removeOutbox(seq) {
+    await withStore(OUTBOX_STORE, 'readwrite', (store) => store.delete(seq));
+  },
+
+  async readConflicts() {
+    const entries = await withStore(CONFLICT_STORE, 'readonly', (store) => store.getAll());
+    return (entries || []).sort((a, b) => a.seq - b.seq);
+  },
+
+  async putConflict(conflict) {
+    await withStore(CONFLICT_STORE, 'readwrite', (store) => store.put(conflict));
+  },
+
+  async removeConflict(seq) {
+    await withStore(CONFLICT_STORE, 'readwrite', (store) => store.delete(seq));
+  }
+};
+
+export { OfflineStore };
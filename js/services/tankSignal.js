@@ -0,0 +1,53 @@
+import { FirebaseService } from './firebaseService.js';
+import { DeviceClock } from './deviceClock.js';
+import { filterDistances, levelRateLimits } from '../signalFilter.js';
+
+// ==================== TANK SIGNAL ====================
+// Runs each tank's filter (js/signalFilter.js) over the recent readings of its sensor.
+// The result only changes when new device data arrives or the tank's settings change, so
+// it is cached per tank and recomputed lazily.
+
+// About two hours of readings at one every two minutes; plenty for the filters to settle
+const FILTER_SAMPLES = 60;
+
+const TankSignal = {
+  source: null,
+  readingsByDevice: new Map(),
+  cache: new Map(),
+
+  readingsFor(deviceId) {
+    const rawData = FirebaseService.lastDeviceRawData;
+    if (rawData !== this.source) {
+      this.source = rawData;
+      this.readingsByDevice = new Map(Object.entries(FirebaseService.collectDeviceReadings(rawData))
+        .map(([id, readings]) => [id.toUpperCase(), readings]));
+    }
+    return this.readingsByDevice.get(String(deviceId).toUpperCase()) || [];
+  },
+
+  // Filtered distance for the tank's newest reading:
+  // { rawDistance, distance, rejected, at, samples: [{ at, raw, value, rejected }] } or null
+  process(tank) {
+    if (!tank?.deviceId) return null;
+    const readings = this.readingsFor(tank.deviceId);
+    if (readings.length === 0) return null;
+
+    const limits = levelRateLimits(tank.signalFilter, tank.surfaceArea());
+    const settingsKey = JSON.stringify([tank.deviceId, tank.signalFilter, limits]);
+    const cached = this.cache.get(tank.id);
+    if (cached && cached.source === this.source && cached.settingsKey === settingsKey) return cached.result;
+
+    const samples = DeviceClock.reconcile(tank.deviceId, readings)
+      .slice(-FILTER_SAMPLES)
+      .map((reading) => ({ at: reading.epoch, distance: reading.distance ?? reading.distance_meters ?? reading.distanceMeters }));
+    const filtered = filterDistances(samples, tank.signalFilter, limits);
+    const latest = filtered[filtered.length - 1];
+    const result = latest
+      ? { rawDistance: latest.raw, distance: latest.value, rejected: latest.rejected, at: latest.at, samples: filtered }
+      : null;
+    this.cache.set(tank.id, { source: this.source, settingsKey, result });
+    return result;
+  }
+};
+
+export { TankSignal };
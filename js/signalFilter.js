@@ -0,0 +1,178 @@
+// ==================== SENSOR SIGNAL FILTERING ====================
+// Cleans up a tank's ultrasonic distances before they become a water level. One echo off
+// a ladder or ripples while filling make single readings jump by tens of centimetres, so
+// each reading passes three stages, oldest first:
+//   outlier     median (always use the window median) or Hampel (use the median only when
+//               the reading is more than N scaled MADs away from it)
+//   rate guard  the level cannot rise faster than the inflow can fill the tank, or fall
+//               faster than the outflow can drain it
+//   smoothing   exponential moving average or a one-state Kalman filter
+// Everything works on distances (sensor to water), so a rising level is a falling distance.
+
+import { MIN_DISTANCE_MM, MAX_DISTANCE_MM } from './deviceHealth.js';
+
+export const OUTLIER_METHODS = {
+  none: 'None',
+  median: 'Median',
+  hampel: 'Hampel'
+};
+
+export const SMOOTHING_METHODS = {
+  none: 'None',
+  ema: 'Exponential (EMA)',
+  kalman: 'Kalman'
+};
+
+export const DEFAULT_FILTER_SETTINGS = {
+  outlier: 'hampel',
+  window: 5,
+  hampelSigmas: 3,
+  smoothing: 'ema',
+  emaAlpha: 0.4,
+  kalmanProcessCm: 1,
+  kalmanMeasurementCm: 2,
+  rateGuard: true,
+  maxInflowLpm: null,
+  maxOutflowLpm: null
+};
+
+// Sensor resolution: differences smaller than this are never treated as outliers, and the
+// rate guard always allows this much on top of the physical limit
+const NOISE_FLOOR_M = 0.005;
+const RATE_TOLERANCE_M = 0.02;
+// MAD to standard deviation for normally distributed noise
+const MAD_SCALE = 1.4826;
+
+const clampNumber = (value, min, max, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+const optionalRate = (value) => {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Complete settings with defaults and keep every number in a sane range
+export function normalizeFilterSettings(settings) {
+  const s = { ...DEFAULT_FILTER_SETTINGS, ...(settings || {}) };
+  return {
+    outlier: OUTLIER_METHODS[s.outlier] ? s.outlier : DEFAULT_FILTER_SETTINGS.outlier,
+    window: Math.round(clampNumber(s.window, 3, 21, DEFAULT_FILTER_SETTINGS.window)),
+    hampelSigmas: clampNumber(s.hampelSigmas, 1, 10, DEFAULT_FILTER_SETTINGS.hampelSigmas),
+    smoothing: SMOOTHING_METHODS[s.smoothing] ? s.smoothing : DEFAULT_FILTER_SETTINGS.smoothing,
+    emaAlpha: clampNumber(s.emaAlpha, 0.05, 1, DEFAULT_FILTER_SETTINGS.emaAlpha),
+    kalmanProcessCm: clampNumber(s.kalmanProcessCm, 0.01, 100, DEFAULT_FILTER_SETTINGS.kalmanProcessCm),
+    kalmanMeasurementCm: clampNumber(s.kalmanMeasurementCm, 0.01, 100, DEFAULT_FILTER_SETTINGS.kalmanMeasurementCm),
+    rateGuard: s.rateGuard !== false,
+    maxInflowLpm: optionalRate(s.maxInflowLpm),
+    maxOutflowLpm: optionalRate(s.maxOutflowLpm)
+  };
+}
+
+export function describeFilter(settings) {
+  const s = normalizeFilterSettings(settings);
+  const parts = [];
+  if (s.outlier === 'hampel') parts.push(`Hampel ${s.window} × ${s.hampelSigmas}σ`);
+  else if (s.outlier === 'median') parts.push(`Median ${s.window}`);
+  if (s.rateGuard && (s.maxInflowLpm || s.maxOutflowLpm)) parts.push('rate guard');
+  if (s.smoothing === 'ema') parts.push(`EMA α ${s.emaAlpha}`);
+  else if (s.smoothing === 'kalman') parts.push('Kalman');
+  return parts.length > 0 ? parts.join(' → ') : 'Off';
+}
+
+// Fastest plausible level change in metres per minute, from the inflow / outflow capacity
+// and the water surface area. null where no capacity is set.
+export function levelRateLimits(settings, surfaceAreaM2) {
+  const s = normalizeFilterSettings(settings);
+  const area = Number(surfaceAreaM2);
+  if (!s.rateGuard || !Number.isFinite(area) || area <= 0) return { riseMPerMin: null, fallMPerMin: null };
+  const perMinute = (lpm) => (lpm ? lpm / 1000 / area : null);
+  return { riseMPerMin: perMinute(s.maxInflowLpm), fallMPerMin: perMinute(s.maxOutflowLpm) };
+}
+
+// samples: [{ at (epoch ms), distance (m) }] oldest first
+// limits:  as returned by levelRateLimits
+// Returns one entry per usable sample: { index, at, raw, value, rejected } where index
+// points back into samples, value is the filtered distance and rejected is null, 'range',
+// 'outlier' or 'rate'.
+export function filterDistances(samples, settings, limits = {}) {
+  const s = normalizeFilterSettings(settings);
+  const q = (s.kalmanProcessCm / 100) ** 2;
+  const r = (s.kalmanMeasurementCm / 100) ** 2;
+  const output = [];
+  const window = [];
+  let previous = null;
+  let smoothed = null;
+  let variance = r;
+
+  samples.forEach((sample, index) => {
+    const raw = Number(sample.distance);
+    if (!Number.isFinite(raw)) return;
+    let value = raw;
+    let rejected = null;
+
+    // Readings outside the sensor range are echo failures; hold the last good value
+    const mm = raw * 1000;
+    if (mm < MIN_DISTANCE_MM || mm > MAX_DISTANCE_MM) {
+      if (previous === null) return;
+      output.push({ index, at: sample.at, raw, value: smoothed, rejected: 'range' });
+      return;
+    }
+
+    window.push(raw);
+    if (window.length > s.window) window.shift();
+    if (s.outlier !== 'none' && window.length >= 3) {
+      const center = median(window);
+      if (s.outlier === 'median') {
+        value = center;
+      } else {
+        const sigma = Math.max(NOISE_FLOOR_M, MAD_SCALE * median(window.map((item) => Math.abs(item - center))));
+        if (Math.abs(raw - center) > s.hampelSigmas * sigma) {
+          value = center;
+          rejected = 'outlier';
+        }
+      }
+    }
+
+    if (previous !== null) {
+      const minutes = Math.max(0, (sample.at - previous.at) / 60000);
+      // Level up = distance down
+      if (limits.riseMPerMin) {
+        const lowest = previous.value - (limits.riseMPerMin * minutes + RATE_TOLERANCE_M);
+        if (value < lowest) {
+          value = lowest;
+          rejected = rejected || 'rate';
+        }
+      }
+      if (limits.fallMPerMin) {
+        const highest = previous.value + (limits.fallMPerMin * minutes + RATE_TOLERANCE_M);
+        if (value > highest) {
+          value = highest;
+          rejected = rejected || 'rate';
+        }
+      }
+    }
+    previous = { at: sample.at, value };
+
+    if (smoothed === null || s.smoothing === 'none') {
+      smoothed = value;
+    } else if (s.smoothing === 'ema') {
+      smoothed += s.emaAlpha * (value - smoothed);
+    } else {
+      const minutes = Math.max(0, (sample.at - output[output.length - 1].at) / 60000);
+      variance += q * minutes;
+      const gain = variance / (variance + r);
+      smoothed += gain * (value - smoothed);
+      variance *= 1 - gain;
+    }
+    output.push({ index, at: sample.at, raw, value: smoothed, rejected });
+  });
+  return output;
+}
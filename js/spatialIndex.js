@@ -0,0 +1,252 @@
+// ==================== SPATIAL INDEX ====================
+// Packed R-trees (sort-tile-recursive) over tanks, valves and pipeline segments, so hover,
+// click, erase, snapping and drawing look only at what is near the cursor or on screen.
+// Trees are static: the page rebuilds a collection when its listener delivers a new list.
+// Boxes are in degrees; nearest queries measure in metres with the same local flat
+// projection as projectOntoSegment in js/topology.js, so box distances are true lower bounds.
+
+export const METERS_PER_DEGREE = 111320;
+const NODE_SIZE = 16;
+
+// bounds: { minLat, minLng, maxLat, maxLng }
+const intersects = (box, bounds) =>
+  box.minLng <= bounds.maxLng && box.maxLng >= bounds.minLng &&
+  box.minLat <= bounds.maxLat && box.maxLat >= bounds.minLat;
+
+const boxOfPoints = (...points) => ({
+  minLat: Math.min(...points.map(pt => pt.lat)),
+  minLng: Math.min(...points.map(pt => pt.lng)),
+  maxLat: Math.max(...points.map(pt => pt.lat)),
+  maxLng: Math.max(...points.map(pt => pt.lng))
+});
+
+const boxOfBoxes = (boxes) => boxes.reduce((acc, box) => ({
+  minLat: Math.min(acc.minLat, box.minLat),
+  minLng: Math.min(acc.minLng, box.minLng),
+  maxLat: Math.max(acc.maxLat, box.maxLat),
+  maxLng: Math.max(acc.maxLng, box.maxLng)
+}), { minLat: Infinity, minLng: Infinity, maxLat: -Infinity, maxLng: -Infinity });
+
+// Bounds of a square reaching at least metres from point in every direction
+export function boundsAroundMeters(point, metres) {
+  const dLat = metres / METERS_PER_DEGREE;
+  const dLng = metres / (METERS_PER_DEGREE * Math.max(Math.cos((point.lat * Math.PI) / 180), 1e-6));
+  return { minLat: point.lat - dLat, maxLat: point.lat + dLat, minLng: point.lng - dLng, maxLng: point.lng + dLng };
+}
+
+const centreLng = (node) => (node.box.minLng + node.box.maxLng) / 2;
+const centreLat = (node) => (node.box.minLat + node.box.maxLat) / 2;
+
+// Distance in metres from a point to a box, flat around the point
+function boxDistance(point, box, cosLat) {
+  const dx = Math.max(box.minLng - point.lng, 0, point.lng - box.maxLng) * cosLat * METERS_PER_DEGREE;
+  const dy = Math.max(box.minLat - point.lat, 0, point.lat - box.maxLat) * METERS_PER_DEGREE;
+  return Math.hypot(dx, dy);
+}
+
+// Groups nodes into parents of NODE_SIZE: vertical slices by longitude, then runs by latitude
+function packLevel(nodes) {
+  const parentCount = Math.ceil(nodes.length / NODE_SIZE);
+  const sliceSize = NODE_SIZE * Math.ceil(Math.sqrt(parentCount));
+  const byLng = [...nodes].sort((a, b) => centreLng(a) - centreLng(b));
+  const parents = [];
+  for (let s = 0; s < byLng.length; s += sliceSize) {
+    const slice = byLng.slice(s, s + sliceSize).sort((a, b) => centreLat(a) - centreLat(b));
+    for (let i = 0; i < slice.length; i += NODE_SIZE) {
+      const children = slice.slice(i, i + NODE_SIZE);
+      parents.push({ box: boxOfBoxes(children.map(child => child.box)), children });
+    }
+  }
+  return parents;
+}
+
+export class PackedRTree {
+  // entries: [{ box, ...anything }]; leaves are the entries themselves
+  constructor(entries = []) {
+    this.size = entries.length;
+    entries.forEach((entry, order) => { entry.order = order; });
+    let level = entries.filter(entry => Number.isFinite(entry.box.minLat) && Number.isFinite(entry.box.minLng));
+    this.root = null;
+    if (level.length === 0) return;
+    while (level.length > 1) level = packLevel(level);
+    this.root = level[0].children ? level[0] : { box: level[0].box, children: level };
+  }
+
+  search(bounds) {
+    const result = [];
+    if (!this.root || !intersects(this.root.box, bounds)) return result;
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      node.children.forEach(child => {
+        if (!intersects(child.box, bounds)) return;
+        if (child.children) stack.push(child);
+        else result.push(child);
+      });
+    }
+    return result;
+  }
+
+  // Closest entry by distanceOf(entry) in metres, within maxDistance; branches whose box
+  // is already farther than the best so far are skipped. Ties go to the entry listed first.
+  nearest(point, distanceOf, maxDistance = Infinity) {
+    if (!this.root) return null;
+    const cosLat = Math.cos((point.lat * Math.PI) / 180);
+    let best = null;
+    let bestDistance = maxDistance;
+    const visit = (node) => {
+      node.children
+        .map(child => ({ child, bound: boxDistance(point, child.box, cosLat) }))
+        .filter(({ bound }) => bound <= bestDistance)
+        .sort((a, b) => a.bound - b.bound)
+        .forEach(({ child, bound }) => {
+          if (bound > bestDistance) return;
+          if (child.children) return visit(child);
+          const distance = distanceOf(child);
+          if (distance < bestDistance || (distance === bestDistance && (!best || child.order < best.order))) {
+            best = child;
+            bestDistance = distance;
+          }
+        });
+    };
+    visit(this.root);
+    return best;
+  }
+}
+
+// One entry per pipeline segment: { box, pipe, segmentIndex }
+export function segmentTree(pipelines) {
+  const entries = [];
+  pipelines.forEach(pipe => {
+    const points = pipe?.points || [];
+    for (let si = 0; si < points.length - 1; si++) {
+      entries.push({ box: boxOfPoints(points[si], points[si + 1]), pipe, segmentIndex: si });
+    }
+  });
+  return new PackedRTree(entries);
+}
+
+// One entry per located item: { box, item }
+export function pointTree(items) {
+  return new PackedRTree(items
+    .filter(item => Number.isFinite(item?.lat) && Number.isFinite(item?.lng))
+    .map(item => ({ box: boxOfPoints(item), item })));
+}
+
+// ==================== SIMPLIFICATION ====================
+// Douglas-Peucker run once per pipeline: each vertex gets the tolerance (in Web Mercator
+// world units, 0..1 across the world) below which it is still needed, capped by the vertex
+// that split it. Drawing at any zoom then keeps the vertices whose significance exceeds
+// the pixel tolerance divided by the world size in pixels.
+
+const mercatorX = (pt) => (pt.lng + 180) / 360;
+const mercatorY = (pt) => {
+  const sin = Math.sin((Math.max(-85, Math.min(85, pt.lat)) * Math.PI) / 180);
+  return 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+};
+
+function offsetFromChord(x, y, ax, ay, bx, by) {
+  const dx = bx - ax, dy = by - ay;
+  const length2 = dx * dx + dy * dy;
+  const t = length2 === 0 ? 0 : Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / length2));
+  return Math.hypot(x - (ax + dx * t), y - (ay + dy * t));
+}
+
+// pinned(vi): vertices that are always kept (junctions, tanks)
+export function vertexSignificance(points, pinned = () => false) {
+  const n = points.length;
+  const significance = new Float64Array(n);
+  if (n === 0) return significance;
+  const xs = points.map(mercatorX);
+  const ys = points.map(mercatorY);
+  significance[0] = Infinity;
+  significance[n - 1] = Infinity;
+  const stack = [[0, n - 1, Infinity]];
+  while (stack.length > 0) {
+    const [first, last, cap] = stack.pop();
+    if (last - first < 2) continue;
+    let index = first + 1;
+    let offset = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = offsetFromChord(xs[i], ys[i], xs[first], ys[first], xs[last], ys[last]);
+      if (d > offset) {
+        offset = d;
+        index = i;
+      }
+    }
+    significance[index] = Math.min(offset, cap);
+    stack.push([first, index, significance[index]], [index, last, significance[index]]);
+  }
+  points.forEach((pt, vi) => { if (pinned(vi)) significance[vi] = Infinity; });
+  return significance;
+}
+
+export const worldTolerance = (pixels, zoom) => pixels / (256 * 2 ** zoom);
+
+// Vertex indices to draw: significant ones plus any where breakAt(vi) asks for a boundary
+// (e.g. the segment style changes there)
+export function keptVertices(significance, tolerance, breakAt = () => false) {
+  const n = significance.length;
+  if (n < 2) return n === 1 ? [0] : [];
+  const kept = [0];
+  for (let vi = 1; vi < n - 1; vi++) {
+    if (significance[vi] > tolerance || breakAt(vi)) kept.push(vi);
+  }
+  kept.push(n - 1);
+  return kept;
+}
+
+// The page's index: a tree per collection and the significance of each pipeline's vertices
+export class SpatialIndex {
+  constructor() {
+    this.tanks = pointTree([]);
+    this.valves = pointTree([]);
+    this.segments = segmentTree([]);
+    this.significance = new WeakMap();
+  }
+
+  setTanks(tanks) {
+    this.tanks = pointTree(tanks);
+  }
+
+  setValves(valves) {
+    this.valves = pointTree(valves);
+  }
+
+  setPipelines(pipelines) {
+    this.segments = segmentTree(pipelines);
+    this.significance = new WeakMap();
+  }
+
+  tanksIn(bounds) {
+    return this.tanks.search(bounds).map(entry => entry.item);
+  }
+
+  valvesIn(bounds) {
+    return this.valves.search(bounds).map(entry => entry.item);
+  }
+
+  // [{ pipe, segmentIndex }] whose bounding box meets bounds
+  segmentsIn(bounds) {
+    return this.segments.search(bounds);
+  }
+
+  // Pipelines with a segment in bounds → Set of those segment indices
+  pipelinesIn(bounds) {
+    const result = new Map();
+    this.segmentsIn(bounds).forEach(({ pipe, segmentIndex }) => {
+      if (!result.has(pipe)) result.set(pipe, new Set());
+      result.get(pipe).add(segmentIndex);
+    });
+    return result;
+  }
+
+  // Cached per pipeline until its points change length or the pipelines are reloaded
+  significanceOf(pipe) {
+    const cached = this.significance.get(pipe);
+    if (cached && cached.points === pipe.points && cached.values.length === pipe.points.length) return cached.values;
+    const values = vertexSignificance(pipe.points, vi => !!pipe.nodes?.[vi]);
+    this.significance.set(pipe, { points: pipe.points, values });
+    return values;
+  }
+}
@@ -0,0 +1,198 @@
+// ==================== SUPPLY ANALYTICS ====================
+// Turns a tank's level history into how much water went in and out. Consecutive history
+// entries give volume deltas; runs of deltas in one direction become fill periods (the
+// pump or source is filling the tank) and draw periods (households are drawing from it).
+//
+// A sensor reading wobbles by a centimetre or so, so the direction only flips once the
+// volume has moved DEADBAND_M of level away from the last peak or trough. A fill period
+// runs from a trough to the following peak, a draw period from a peak to the next trough.
+//
+// Daily totals are split at midnight per pair of readings. LPCD (litres per capita per
+// day) is the drawn volume over the population under the tank's main valves, and is only
+// averaged over days with enough readings to be trusted.
+
+export const JJM_LPCD_NORM = 55;
+export const DEFAULT_PERSONS_PER_HOUSEHOLD = 5;
+
+// Level change that counts as a real fill or draw rather than sensor noise
+const DEADBAND_M = 0.02;
+// Readings further apart than this leave a hole; nothing is assumed about the time between
+const MAX_GAP_MS = 30 * 60 * 1000;
+// Draw rates are measured over at least this long so one noisy pair cannot set the peak
+const PEAK_WINDOW_MS = 10 * 60 * 1000;
+// A day needs this many hours of readings before its LPCD is counted
+const MIN_DAY_COVERAGE_H = 18;
+
+const dayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Every household under the tank's main valves, open or closed: the population the tank
+// is meant to serve
+export function householdsUnderTank(tank, allValves) {
+  const visited = new Set();
+  const count = (valve) => {
+    if (!valve || visited.has(valve.id)) return 0;
+    visited.add(valve.id);
+    return (parseInt(valve.households) || 0) +
+      allValves.filter((item) => item.parentValveId === valve.id).reduce((sum, child) => sum + count(child), 0);
+  };
+  return (tank.connectedMainValves || [])
+    .map((id) => allValves.find((valve) => valve.id === id))
+    .reduce((sum, valve) => sum + count(valve), 0);
+}
+
+// entries: history entries with timestamp; volumeOf(entry) returns litres or null
+// Returns contiguous runs of points [{ at, volumeL }] split wherever readings have a gap
+function pointRuns(entries, volumeOf) {
+  const points = entries
+    .map((entry) => ({ at: Number(entry.timestamp), volumeL: volumeOf(entry) }))
+    .filter((point) => Number.isFinite(point.at) && Number.isFinite(point.volumeL))
+    .sort((a, b) => a.at - b.at);
+  const runs = [];
+  points.forEach((point, i) => {
+    if (i > 0 && point.at === points[i - 1].at) return;
+    if (i === 0 || point.at - points[i - 1].at > MAX_GAP_MS) runs.push([]);
+    runs[runs.length - 1].push(point);
+  });
+  return runs;
+}
+
+// Fill and draw periods in one run of points:
+// [{ kind, start, end, fromIndex, toIndex, anchorIndex, extremeIndex, volumeL }]
+// Times come from the trimmed from/to points, volumes from the anchor (trough or peak) to the extreme.
+function classifyRun(points, deadbandL) {
+  const periods = [];
+  if (points.length < 2) return periods;
+  let kind = null;
+  let anchor = 0;
+  let extreme = 0;
+  // Until the first period starts, track the lowest and highest points so far
+  let lowest = 0;
+  let highest = 0;
+  // The trough or peak a period is anchored on can sit anywhere in a flat, noisy stretch;
+  // trim the period to where the level leaves its start and reaches its end
+  const close = () => {
+    if (!kind || extreme <= anchor) return;
+    const band = deadbandL / 2;
+    const sign = kind === 'fill' ? 1 : -1;
+    let from = anchor;
+    while (from < extreme - 1 && sign * (points[from + 1].volumeL - points[anchor].volumeL) < band) from++;
+    let to = extreme;
+    while (to > from + 1 && sign * (points[extreme].volumeL - points[to - 1].volumeL) < band) to--;
+    periods.push({
+      kind,
+      start: points[from].at,
+      end: points[to].at,
+      fromIndex: from,
+      toIndex: to,
+      anchorIndex: anchor,
+      extremeIndex: extreme,
+      volumeL: Math.abs(points[extreme].volumeL - points[anchor].volumeL)
+    });
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    const volume = points[i].volumeL;
+    if (kind === null) {
+      if (volume - points[lowest].volumeL >= deadbandL) {
+        kind = 'fill';
+        anchor = lowest;
+        extreme = i;
+      } else if (points[highest].volumeL - volume >= deadbandL) {
+        kind = 'draw';
+        anchor = highest;
+        extreme = i;
+      }
+      if (volume < points[lowest].volumeL) lowest = i;
+      if (volume > points[highest].volumeL) highest = i;
+      continue;
+    }
+    const rising = kind === 'fill';
+    if (rising ? volume >= points[extreme].volumeL : volume <= points[extreme].volumeL) {
+      extreme = i;
+    } else if (Math.abs(points[extreme].volumeL - volume) >= deadbandL) {
+      close();
+      kind = rising ? 'draw' : 'fill';
+      anchor = extreme;
+      extreme = i;
+    }
+  }
+  close();
+  return periods;
+}
+
+// Steepest sustained fall within a draw period: { lpm, at }
+function peakDrawRate(points, period) {
+  const peak = { lpm: 0, at: period.end };
+  let i = period.fromIndex;
+  for (let j = period.fromIndex + 1; j <= period.toIndex; j++) {
+    while (i < j - 1 && points[j].at - points[i + 1].at >= PEAK_WINDOW_MS) i++;
+    const spanMs = points[j].at - points[i].at;
+    if (spanMs < PEAK_WINDOW_MS) continue;
+    const lpm = (points[i].volumeL - points[j].volumeL) / (spanMs / 60000);
+    if (lpm > peak.lpm) Object.assign(peak, { lpm, at: points[j].at });
+  }
+  return peak;
+}
+
+// options: { volumeOf, surfaceAreaM2, households, personsPerHousehold }
+export function analyzeSupply(entries, options) {
+  const { volumeOf, surfaceAreaM2, households = 0, personsPerHousehold = DEFAULT_PERSONS_PER_HOUSEHOLD } = options;
+  const deadbandL = Math.max(1, (surfaceAreaM2 || 0) * DEADBAND_M * 1000);
+  const population = Math.max(0, households) * Math.max(0, Number(personsPerHousehold) || 0);
+  const periods = [];
+  const days = new Map();
+  const dayFor = (timestamp) => {
+    const key = dayKey(timestamp);
+    if (!days.has(key)) days.set(key, { date: key, filledL: 0, drawnL: 0, pumpMinutes: 0, peakDrawLpm: 0, coverageHours: 0 });
+    return days.get(key);
+  };
+
+  pointRuns(entries, volumeOf).forEach((points) => {
+    for (let i = 1; i < points.length; i++) dayFor(points[i].at).coverageHours += (points[i].at - points[i - 1].at) / 3600000;
+    classifyRun(points, deadbandL).forEach((period) => {
+      const peak = period.kind === 'draw' ? peakDrawRate(points, period) : null;
+      periods.push({ kind: period.kind, start: period.start, end: period.end, volumeL: period.volumeL, peakDrawLpm: peak?.lpm ?? null });
+      for (let i = period.anchorIndex + 1; i <= period.extremeIndex; i++) {
+        const day = dayFor(points[i].at);
+        const deltaL = points[i].volumeL - points[i - 1].volumeL;
+        if (period.kind === 'fill') day.filledL += deltaL;
+        else day.drawnL -= deltaL;
+        if (period.kind === 'fill' && i > period.fromIndex && i <= period.toIndex) {
+          day.pumpMinutes += (points[i].at - points[i - 1].at) / 60000;
+        }
+      }
+      if (peak) {
+        const day = dayFor(peak.at);
+        day.peakDrawLpm = Math.max(day.peakDrawLpm, peak.lpm);
+      }
+    });
+  });
+
+  const dayList = [...days.values()].sort((a, b) => a.date.localeCompare(b.date)).map((day) => ({
+    ...day,
+    complete: day.coverageHours >= MIN_DAY_COVERAGE_H,
+    lpcd: population > 0 ? day.drawnL / population : null
+  }));
+  const complete = dayList.filter((day) => day.complete);
+  const average = (key) => (complete.length > 0 ? complete.reduce((sum, day) => sum + day[key], 0) / complete.length : null);
+  const avgDrawnL = average('drawnL');
+  const lpcd = avgDrawnL !== null && population > 0 ? avgDrawnL / population : null;
+
+  return {
+    periods,
+    days: dayList,
+    households,
+    population,
+    completeDays: complete.length,
+    avgFilledL: average('filledL'),
+    avgDrawnL,
+    avgPumpMinutes: average('pumpMinutes'),
+    peakDrawLpm: periods.reduce((peak, period) => Math.max(peak, period.peakDrawLpm || 0), 0),
+    lpcd,
+    meetsNorm: lpcd !== null ? lpcd >= JJM_LPCD_NORM : null
+  };
+}
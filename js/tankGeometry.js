@@ -0,0 +1,191 @@
+// ==================== TANK GEOMETRY ====================
+// Level to volume for every tank shape. Levels are metres above the lowest point inside
+// the tank, volumes are litres.
+//   cylinder             vertical cylinder
+//   cuboid               rectangular GSR or sump
+//   horizontal_cylinder  cylinder lying on its side (sumps); its height is the diameter
+//   cone_bottom          vertical cylinder standing on an inverted cone of coneHeight that
+//                        narrows to bottomDiameter at the outlet
+//   intze                OHSR with a spherical bottom dome of domeRise inside the ring beam
+//                        (bottomDiameter), a conical ring of coneHeight out to the wall, then
+//                        the cylindrical wall
+//   calibration          strapping table of measured [level, volume] rows, interpolated linearly
+// Dead storage is the water below the outlet, which can never be supplied. The overflow
+// level is the highest the tank can hold, so capacity is the volume at overflow.
+
+export const TANK_SHAPES = {
+  cylinder: { label: 'Cylinder', fields: ['diameter'] },
+  cuboid: { label: 'Cuboid', fields: ['length', 'breadth'] },
+  horizontal_cylinder: { label: 'Horizontal cylinder', fields: ['diameter', 'length'] },
+  cone_bottom: { label: 'Cone-bottom cylinder', fields: ['diameter', 'coneHeight', 'bottomDiameter'] },
+  intze: { label: 'Intze', fields: ['diameter', 'coneHeight', 'bottomDiameter', 'domeRise'] },
+  calibration: { label: 'Calibration table', fields: ['calibrationTable'] }
+};
+
+// Level step for surface areas taken from the volume curve
+const AREA_STEP_M = 0.01;
+
+const positive = (value) => Number.isFinite(value) && value > 0;
+const circle = (radius) => Math.PI * radius * radius;
+
+// Frustum of depth `depth` whose radius goes from r1 at the bottom towards r2 at `height`
+const frustumVolume = (r1, r2, height, depth) => {
+  const top = r1 + (r2 - r1) * (depth / height);
+  return (Math.PI * depth * (r1 * r1 + r1 * top + top * top)) / 3;
+};
+
+// Water of depth `depth` in a spherical bowl spanning a chord of radius a with rise f
+const bowlVolume = (a, f, depth) => {
+  const sphereRadius = (a * a + f * f) / (2 * f);
+  return (Math.PI * depth * depth * (3 * sphereRadius - depth)) / 3;
+};
+
+// Cross-section of water of depth `depth` in a circle of radius r
+const segmentArea = (r, depth) => r * r * Math.acos((r - depth) / r) - (r - depth) * Math.sqrt(Math.max(0, 2 * r * depth - depth * depth));
+
+// [[level, volume]] or [{ level, volume }] rows, or text with one "level, volume" pair per
+// line. Returns rows sorted by level with duplicate levels dropped.
+export function parseCalibrationTable(input) {
+  // The database hands arrays back as objects keyed by index
+  const list = Array.isArray(input) ? input : input && typeof input === 'object' ? Object.values(input) : null;
+  const rows = list
+    ? list.map((row) => (Array.isArray(row) ? row : row && typeof row === 'object' && !('level' in row) ? Object.values(row) : [row?.level, row?.volume]))
+    : String(input || '').split(/\r?\n/).map((line) => line.split(/[,;\t ]+/).filter(Boolean));
+  const seen = new Set();
+  return rows
+    .map(([level, volume]) => [Number(level), Number(volume)])
+    .filter(([level, volume]) => Number.isFinite(level) && Number.isFinite(volume) && level >= 0 && volume >= 0)
+    .sort((a, b) => a[0] - b[0])
+    .filter(([level]) => !seen.has(level) && seen.add(level));
+}
+
+export const formatCalibrationTable = (rows) => parseCalibrationTable(rows).map(([level, volume]) => `${level}, ${volume}`).join('\n');
+
+const interpolate = (rows, level) => {
+  if (level <= rows[0][0]) return rows[0][1];
+  for (let i = 1; i < rows.length; i++) {
+    const [l1, v1] = rows[i];
+    if (level <= l1) {
+      const [l0, v0] = rows[i - 1];
+      return v0 + ((v1 - v0) * (level - l0)) / (l1 - l0);
+    }
+  }
+  return rows[rows.length - 1][1];
+};
+
+// Highest level the shape can hold
+export function maxLevel(tank) {
+  if (tank.shape === 'horizontal_cylinder' && positive(tank.diameter)) return tank.diameter;
+  if (tank.shape === 'calibration') {
+    const rows = parseCalibrationTable(tank.calibrationTable);
+    if (rows.length >= 2) return rows[rows.length - 1][0];
+  }
+  return tank.height || 10;
+}
+
+export function overflowLevel(tank) {
+  const top = maxLevel(tank);
+  return positive(tank.overflowLevel) ? Math.min(tank.overflowLevel, top) : top;
+}
+
+export function deadStorageLevel(tank) {
+  return positive(tank.deadStorageLevel) ? Math.min(tank.deadStorageLevel, overflowLevel(tank)) : 0;
+}
+
+// Volume in litres of water standing `level` metres deep. Shapes with missing dimensions
+// fall back to the capacity spread evenly over the height.
+export function volumeAtLevel(tank, level) {
+  const h = Math.max(0, Math.min(maxLevel(tank), Number(level) || 0));
+  const r = tank.diameter / 2;
+  let volumeM3 = null;
+
+  switch (tank.shape) {
+    case 'cylinder':
+      if (positive(r)) volumeM3 = circle(r) * h;
+      break;
+    case 'cuboid':
+      if (positive(tank.length) && positive(tank.breadth)) volumeM3 = tank.length * tank.breadth * h;
+      break;
+    case 'horizontal_cylinder':
+      if (positive(r) && positive(tank.length)) volumeM3 = segmentArea(r, h) * tank.length;
+      break;
+    case 'cone_bottom': {
+      const cone = tank.coneHeight;
+      const outlet = Math.max(0, (tank.bottomDiameter || 0) / 2);
+      if (!positive(r) || !positive(cone)) break;
+      volumeM3 = h <= cone
+        ? frustumVolume(outlet, r, cone, h)
+        : frustumVolume(outlet, r, cone, cone) + circle(r) * (h - cone);
+      break;
+    }
+    case 'intze': {
+      const ring = tank.bottomDiameter / 2;
+      const dome = tank.domeRise;
+      const cone = tank.coneHeight;
+      if (!positive(r) || !positive(ring) || !positive(dome) || !positive(cone)) break;
+      if (h <= dome) {
+        volumeM3 = bowlVolume(ring, dome, h);
+      } else if (h <= dome + cone) {
+        volumeM3 = bowlVolume(ring, dome, dome) + frustumVolume(ring, r, cone, h - dome);
+      } else {
+        volumeM3 = bowlVolume(ring, dome, dome) + frustumVolume(ring, r, cone, cone) + circle(r) * (h - dome - cone);
+      }
+      break;
+    }
+    case 'calibration': {
+      const rows = parseCalibrationTable(tank.calibrationTable);
+      if (rows.length >= 2) return interpolate(rows, h);
+      break;
+    }
+  }
+
+  if (volumeM3 === null) return (h / (tank.height || 10)) * (tank.capacity || 20000);
+  return volumeM3 * 1000;
+}
+
+// Water surface area in m² at a level, from the slope of the volume curve
+export function surfaceAreaAt(tank, level) {
+  const top = maxLevel(tank);
+  const low = Math.max(0, Math.min(top - AREA_STEP_M, (Number(level) || 0) - AREA_STEP_M / 2));
+  const high = Math.min(top, low + AREA_STEP_M);
+  if (high <= low) return 0;
+  return (volumeAtLevel(tank, high) - volumeAtLevel(tank, low)) / 1000 / (high - low);
+}
+
+// Problems with a tank's dimensions, as a message for the form, or null
+export function validateTankGeometry(tank) {
+  const fields = TANK_SHAPES[tank.shape]?.fields;
+  if (!fields) return 'Unknown tank shape';
+  if (tank.shape === 'calibration') {
+    const rows = parseCalibrationTable(tank.calibrationTable);
+    if (rows.length < 2) return 'Calibration table needs at least two level, volume rows';
+    if (rows.some(([, volume], i) => i > 0 && volume < rows[i - 1][1])) return 'Calibration volumes must not decrease with level';
+  } else {
+    const missing = fields.find((field) => field !== 'bottomDiameter' && !positive(tank[field]));
+    if (missing) return `Enter a valid ${missing.replace(/([A-Z])/g, ' $1').toLowerCase()}`;
+  }
+  if (tank.shape !== 'horizontal_cylinder' && !positive(tank.height)) return 'Enter a valid height';
+  if (tank.shape === 'cone_bottom' && tank.coneHeight >= tank.height) return 'Cone height must be less than the tank height';
+  if (tank.shape === 'cone_bottom' && tank.bottomDiameter >= tank.diameter) return 'Outlet diameter must be less than the tank diameter';
+  if (tank.shape === 'intze') {
+    if (!positive(tank.bottomDiameter) || tank.bottomDiameter >= tank.diameter) return 'Ring beam diameter must be between 0 and the tank diameter';
+    if (tank.coneHeight + tank.domeRise >= tank.height) return 'Cone height and dome rise must leave room for the wall';
+  }
+  const top = maxLevel(tank);
+  if (positive(tank.overflowLevel) && tank.overflowLevel > top) return `Overflow level cannot be above ${top} m`;
+  if (positive(tank.deadStorageLevel) && tank.deadStorageLevel >= overflowLevel(tank)) return 'Dead storage level must be below the overflow level';
+  return null;
+}
+
+export function describeDimensions(tank) {
+  const m = (value) => `${value}m`;
+  switch (tank.shape) {
+    case 'cylinder': return `Ø${m(tank.diameter)} × H${m(tank.height)}`;
+    case 'cuboid': return `${m(tank.length)} × ${m(tank.breadth)} × ${m(tank.height)}`;
+    case 'horizontal_cylinder': return `Ø${m(tank.diameter)} × L${m(tank.length)}`;
+    case 'cone_bottom': return `Ø${m(tank.diameter)} × H${m(tank.height)}, cone ${m(tank.coneHeight)}`;
+    case 'intze': return `Ø${m(tank.diameter)} × H${m(tank.height)}, cone ${m(tank.coneHeight)}, dome ${m(tank.domeRise)}`;
+    case 'calibration': return `${parseCalibrationTable(tank.calibrationTable).length} calibration rows`;
+    default: return `H${m(tank.height)}`;
+  }
+}
@@ -0,0 +1,173 @@
+// ==================== DEVICE TIME RECONCILIATION ====================
+// The ESP firmware stamps each reading with millis(), the time since it booted. To put a
+// reading on the calendar we split a device's readings into boot sessions (millis() going
+// backwards means it rebooted) and find one wall-clock anchor per session:
+//   device       the reading already carries an epoch timestamp
+//   server       the push key the server generated on receipt (or a receivedAt field)
+//   observed     the client saw the reading arrive while it was listening
+//   approximate  the client first saw the reading when it loaded; it may be older
+//   unanchored   no anchor at all; placed next to the neighbouring session
+// Every reading in a session shares its anchor's offset, so spacing comes from the device
+// clock and only the session start is estimated.
+
+import { EXPECTED_INTERVAL_MS } from './deviceHealth.js';
+
+export const TIME_CONFIDENCE = ['device', 'server', 'observed', 'approximate', 'unanchored'];
+// Sources that pin a reading to within seconds; the rest are estimates
+export const TRUSTED_TIME_CONFIDENCE = ['device', 'server'];
+const EPOCH_2000_MS = 946684800000;
+
+// Lower is better
+export const confidenceRank = (confidence) => {
+  const rank = TIME_CONFIDENCE.indexOf(confidence);
+  return rank === -1 ? TIME_CONFIDENCE.length : rank;
+};
+
+// Epoch milliseconds if the value is a wall-clock timestamp, else null. Epoch seconds are
+// not accepted: millis() passes 946684800 after 11 days of uptime, so they cannot be told apart.
+export function absoluteTimestamp(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= EPOCH_2000_MS ? number : null;
+}
+
+// Firebase-style push keys start with the creation time in 8 base-64 characters
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+const FIRST_PUSH_KEY_MS = Date.UTC(2012, 0, 1);
+
+export function pushKeyTime(key) {
+  if (typeof key !== 'string' || key.length < 8) return null;
+  let time = 0;
+  for (let i = 0; i < 8; i++) {
+    const digit = PUSH_CHARS.indexOf(key.charAt(i));
+    if (digit === -1) return null;
+    time = time * 64 + digit;
+  }
+  // Anything outside this range is a hand-made key, not a push key
+  return time >= FIRST_PUSH_KEY_MS && time <= Date.now() + 24 * 60 * 60 * 1000 ? time : null;
+}
+
+// Wall-clock time a reading can be pinned to on its own, without session context
+export function readingEpoch(reading) {
+  if (!reading) return null;
+  return absoluteTimestamp(reading.timestamp) ??
+    absoluteTimestamp(reading.receivedAt) ??
+    pushKeyTime(reading.pushKey);
+}
+
+export const readingSignature = (reading) => `${reading.timestamp}_${reading.distance ?? 0}`;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const uptimeOf = (reading) => Number(reading.timestamp) || 0;
+const arrivalOf = (reading) => pushKeyTime(reading.pushKey) ?? absoluteTimestamp(reading.receivedAt) ?? absoluteTimestamp(reading.timestamp);
+
+// Push keys keep the order the server received readings in, across reboots. Readings
+// without one (a flat legacy reading) are fitted in: by arrival time when they have one,
+// else after the newest reading whose uptime is not above theirs. Sorting everything by
+// uptime instead would hide every reboot.
+function chronological(readings) {
+  const ordered = readings
+    .filter((reading) => reading.pushKey)
+    .sort((a, b) => (a.pushKey < b.pushKey ? -1 : a.pushKey > b.pushKey ? 1 : 0));
+  const unkeyed = readings.filter((reading) => !reading.pushKey);
+  const timed = unkeyed.filter((reading) => arrivalOf(reading) !== null).sort((a, b) => arrivalOf(a) - arrivalOf(b));
+  const untimed = unkeyed.filter((reading) => arrivalOf(reading) === null).sort((a, b) => uptimeOf(a) - uptimeOf(b));
+  timed.forEach((reading) => {
+    const later = ordered.findIndex((other) => (arrivalOf(other) ?? -Infinity) > arrivalOf(reading));
+    ordered.splice(later === -1 ? ordered.length : later, 0, reading);
+  });
+  untimed.forEach((reading) => {
+    let index = ordered.length;
+    while (index > 0 && uptimeOf(ordered[index - 1]) > uptimeOf(reading)) index--;
+    ordered.splice(index, 0, reading);
+  });
+  return ordered;
+}
+
+// Consecutive runs of uptime readings between reboots
+export function bootSessions(readings) {
+  const sessions = [];
+  let current = null;
+  chronological(readings).forEach((reading) => {
+    const uptime = Number(reading.timestamp);
+    if (absoluteTimestamp(uptime) !== null || !Number.isFinite(uptime)) return;
+    if (!current || uptime < current.lastUptime) {
+      current = { readings: [], lastUptime: -1 };
+      sessions.push(current);
+    }
+    current.readings.push(reading);
+    current.lastUptime = uptime;
+  });
+  return sessions.map((session) => session.readings);
+}
+
+// anchors: client observations [{ timestamp, distance, seenAt, live }]
+// Returns the readings oldest first with epoch, timeConfidence and bootSession added.
+export function reconcileReadings(readings, { anchors = [], now = Date.now() } = {}) {
+  const result = [];
+  chronological(readings).forEach((reading) => {
+    const epoch = absoluteTimestamp(reading.timestamp);
+    if (epoch !== null) result.push({ ...reading, epoch, timeConfidence: 'device', bootSession: null });
+  });
+
+  const anchorsBySignature = new Map();
+  anchors.forEach((anchor) => {
+    const key = readingSignature(anchor);
+    const existing = anchorsBySignature.get(key);
+    if (!existing || anchor.seenAt < existing.seenAt) anchorsBySignature.set(key, anchor);
+  });
+
+  // One offset (epoch - uptime) per session, from the best anchor it has
+  const sessions = bootSessions(readings).map((sessionReadings) => {
+    const serverOffsets = sessionReadings
+      .map((reading) => {
+        const received = absoluteTimestamp(reading.receivedAt) ?? pushKeyTime(reading.pushKey);
+        return received !== null ? received - Number(reading.timestamp) : null;
+      })
+      .filter((offset) => offset !== null);
+    if (serverOffsets.length > 0) return { readings: sessionReadings, offset: median(serverOffsets), confidence: 'server' };
+
+    // A client only sees a reading after it was sent, so the smallest offset is the tightest
+    const observed = sessionReadings
+      .map((reading) => ({ reading, anchor: anchorsBySignature.get(readingSignature(reading)) }))
+      .filter(({ anchor }) => anchor);
+    const tightest = (list) => Math.min(...list.map(({ reading, anchor }) => anchor.seenAt - Number(reading.timestamp)));
+    const live = observed.filter(({ anchor }) => anchor.live);
+    if (live.length > 0) return { readings: sessionReadings, offset: tightest(live), confidence: 'observed' };
+    if (observed.length > 0) return { readings: sessionReadings, offset: tightest(observed), confidence: 'approximate' };
+    return { readings: sessionReadings, offset: null, confidence: 'unanchored' };
+  });
+
+  const first = (session) => Number(session.readings[0].timestamp);
+  const last = (session) => Number(session.readings[session.readings.length - 1].timestamp);
+  // Unanchored sessions end one send interval before the next session starts, or start one
+  // after the previous one ends; the newest one is assumed to end now
+  for (let i = sessions.length - 1; i >= 0; i--) {
+    const session = sessions[i];
+    if (session.offset !== null) continue;
+    const next = sessions[i + 1];
+    if (next && next.offset !== null) session.offset = first(next) + next.offset - EXPECTED_INTERVAL_MS - last(session);
+    else if (i === sessions.length - 1 && !sessions.slice(0, i).some((s) => s.offset !== null)) session.offset = now - last(session);
+  }
+  for (let i = 0; i < sessions.length; i++) {
+    const session = sessions[i];
+    if (session.offset !== null) continue;
+    const previous = sessions[i - 1];
+    session.offset = previous && previous.offset !== null
+      ? last(previous) + previous.offset + EXPECTED_INTERVAL_MS - first(session)
+      : now - last(session);
+  }
+
+  sessions.forEach((session, index) => {
+    session.readings.forEach((reading) => {
+      let epoch = Math.round(Number(reading.timestamp) + session.offset);
+      if (session.confidence === 'unanchored') epoch = Math.min(epoch, now);
+      result.push({ ...reading, epoch, timeConfidence: session.confidence, bootSession: index });
+    });
+  });
+  return result.sort((a, b) => a.epoch - b.epoch);
+}
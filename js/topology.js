@@ -0,0 +1,363 @@
+import { haversineMeters } from './hydraulics.js';
+import { METERS_PER_DEGREE, segmentTree, boundsAroundMeters } from './spatialIndex.js';
+
+// ==================== NETWORK TOPOLOGY ====================
+// Explicit node/edge graph of the distribution network. Pipeline vertices that carry a
+// junction id (pipeline.nodes) are shared nodes; every other vertex is private to its
+// pipeline. Tanks attach to a node (tank.nodeId) and valves sit on a pipeline segment
+// (valve.pipelineId + valve.segmentIndex). All tolerances are in metres so the graph
+// does not depend on the map zoom level.
+
+// Used only for records saved before junctions existed
+export const LEGACY_JOIN_TOLERANCE_M = 10;
+export const TANK_ATTACH_TOLERANCE_M = 25;
+export const VALVE_ATTACH_TOLERANCE_M = 10;
+// Unjoined pipeline ends closer than this to another pipeline are reported as near misses
+export const NEAR_MISS_TOLERANCE_M = 30;
+
+export const vertexNodeId = (pipelineId, vertexIndex) => `${pipelineId}#v${vertexIndex}`;
+export const edgeId = (pipelineId, segmentIndex) => `${pipelineId}#s${segmentIndex}`;
+
+// Closest point on segment a-b to p, using a local flat projection around p
+export function projectOntoSegment(p, a, b) {
+  const cosLat = Math.cos((p.lat * Math.PI) / 180);
+  const ax = (a.lng - p.lng) * cosLat * METERS_PER_DEGREE;
+  const ay = (a.lat - p.lat) * METERS_PER_DEGREE;
+  const bx = (b.lng - p.lng) * cosLat * METERS_PER_DEGREE;
+  const by = (b.lat - p.lat) * METERS_PER_DEGREE;
+  const abx = bx - ax, aby = by - ay;
+  const ab2 = abx * abx + aby * aby;
+  const t = ab2 === 0 ? 0 : Math.max(0, Math.min(1, -(ax * abx + ay * aby) / ab2));
+  const x = ax + abx * t, y = ay + aby * t;
+  return {
+    t,
+    distance: Math.hypot(x, y),
+    point: { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t }
+  };
+}
+
+export class NetworkTopology {
+  constructor({ tanks = [], valves = [], pipelines = [], junctions = [] } = {}) {
+    this.junctions = new Map(junctions.filter(j => j && j.id).map(j => [j.id, j]));
+    this.pipelines = new Map(pipelines.filter(p => p && p.id).map(p => [p.id, p]));
+    this.nodes = new Map();
+    this.edges = new Map();
+    this.vertexNodes = new Map();
+    this.tankNodes = new Map();
+    this.valveEdges = new Map();
+    this.inferred = { junctions: new Map(), pipelines: new Map(), tanks: new Map(), valves: new Map() };
+    // Valve attachment and near-miss checks ask for the nearest segment many times over
+    this.segments = segmentTree([...this.pipelines.values()]);
+
+    this.buildNodes();
+    this.attachTanks(tanks);
+    this.buildEdges();
+    this.attachValves(valves);
+  }
+
+  buildNodes() {
+    const parent = new Map();
+    const find = (id) => {
+      let root = id;
+      while (parent.has(root) && parent.get(root) !== root) root = parent.get(root);
+      parent.set(id, root);
+      return root;
+    };
+    const union = (a, b) => {
+      const ra = find(a), rb = find(b);
+      if (ra === rb) return;
+      // Keep persisted junction ids as the representative of a joined set
+      if (this.junctions.has(rb) && !this.junctions.has(ra)) parent.set(ra, rb);
+      else parent.set(rb, ra);
+    };
+
+    const rawIds = new Map();
+    const positions = new Map();
+    this.pipelines.forEach(pipe => {
+      const ids = (pipe.points || []).map((pt, vi) => {
+        const id = pipe.nodes?.[vi] || vertexNodeId(pipe.id, vi);
+        if (!positions.has(id)) positions.set(id, this.junctions.get(id) || pt);
+        return id;
+      });
+      rawIds.set(pipe.id, ids);
+    });
+
+    // Legacy pipelines: join loose ends to the nearest vertex of another pipeline
+    this.pipelines.forEach(pipe => {
+      const points = pipe.points || [];
+      if (points.length < 2) return;
+      [0, points.length - 1].forEach(vi => {
+        if (pipe.nodes?.[vi]) return;
+        let best = null;
+        this.verticesNear(points[vi], LEGACY_JOIN_TOLERANCE_M).forEach(({ pipe: other, vertexIndex: ovi }) => {
+          if (other.id === pipe.id) return;
+          const distance = haversineMeters(points[vi], other.points[ovi]);
+          if (distance <= LEGACY_JOIN_TOLERANCE_M && (!best || distance < best.distance)) {
+            best = { distance, id: rawIds.get(other.id)[ovi] };
+          }
+        });
+        if (best) union(rawIds.get(pipe.id)[vi], best.id);
+      });
+    });
+
+    const members = new Map();
+    this.pipelines.forEach(pipe => {
+      rawIds.get(pipe.id).forEach((id, vi) => {
+        const root = find(id);
+        if (!members.has(root)) members.set(root, []);
+        members.get(root).push({ pipelineId: pipe.id, vertexIndex: vi, explicit: !!pipe.nodes?.[vi] });
+      });
+    });
+
+    members.forEach((list, root) => {
+      let nodeId = root;
+      if (list.length > 1 && !this.junctions.has(root)) {
+        nodeId = `junction_${root.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+        this.inferred.junctions.set(nodeId, { id: nodeId, ...positions.get(root) });
+      }
+      const position = this.junctions.get(nodeId) || positions.get(root);
+      this.addNode(nodeId, position);
+      list.forEach(({ pipelineId, vertexIndex, explicit }) => {
+        if (!this.vertexNodes.has(pipelineId)) this.vertexNodes.set(pipelineId, []);
+        this.vertexNodes.get(pipelineId)[vertexIndex] = nodeId;
+        if (!explicit && list.length > 1) {
+          if (!this.inferred.pipelines.has(pipelineId)) this.inferred.pipelines.set(pipelineId, {});
+          this.inferred.pipelines.get(pipelineId)[vertexIndex] = nodeId;
+        }
+      });
+    });
+
+    // Junctions that no pipeline references yet still exist as (isolated) nodes
+    this.junctions.forEach((junction, id) => {
+      if (!this.nodes.has(id)) this.addNode(id, junction);
+    });
+  }
+
+  addNode(id, position) {
+    const junction = this.junctions.get(id) || this.inferred.junctions.get(id) || null;
+    this.nodes.set(id, {
+      id,
+      lat: position?.lat,
+      lng: position?.lng,
+      elevation: junction?.elevation || 0,
+      junction: !!junction,
+      edges: [],
+      tanks: []
+    });
+  }
+
+  attachTanks(tanks) {
+    tanks.forEach(tank => {
+      if (!tank || !tank.id) return;
+      let nodeId = tank.nodeId && this.nodes.has(tank.nodeId) ? tank.nodeId : null;
+
+      if (!nodeId && Number.isFinite(tank.lat) && Number.isFinite(tank.lng)) {
+        let best = null;
+        this.verticesNear(tank, TANK_ATTACH_TOLERANCE_M).forEach(({ pipe, vertexIndex }) => {
+          const id = this.nodeOfVertex(pipe.id, vertexIndex);
+          const distance = haversineMeters(tank, this.nodes.get(id));
+          if (distance <= TANK_ATTACH_TOLERANCE_M && (!best || distance < best.distance)) best = { distance, id };
+        });
+        if (best) {
+          nodeId = this.promoteToJunction(best.id);
+          this.inferred.tanks.set(tank.id, nodeId);
+        }
+      }
+
+      if (nodeId) {
+        this.tankNodes.set(tank.id, nodeId);
+        this.nodes.get(nodeId).tanks.push(tank.id);
+      }
+    });
+  }
+
+  // A private pipeline vertex that something else attaches to becomes a junction
+  promoteToJunction(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (node.junction || !nodeId.includes('#v')) return nodeId;
+    const [pipelineId, vertexPart] = nodeId.split('#v');
+    const junctionId = `junction_${nodeId.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    this.nodes.delete(nodeId);
+    this.inferred.junctions.set(junctionId, { id: junctionId, lat: node.lat, lng: node.lng });
+    this.addNode(junctionId, node);
+    this.vertexNodes.get(pipelineId)[Number(vertexPart)] = junctionId;
+    if (!this.inferred.pipelines.has(pipelineId)) this.inferred.pipelines.set(pipelineId, {});
+    this.inferred.pipelines.get(pipelineId)[Number(vertexPart)] = junctionId;
+    return junctionId;
+  }
+
+  buildEdges() {
+    this.pipelines.forEach(pipe => {
+      const ids = this.vertexNodes.get(pipe.id) || [];
+      for (let si = 0; si < ids.length - 1; si++) {
+        const edge = {
+          id: edgeId(pipe.id, si),
+          pipelineId: pipe.id,
+          segmentIndex: si,
+          from: ids[si],
+          to: ids[si + 1],
+          length: haversineMeters(pipe.points[si], pipe.points[si + 1]),
+          valves: []
+        };
+        this.edges.set(edge.id, edge);
+        this.nodes.get(edge.from).edges.push(edge.id);
+        if (edge.to !== edge.from) this.nodes.get(edge.to).edges.push(edge.id);
+      }
+    });
+  }
+
+  attachValves(valves) {
+    valves.forEach(valve => {
+      if (!valve || !valve.id) return;
+      let edge = null;
+      if (valve.pipelineId && Number.isInteger(valve.segmentIndex)) {
+        edge = this.edges.get(edgeId(valve.pipelineId, valve.segmentIndex)) || null;
+      }
+      if (!edge && Number.isFinite(valve.lat) && Number.isFinite(valve.lng)) {
+        const nearest = this.nearestSegment(valve, VALVE_ATTACH_TOLERANCE_M);
+        if (nearest) {
+          edge = this.edges.get(edgeId(nearest.pipelineId, nearest.segmentIndex));
+          this.inferred.valves.set(valve.id, { pipelineId: nearest.pipelineId, segmentIndex: nearest.segmentIndex });
+        }
+      }
+      if (edge) {
+        this.valveEdges.set(valve.id, edge.id);
+        edge.valves.push(valve.id);
+      }
+    });
+  }
+
+  // Pipeline vertices that may lie within metres of point (a superset, from the segment index)
+  verticesNear(point, metres) {
+    const result = new Map();
+    this.segments.search(boundsAroundMeters(point, metres)).forEach(({ pipe, segmentIndex }) => {
+      [segmentIndex, segmentIndex + 1].forEach(vertexIndex => result.set(`${pipe.id}#${vertexIndex}`, { pipe, vertexIndex }));
+    });
+    return [...result.values()];
+  }
+
+  nearestSegment(point, maxDistance = Infinity, excludePipelineId = null) {
+    const segmentDistance = ({ pipe, segmentIndex: si }) => (pipe.id === excludePipelineId
+      ? Infinity
+      : projectOntoSegment(point, pipe.points[si], pipe.points[si + 1]).distance);
+    const entry = this.segments.nearest(point, segmentDistance, maxDistance);
+    if (!entry) return null;
+    const { pipe, segmentIndex } = entry;
+    return { pipelineId: pipe.id, segmentIndex, ...projectOntoSegment(point, pipe.points[segmentIndex], pipe.points[segmentIndex + 1]) };
+  }
+
+  nodeOfVertex(pipelineId, vertexIndex) {
+    return this.vertexNodes.get(pipelineId)?.[vertexIndex] || null;
+  }
+
+  nodeOfTank(tankId) {
+    return this.tankNodes.get(tankId) || null;
+  }
+
+  edgeOfValve(valveId) {
+    const id = this.valveEdges.get(valveId);
+    return id ? this.edges.get(id) : null;
+  }
+
+  pipelinesAtNode(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return [];
+    return [...new Set(node.edges.map(id => this.edges.get(id).pipelineId))];
+  }
+
+  // Pipelines the tank feeds: everything reachable from its node without passing through
+  // another tank, ignoring valve state
+  pipelinesFedByTank(tankId) {
+    const start = this.nodeOfTank(tankId);
+    const result = new Set();
+    if (!start) return result;
+    const seen = new Set([start]);
+    const stack = [start];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      const node = this.nodes.get(id);
+      if (id !== start && node.tanks.some(other => other !== tankId)) continue;
+      node.edges.forEach(eid => {
+        const edge = this.edges.get(eid);
+        result.add(edge.pipelineId);
+        const other = edge.from === id ? edge.to : edge.from;
+        if (!seen.has(other)) {
+          seen.add(other);
+          stack.push(other);
+        }
+      });
+    }
+    return result;
+  }
+
+  degree(nodeId) {
+    return this.nodes.get(nodeId)?.edges.length || 0;
+  }
+
+  // Connected components over all pipes, ignoring valve state
+  components() {
+    const seen = new Set();
+    const result = [];
+    this.nodes.forEach((node, start) => {
+      if (seen.has(start)) return;
+      const component = { nodes: [], pipelines: new Set(), tanks: [] };
+      const stack = [start];
+      seen.add(start);
+      while (stack.length > 0) {
+        const id = stack.pop();
+        const current = this.nodes.get(id);
+        component.nodes.push(id);
+        component.tanks.push(...current.tanks);
+        current.edges.forEach(eid => {
+          const edge = this.edges.get(eid);
+          component.pipelines.add(edge.pipelineId);
+          const other = edge.from === id ? edge.to : edge.from;
+          if (!seen.has(other)) {
+            seen.add(other);
+            stack.push(other);
+          }
+        });
+      }
+      if (component.pipelines.size > 0 || component.tanks.length > 0) result.push(component);
+    });
+    return result;
+  }
+
+  // Report dangling pipeline ends, near-miss joints and islands without a tank
+  validate() {
+    const danglingEnds = [];
+    const nearMisses = [];
+
+    this.pipelines.forEach(pipe => {
+      const points = pipe.points || [];
+      if (points.length < 2) return;
+      [0, points.length - 1].forEach(vi => {
+        const nodeId = this.nodeOfVertex(pipe.id, vi);
+        const node = this.nodes.get(nodeId);
+        if (!node || node.edges.length > 1 || node.tanks.length > 0) return;
+
+        const end = { pipelineId: pipe.id, pipelineName: pipe.name, vertexIndex: vi, lat: points[vi].lat, lng: points[vi].lng };
+        const nearest = this.nearestSegment(points[vi], NEAR_MISS_TOLERANCE_M, pipe.id);
+        if (nearest) {
+          nearMisses.push({ ...end, targetPipelineId: nearest.pipelineId, distance: nearest.distance });
+        } else {
+          danglingEnds.push(end);
+        }
+      });
+    });
+
+    const islands = this.components()
+      .filter(component => component.tanks.length === 0)
+      .map(component => {
+        const first = this.nodes.get(component.nodes[0]);
+        return { pipelineIds: [...component.pipelines], nodeCount: component.nodes.length, lat: first.lat, lng: first.lng };
+      });
+
+    return { danglingEnds, nearMisses, islands };
+  }
+
+  hasInferredChanges() {
+    const { junctions, pipelines, tanks, valves } = this.inferred;
+    return junctions.size + pipelines.size + tanks.size + valves.size > 0;
+  }
+}
@@ -19,12 +19,14 @@ export const throttle = (func, limit) => {
   };
 };
 
-export function updateConnectionStatus(connected) {
+export function updateConnectionStatus(connected, pendingWrites = 0) {
   const statusEl = document.getElementById('connectionStatus');
   const textEl = document.getElementById('statusText');
   if (!statusEl || !textEl) return;
   statusEl.className = connected ? 'connection-status connected' : 'connection-status disconnected';
-  textEl.textContent = connected ? 'Connected' : 'Disconnected';
+  if (pendingWrites > 0) statusEl.classList.add('pending');
+  textEl.textContent = (connected ? 'Connected' : 'Disconnected') +
+    (pendingWrites > 0 ? ` • ${pendingWrites} pending` : '');
 }
 
 export function showLoading(show) {
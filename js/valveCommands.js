@@ -0,0 +1,75 @@
+// ==================== VALVE COMMANDS ====================
+// Motorised (remote-controlled) valves do not move when the app says so; they move when the
+// actuator gets the command, and only their own report says where they are. Each valve
+// record carries:
+//   desiredState   where the operator or the schedule wants it: 'open' | 'closed'
+//   reportedState  where the device last said it was; flow and households use this
+//   command        the latest command: { id, state, issuedBy, issuedAt, source, attempts,
+//                  lastAttemptAt, status, ackedAt, error }
+// A device watches valves/{id}/command and answers at valveReports/{id} with
+// { valveId, state, at, commandId, ok, error }; it may also report without a command when
+// the valve is moved by hand on site.
+//
+//   pending   sent, no answer yet; resent every COMMAND_TIMEOUT_MS up to MAX_COMMAND_ATTEMPTS
+//   acked     the device reported the commanded state
+//   failed    the device answered with an error or with the other state
+//   timeout   no answer after the last attempt
+// Manual valves have no device: the operator turns them and desired and reported move together.
+
+export const COMMAND_STATUSES = ['pending', 'acked', 'failed', 'timeout'];
+export const COMMAND_TIMEOUT_MS = 30 * 1000;
+export const MAX_COMMAND_ATTEMPTS = 3;
+
+const stateOf = (active) => (active ? 'closed' : 'open');
+
+export function createCommand(state, issuedBy, { now = Date.now(), source = 'operator' } = {}) {
+  return {
+    id: `cmd_${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    state,
+    issuedBy: issuedBy ? { uid: issuedBy.uid ?? null, email: issuedBy.email ?? null } : null,
+    issuedAt: now,
+    source,
+    attempts: 1,
+    lastAttemptAt: now,
+    status: 'pending',
+    ackedAt: null,
+    error: null
+  };
+}
+
+// What a pending command has become given the valve's latest report:
+// { status, retry?, ackedAt?, error? }, or null without a command
+export function resolveCommand(command, report, now = Date.now()) {
+  if (!command) return null;
+  if (command.status !== 'pending') return { status: command.status, error: command.error || null };
+  if (report && report.commandId === command.id) {
+    if (report.ok === false) return { status: 'failed', error: report.error || 'Device reported a failure' };
+    if (report.state === command.state) return { status: 'acked', ackedAt: report.at || now };
+    return { status: 'failed', error: `Device reported ${report.state || 'an unknown state'}` };
+  }
+  if (now - (command.lastAttemptAt || command.issuedAt) < COMMAND_TIMEOUT_MS) return { status: 'pending' };
+  const attempts = command.attempts || 1;
+  if (attempts < MAX_COMMAND_ATTEMPTS) return { status: 'pending', retry: true };
+  return { status: 'timeout', error: `No acknowledgement after ${attempts} attempt${attempts === 1 ? '' : 's'}` };
+}
+
+// The command resent: same id, so a device that did act on an earlier attempt just reports again
+export function retryCommand(command, now = Date.now()) {
+  return { ...command, attempts: (command.attempts || 1) + 1, lastAttemptAt: now };
+}
+
+// Where the valve is as far as anyone knows: a motorised valve's newest report, otherwise
+// the stored state
+export function reportedStateOf(valve, report) {
+  if (valve.motorised && report?.state && (!valve.reportedAt || (report.at || 0) >= valve.reportedAt)) return report.state;
+  return valve.reportedState || valve.valveState || stateOf(valve.active);
+}
+
+// 'pending' while a command is out, 'mismatch' when the valve is not where it is wanted,
+// otherwise 'ok'
+export function valveControlState(valve) {
+  if (!valve.motorised) return 'ok';
+  if (valve.command?.status === 'pending') return 'pending';
+  const desired = valve.desiredState || valve.reportedState;
+  return desired && desired !== valve.reportedState ? 'mismatch' : 'ok';
+}
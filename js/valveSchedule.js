@@ -0,0 +1,292 @@
+// ==================== VALVE SCHEDULES ====================
+// Supply timetables for valves. A schedule says when a valve should be open; outside those
+// times it should be closed.
+//   windows   recurring open windows on days of the week, e.g. 06:00-08:00 Mon-Sat. A window
+//             that ends at or before its start runs past midnight.
+//   holidays  dates on which the recurring windows do not run
+//   events    one-off open or closed periods on a date; they override the windows
+// Times are local. Everything is turned into open intervals [{ start, end }] in epoch ms,
+// which the scheduler, the conflict check and the timeline all work from.
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+export const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Transitions are searched for this far back and ahead; one week covers every weekly window
+const SEARCH_DAYS = 8;
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+export const dateKey = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const startOfDay = (time) => new Date(time).setHours(0, 0, 0, 0);
+
+const minutesOf = (text) => {
+  const match = TIME_PATTERN.exec(String(text || '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// Local midnight of a 'YYYY-MM-DD' date
+const dateStart = (date) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(y, m - 1, d).getTime();
+};
+
+// Date rolls 2026-02-30 over into March, so a real date survives the round trip
+const validDate = (date) => DATE_PATTERN.test(String(date)) && dateKey(dateStart(date)) === date;
+
+// Epoch ms of a minute-of-day on the day starting at dayStart; setHours keeps DST days right
+const atMinutes = (dayStart, minutes) => new Date(dayStart).setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+
+const span = (dayStart, start, end) => {
+  const from = atMinutes(dayStart, minutesOf(start));
+  let to = atMinutes(dayStart, minutesOf(end));
+  if (to <= from) to = atMinutes(startOfDay(dayStart + DAY_MS + DAY_MS / 2), minutesOf(end));
+  return { start: from, end: to };
+};
+
+export function normalizeSchedule(schedule) {
+  const s = schedule || {};
+  const list = (value) => (Array.isArray(value) ? value : value && typeof value === 'object' ? Object.values(value) : []);
+  return {
+    enabled: s.enabled === true,
+    windows: list(s.windows)
+      .filter((w) => minutesOf(w?.start) !== null && minutesOf(w?.end) !== null && w.start !== w.end)
+      .map((w) => ({
+        start: w.start,
+        end: w.end,
+        days: [...new Set(list(w.days).map(Number).filter((day) => ALL_DAYS.includes(day)))].sort()
+      }))
+      .filter((w) => w.days.length > 0),
+    holidays: list(s.holidays)
+      .filter((h) => validDate(h?.date))
+      .map((h) => ({ date: h.date, note: h.note || '' })),
+    events: list(s.events)
+      .filter((e) => validDate(e?.date) && minutesOf(e.start) !== null && minutesOf(e.end) !== null && e.start !== e.end)
+      .map((e) => ({ date: e.date, start: e.start, end: e.end, state: e.state === 'closed' ? 'closed' : 'open', note: e.note || '' }))
+  };
+}
+
+export const hasSchedule = (schedule) => Boolean(schedule?.enabled && (schedule.windows?.length || schedule.events?.length));
+
+// ---------- Text forms used by the valve modal, one entry per line ----------
+
+// "Mon-Fri", "Mon,Wed,Sat", "daily"; blank means every day
+function parseDays(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!value || value === 'daily' || value === 'every day') return ALL_DAYS;
+  const index = (name) => DAY_NAMES.findIndex((day) => day.toLowerCase() === name.slice(0, 3));
+  const days = new Set();
+  for (const part of value.split(/[,\s]+/).filter(Boolean)) {
+    const [from, to] = part.split('-').map(index);
+    if (from === -1 || to === -1) return null;
+    if (to === undefined) {
+      days.add(from);
+    } else {
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === to) break;
+      }
+    }
+  }
+  return [...days].sort();
+}
+
+function formatDays(days) {
+  if (days.length === 7) return 'daily';
+  const runs = [];
+  days.forEach((day) => {
+    const run = runs[runs.length - 1];
+    if (run && day === run[run.length - 1] + 1) run.push(day);
+    else runs.push([day]);
+  });
+  return runs.map((run) => (run.length > 2 ? `${DAY_NAMES[run[0]]}-${DAY_NAMES[run[run.length - 1]]}` : run.map((day) => DAY_NAMES[day]).join(','))).join(',');
+}
+
+const lines = (text) => String(text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+
+// Parsers return { items, errors } with one error message per line that could not be read
+
+// "06:00-08:00 Mon-Sat"
+export function parseWindows(text) {
+  const items = [];
+  const errors = [];
+  lines(text).forEach((line) => {
+    const [range, ...rest] = line.split(/\s+/);
+    const [start, end] = range.split('-');
+    const days = parseDays(rest.join(' '));
+    if (minutesOf(start) === null || minutesOf(end) === null || start === end || !days) errors.push(`Window "${line}"`);
+    else items.push({ start, end, days });
+  });
+  return { items, errors };
+}
+
+export const formatWindows = (windows) => windows.map((w) => `${w.start}-${w.end} ${formatDays(w.days)}`).join('\n');
+
+// "2026-01-26 Republic Day"
+export function parseHolidays(text) {
+  const items = [];
+  const errors = [];
+  lines(text).forEach((line) => {
+    const [date, ...note] = line.split(/\s+/);
+    if (!validDate(date)) errors.push(`Holiday "${line}"`);
+    else items.push({ date, note: note.join(' ') });
+  });
+  return { items, errors };
+}
+
+export const formatHolidays = (holidays) => holidays.map((h) => `${h.date}${h.note ? ` ${h.note}` : ''}`).join('\n');
+
+// "2026-03-14 14:00-16:00 open Tanker refill" or "... closed Pipe repair"
+export function parseEvents(text) {
+  const items = [];
+  const errors = [];
+  lines(text).forEach((line) => {
+    const [date, range = '', state = '', ...note] = line.split(/\s+/);
+    const [start, end] = range.split('-');
+    if (!validDate(date) || minutesOf(start) === null || minutesOf(end) === null || start === end || !['open', 'closed'].includes(state.toLowerCase())) {
+      errors.push(`Event "${line}"`);
+    } else {
+      items.push({ date, start, end, state: state.toLowerCase(), note: note.join(' ') });
+    }
+  });
+  return { items, errors };
+}
+
+export const formatEvents = (events) => events.map((e) => `${e.date} ${e.start}-${e.end} ${e.state}${e.note ? ` ${e.note}` : ''}`).join('\n');
+
+// ---------- Intervals ----------
+
+export function mergeIntervals(intervals) {
+  const merged = [];
+  [...intervals].sort((a, b) => a.start - b.start).forEach((interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) last.end = Math.max(last.end, interval.end);
+    else merged.push({ start: interval.start, end: interval.end });
+  });
+  return merged;
+}
+
+export function intersectIntervals(a, b) {
+  const result = [];
+  a.forEach((x) => b.forEach((y) => {
+    const start = Math.max(x.start, y.start);
+    const end = Math.min(x.end, y.end);
+    if (end > start) result.push({ start, end });
+  }));
+  return mergeIntervals(result);
+}
+
+function subtractInterval(intervals, cut) {
+  return intervals.flatMap((interval) => {
+    if (cut.end <= interval.start || cut.start >= interval.end) return [interval];
+    const pieces = [];
+    if (cut.start > interval.start) pieces.push({ start: interval.start, end: cut.start });
+    if (cut.end < interval.end) pieces.push({ start: cut.end, end: interval.end });
+    return pieces;
+  });
+}
+
+// Open intervals of a schedule overlapping [from, to], clipped to it
+export function openIntervals(schedule, from, to) {
+  const s = normalizeSchedule(schedule);
+  if (!s.enabled) return [];
+  const holidays = new Set(s.holidays.map((h) => h.date));
+  let intervals = [];
+  // Start a day early for windows that run past midnight
+  for (let day = startOfDay(from - DAY_MS); day < to; day = startOfDay(day + DAY_MS + DAY_MS / 2)) {
+    if (holidays.has(dateKey(day))) continue;
+    const weekday = new Date(day).getDay();
+    s.windows.filter((w) => w.days.includes(weekday)).forEach((w) => intervals.push(span(day, w.start, w.end)));
+  }
+  intervals = mergeIntervals(intervals);
+  s.events.forEach((event) => {
+    const interval = span(dateStart(event.date), event.start, event.end);
+    intervals = event.state === 'open' ? mergeIntervals([...intervals, interval]) : subtractInterval(intervals, interval);
+  });
+  return intervals
+    .map((interval) => ({ start: Math.max(interval.start, from), end: Math.min(interval.end, to) }))
+    .filter((interval) => interval.end > interval.start);
+}
+
+// 'open' / 'closed' at a time, or null when the valve has no active schedule
+export function scheduledStateAt(schedule, time) {
+  if (!hasSchedule(normalizeSchedule(schedule))) return null;
+  return openIntervals(schedule, time - DAY_MS, time + DAY_MS).some((i) => i.start <= time && time < i.end) ? 'open' : 'closed';
+}
+
+const transitions = (schedule, from, to) => openIntervals(schedule, from, to)
+  .flatMap((i) => [{ at: i.start, state: 'open' }, { at: i.end, state: 'closed' }])
+  // Interval ends at the search bounds come from clipping, not the schedule
+  .filter((t) => t.at > from && t.at < to);
+
+// Most recent scheduled change at or before time: { at, state } or null
+export function lastTransition(schedule, time) {
+  if (!hasSchedule(normalizeSchedule(schedule))) return null;
+  const list = transitions(schedule, time - SEARCH_DAYS * DAY_MS, time + 1).filter((t) => t.at <= time);
+  return list[list.length - 1] || null;
+}
+
+// Next scheduled change after time: { at, state } or null
+export function nextTransition(schedule, time) {
+  if (!hasSchedule(normalizeSchedule(schedule))) return null;
+  return transitions(schedule, time, time + SEARCH_DAYS * DAY_MS).find((t) => t.at > time) || null;
+}
+
+// ---------- Supply plan per tank ----------
+
+// Every valve under the tank with an active schedule, with the intervals water actually
+// flows through it on the day: its own open times within those of its scheduled ancestors.
+// Only the most specific schedules draw from the tank; a scheduled valve with scheduled
+// valves below it gates them rather than adding its own flow.
+// Returns { valves: [{ valve, intervals, flowLpm, volumeL, draws }], conflicts }
+export function planTankSupply(tank, allValves, dayStart, { usableL = Infinity } = {}) {
+  const dayEnd = startOfDay(dayStart + DAY_MS + DAY_MS / 2);
+  const entries = [];
+  const visit = (valve, gate, visited) => {
+    if (!valve || visited.has(valve.id)) return;
+    visited.add(valve.id);
+    const own = hasSchedule(normalizeSchedule(valve.schedule)) ? openIntervals(valve.schedule, dayStart, dayEnd) : null;
+    const intervals = own && gate ? intersectIntervals(own, gate) : own || gate;
+    const entry = own ? { valve, intervals, flowLpm: Number(valve.flowRate) || 0, draws: true } : null;
+    if (entry) entries.push(entry);
+    const before = entries.length;
+    allValves.filter((child) => child.parentValveId === valve.id).forEach((child) => visit(child, intervals, visited));
+    if (entry && entries.length > before) entry.draws = false;
+  };
+  const visited = new Set();
+  (tank.connectedMainValves || []).forEach((id) => visit(allValves.find((valve) => valve.id === id), null, visited));
+
+  entries.forEach((entry) => {
+    const minutes = entry.intervals.reduce((sum, i) => sum + (i.end - i.start) / 60000, 0);
+    entry.volumeL = entry.draws ? entry.flowLpm * minutes : 0;
+  });
+  return { valves: entries, conflicts: findSupplyConflicts(entries, usableL) };
+}
+
+// Back-to-back or overlapping supply leaves no time to refill the tank, so each continuous
+// block of drawing must fit in the tank's usable volume. Returns the blocks that do not:
+// [{ start, end, volumeL, valveIds }]
+export function findSupplyConflicts(entries, usableL) {
+  const drawing = entries.filter((entry) => entry.draws && entry.flowLpm > 0);
+  const blocks = mergeIntervals(drawing.flatMap((entry) => entry.intervals));
+  return blocks
+    .map((block) => {
+      const valveIds = [];
+      let volumeL = 0;
+      drawing.forEach((entry) => {
+        const minutes = intersectIntervals(entry.intervals, [block]).reduce((sum, i) => sum + (i.end - i.start) / 60000, 0);
+        if (minutes > 0) {
+          valveIds.push(entry.valve.id);
+          volumeL += entry.flowLpm * minutes;
+        }
+      });
+      return { ...block, volumeL, valveIds };
+    })
+    .filter((block) => block.volumeL > usableL);
+}
@@ -0,0 +1,72 @@
+// ==================== SIMULATED VALVE DEVICES ====================
+// Stands in for the actuators of motorised valves during local testing. Watches valves/ for
+// pending commands (js/valveCommands.js) and answers each attempt at valveReports/{id} after a
+// delay, the way a device would, sometimes failing or staying silent so retries, failures and
+// timeouts can be seen without hardware. Works on any storage backend:
+//   in the page    open the app with ?simulateValves=1 (add &valveFail=0.2&valveDrop=0.2)
+//   from Node      node server/valveSimulator.js --url http://localhost:8080 --fail 0.2
+
+const DEFAULT_OPTIONS = {
+  delayMs: 3000,      // how long the actuator takes to move
+  failureRate: 0,     // share of attempts answered with an error
+  dropRate: 0,        // share of attempts never answered
+  random: Math.random
+};
+
+export function createValveSimulator(backend, options = {}) {
+  const { delayMs, failureRate, dropRate, random } = { ...DEFAULT_OPTIONS, ...options };
+  const positions = {};
+  const handled = new Set();
+  const timers = new Set();
+  let unsubscribe = null;
+
+  const report = async (valveId, command) => {
+    const roll = random();
+    if (roll < dropRate) {
+      console.log(`🤖 ${valveId}: attempt ${command.attempts} of ${command.id} lost`);
+      return;
+    }
+    const failed = roll < dropRate + failureRate;
+    if (!failed) positions[valveId] = command.state;
+    await backend.write(`valveReports/${valveId}`, {
+      valveId,
+      state: positions[valveId],
+      at: Date.now(),
+      commandId: command.id,
+      ok: !failed,
+      error: failed ? 'Actuator stalled' : null
+    });
+    console.log(`🤖 ${valveId}: ${failed ? 'failed to move' : `now ${command.state}`} (${command.id})`);
+  };
+
+  const onValves = (value) => {
+    Object.values(value || {}).forEach((valve) => {
+      if (!valve?.motorised || !valve.id) return;
+      if (!positions[valve.id]) positions[valve.id] = valve.reportedState || valve.valveState || 'open';
+      const command = valve.command;
+      if (command?.status !== 'pending') return;
+      const key = `${valve.id}:${command.id}:${command.attempts || 1}`;
+      if (handled.has(key)) return;
+      handled.add(key);
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        report(valve.id, command).catch((error) => console.warn(`⚠️ Simulated report for ${valve.id} failed:`, error));
+      }, delayMs);
+      timers.add(timer);
+    });
+  };
+
+  return {
+    start() {
+      if (!unsubscribe) unsubscribe = backend.listen('valves', onValves);
+      console.log(`🤖 Simulating motorised valves (${delayMs} ms, ${Math.round(failureRate * 100)}% fail, ${Math.round(dropRate * 100)}% lost)`);
+    },
+
+    stop() {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+      timers.forEach(clearTimeout);
+      timers.clear();
+    }
+  };
+}
@@ -0,0 +1,66 @@
+import { readFile } from 'node:fs/promises';
+import { createRestBackend } from '../js/backends/restBackend.js';
+import { createMemoryBackend } from '../js/backends/memoryBackend.js';
+import { createAnalyticsPublisher } from '../js/analyticsPublisher.js';
+import { compactAllHistory } from '../js/historyCompaction.js';
+import { RAW_RETENTION_DAYS } from '../js/historyRollups.js';
+
+// ==================== ANALYTICS SERVICE ====================
+// Headless producer of analytics/ (js/analyticsEngine.js) for the local data server or a
+// Firebase Realtime Database (its REST endpoint, with a database secret or ID token):
+//   node server/analyticsService.js --url http://localhost:8080 --interval 60000
+//   node server/analyticsService.js --url https://<db>.firebaseio.com --auth <token>
+//   node server/analyticsService.js --url http://localhost:8080 --once
+// While watching it also applies the history retention policy (js/historyCompaction.js) every
+// few hours, deleting raw points older than --retention-days (default 30) once rolled up.
+// Against a fixture network (a root snapshot as JSON), printing the result instead:
+//   node server/analyticsService.js --fixture server/fixtures/smallNetwork.json --now 2026-01-01T00:05:00Z
+
+const COMPACTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = { url: 'http://localhost:8080', auth: null, intervalMs: 60000, once: false, fixture: null, now: null, retentionDays: RAW_RETENTION_DAYS };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    const next = () => (inline !== undefined ? inline : argv[++i]);
+    if (flag === '--url') options.url = next();
+    else if (flag === '--auth') options.auth = next();
+    else if (flag === '--interval') options.intervalMs = parseInt(next(), 10);
+    else if (flag === '--once') options.once = true;
+    else if (flag === '--fixture') options.fixture = next();
+    else if (flag === '--now') options.now = Date.parse(next());
+    else if (flag === '--retention-days') options.retentionDays = parseFloat(next());
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const now = Number.isFinite(options.now) ? () => options.now : Date.now;
+
+if (options.fixture) {
+  // stdout carries only the result; progress goes to stderr
+  const logger = { log: console.error, error: console.error };
+  const seed = JSON.parse(await readFile(options.fixture, 'utf8'));
+  const backend = createMemoryBackend({ seed });
+  const analytics = await createAnalyticsPublisher(backend, { now, logger }).runOnce();
+  process.stdout.write(`${JSON.stringify(analytics, null, 2)}\n`);
+} else {
+  const backend = createRestBackend({ baseUrl: options.url, authToken: options.auth, storage: null });
+  const publisher = createAnalyticsPublisher(backend, { intervalMs: options.intervalMs, now });
+  if (options.once) {
+    process.exitCode = (await publisher.runOnce()) ? 0 : 1;
+  } else {
+    publisher.start();
+    console.log(`📊 Watching ${options.url}`);
+    const compact = async () => {
+      try {
+        const removed = await compactAllHistory(backend, { retentionDays: options.retentionDays, now: now() });
+        if (removed > 0) console.log(`🧹 History compaction removed ${removed} raw points`);
+      } catch (error) {
+        console.error('❌ History compaction failed:', error);
+      }
+    };
+    compact();
+    setInterval(compact, COMPACTION_INTERVAL_MS);
+  }
+}
@@ -0,0 +1,474 @@
+import http from 'node:http';
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { readFile, writeFile, rename, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { clone, getAtPath, setAtPath, splitPath, joinPath, pathsOverlap, selectRange, selectWhere } from '../js/backends/paths.js';
+import { ROLES, hasRole, roleForPath } from '../js/roles.js';
+
+// ==================== LOCAL DATA SERVER ====================
+// Self-hosted stand-in for the Firebase Realtime Database, storing everything in one JSON file.
+// Implements the REST protocol the app's 'local' backend speaks (js/backends/restBackend.js):
+//   GET /tanks.json            read            (Accept: text/event-stream → live 'put' events)
+//   GET /history/tanks/T1.json?orderBy="$key"&startAt="…"&endAt="…"&limitToFirst=500   range
+//   GET /tanks.json?orderBy="mandal"&equalTo="Eturunagaram"   children with that field (also streamed)
+//   PUT /tanks/T1.json         replace
+//   PATCH /.json               multi-path update ({ "tanks/T1/nodeId": "J1", ... })
+//   POST /devices/DEVICE_001/readings.json   append under a push key (what the ESP firmware does)
+//   POST /devices/DEVICE_001/latest.json?x-http-method-override=PUT   PUT or PATCH for clients that can only POST
+//   DELETE /tanks/T1.json      remove
+// Every other GET serves the app itself, so a whole deployment runs from one process:
+//   node server/localServer.js --port 8080 --data server/data/db.json
+//   open http://localhost:8080/?backend=local
+//
+// Accounts: with anyone in the users file, writes need a signed-in user whose role allows
+// them (js/roles.js); reads stay open. Without users every write is allowed.
+//   node server/localServer.js --add-user ops@example.org:secret:operator
+//   POST /.auth/signIn { email, password }  → { token, expiresAt, user }   (then ?auth=token)
+//   POST /.auth/signOut, GET /.auth/session, GET /.auth/config
+
+const APP_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const KEEP_ALIVE_MS = 30000;
+const SAVE_DELAY_MS = 500;
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const scryptAsync = promisify(scrypt);
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+function parseArgs(argv) {
+  const options = {
+    port: 8080,
+    host: '0.0.0.0',
+    data: path.join(APP_ROOT, 'server', 'data', 'db.json'),
+    users: path.join(APP_ROOT, 'server', 'data', 'users.json'),
+    addUsers: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    const next = () => (inline !== undefined ? inline : argv[++i]);
+    if (flag === '--port') options.port = parseInt(next(), 10);
+    else if (flag === '--host') options.host = next();
+    else if (flag === '--data') options.data = path.resolve(next());
+    else if (flag === '--users') options.users = path.resolve(next());
+    else if (flag === '--add-user') options.addUsers.push(next());
+  }
+  return options;
+}
+
+// Chronologically sortable 20-character keys, same scheme as Firebase push()
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+let lastPushTime = 0;
+let lastRandChars = [];
+export function generatePushId(now = Date.now()) {
+  const duplicateTime = now === lastPushTime;
+  lastPushTime = now;
+  const timeChars = new Array(8);
+  for (let i = 7; i >= 0; i--) {
+    timeChars[i] = PUSH_CHARS.charAt(now % 64);
+    now = Math.floor(now / 64);
+  }
+  if (!duplicateTime) {
+    lastRandChars = Array.from({ length: 12 }, () => Math.floor(Math.random() * 64));
+  } else {
+    let i = 11;
+    for (; i >= 0 && lastRandChars[i] === 63; i--) lastRandChars[i] = 0;
+    if (i >= 0) lastRandChars[i]++;
+  }
+  return timeChars.join('') + lastRandChars.map((c) => PUSH_CHARS.charAt(c)).join('');
+}
+
+export function createDataStore({ file = null, initial = {} } = {}) {
+  let root = clone(initial) || {};
+  const streams = new Set();
+  let saveTimer = null;
+
+  const save = () => {
+    if (!file) return;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(async () => {
+      try {
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeFile(`${file}.tmp`, JSON.stringify(root));
+        await rename(`${file}.tmp`, file);
+      } catch (error) {
+        console.error('❌ Could not save data file:', error);
+      }
+    }, SAVE_DELAY_MS);
+  };
+
+  const publish = (changedPaths) => {
+    streams.forEach((stream) => {
+      if (!changedPaths.some((changed) => pathsOverlap(changed, stream.path))) return;
+      const value = stream.select(getAtPath(root, stream.path));
+      const serialized = JSON.stringify(value);
+      if (serialized === stream.last) return;
+      stream.last = serialized;
+      stream.send('put', { path: '/', data: value });
+    });
+    save();
+  };
+
+  return {
+    async load() {
+      if (!file) return;
+      try {
+        root = JSON.parse(await readFile(file, 'utf8')) || {};
+        console.log(`📂 Loaded ${file}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        console.log(`📂 Starting with an empty database at ${file}`);
+      }
+    },
+
+    read(dbPath) {
+      return clone(getAtPath(root, dbPath));
+    },
+
+    write(dbPath, value) {
+      root = setAtPath(root, dbPath, clone(value));
+      publish([dbPath]);
+    },
+
+    update(basePath, updates) {
+      const changed = Object.entries(updates || {}).map(([key, value]) => {
+        const target = [basePath, key].filter(Boolean).join('/');
+        root = setAtPath(root, target, clone(value));
+        return target;
+      });
+      publish(changed);
+    },
+
+    push(dbPath, value) {
+      const key = generatePushId();
+      this.write([dbPath, key].filter(Boolean).join('/'), value);
+      return key;
+    },
+
+    // select narrows what the stream sends (a query)
+    subscribe(dbPath, send, select = (value) => value) {
+      const value = select(getAtPath(root, dbPath));
+      const stream = { path: dbPath, send, select, last: JSON.stringify(value) };
+      streams.add(stream);
+      send('put', { path: '/', data: value });
+      return () => streams.delete(stream);
+    }
+  };
+}
+
+// ==================== ACCOUNTS ====================
+// users.json: { "<email>": { uid, email, role, salt, hash } } with scrypt password hashes.
+// Sessions only live in memory, so a restart signs everyone out.
+export function createUserStore({ file = null, initial = {} } = {}) {
+  let users = clone(initial) || {};
+  const sessions = new Map();
+
+  const hashPassword = async (password, salt) => (await scryptAsync(String(password), salt, 64)).toString('hex');
+  const publicUser = (user) => ({ uid: user.uid, email: user.email, role: user.role });
+
+  return {
+    get enabled() {
+      return Object.keys(users).length > 0;
+    },
+
+    async load() {
+      if (!file) return;
+      try {
+        users = JSON.parse(await readFile(file, 'utf8')) || {};
+        console.log(`🔑 Loaded ${Object.keys(users).length} user(s) from ${file}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async save() {
+      if (!file) return;
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, JSON.stringify(users, null, 2));
+      await rename(`${file}.tmp`, file);
+    },
+
+    // spec: "email:password:role"
+    async addUser(spec) {
+      const parts = String(spec).split(':');
+      const email = parts.shift()?.trim().toLowerCase();
+      const role = parts.pop();
+      const password = parts.join(':');
+      if (!email || !password || !ROLES.includes(role)) {
+        throw new Error(`--add-user expects email:password:role with role one of ${ROLES.join(', ')}`);
+      }
+      const salt = randomBytes(16).toString('hex');
+      users[email] = { uid: users[email]?.uid || randomBytes(8).toString('hex'), email, role, salt, hash: await hashPassword(password, salt) };
+      return publicUser(users[email]);
+    },
+
+    async signIn(email, password) {
+      const user = users[String(email || '').trim().toLowerCase()];
+      if (!user) return null;
+      const hash = Buffer.from(await hashPassword(password, user.salt), 'hex');
+      if (!timingSafeEqual(hash, Buffer.from(user.hash, 'hex'))) return null;
+      const session = { token: randomBytes(24).toString('hex'), expiresAt: Date.now() + SESSION_TTL_MS, user: publicUser(user) };
+      sessions.set(session.token, session);
+      return session;
+    },
+
+    signOut(token) {
+      sessions.delete(token);
+    },
+
+    // The user behind a token, or null when it is unknown or expired
+    userFor(token) {
+      const session = token ? sessions.get(token) : null;
+      if (!session) return null;
+      if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+      }
+      return session.user;
+    }
+  };
+}
+
+// Paths a write touches, each with the value it leaves there
+function writeTargets(method, dbPath, body) {
+  if (method === 'PATCH') return Object.entries(body).map(([key, value]) => ({ path: joinPath(dbPath, key), value }));
+  if (method === 'POST') return [{ path: joinPath(dbPath, '$push'), value: body }];
+  return [{ path: dbPath, value: method === 'DELETE' ? null : body }];
+}
+
+// Error for a write the user may not make, or null. The audit log is append-only for
+// everyone, accounts or not; replaying the same entry is fine.
+function refuseWrite(store, users, user, targets) {
+  for (const { path: target, value } of targets) {
+    const [collection, id, ...rest] = splitPath(target);
+    const existing = collection === 'audit' ? store.read(target) : null;
+    if (collection === 'audit' && (!id || rest.length > 0 || value === null || (existing !== null && JSON.stringify(existing) !== JSON.stringify(value)))) {
+      return { status: 403, error: 'The audit log is append-only' };
+    }
+    const required = roleForPath(target);
+    if (!users.enabled || !required) continue;
+    if (!user) return { status: 401, error: 'Sign in to make changes' };
+    if (!hasRole(user.role, required)) return { status: 403, error: `${target} needs the ${required} role` };
+  }
+  return null;
+}
+
+async function handleAuth(req, res, url, users) {
+  const token = url.searchParams.get('auth');
+  const action = url.pathname.slice('/.auth/'.length);
+  if (action === 'config' && req.method === 'GET') return sendJson(res, 200, { enabled: users.enabled });
+  if (action === 'session' && req.method === 'GET') {
+    const user = users.userFor(token);
+    return user ? sendJson(res, 200, user) : sendJson(res, 401, { error: 'Not signed in' });
+  }
+  if (action === 'signIn' && req.method === 'POST') {
+    const body = await readBody(req);
+    const session = await users.signIn(body?.email, body?.password);
+    if (!session) return sendJson(res, 401, { error: 'Wrong email or password' });
+    console.log(`🔑 ${session.user.email} signed in (${session.user.role})`);
+    return sendJson(res, 200, session);
+  }
+  if (action === 'signOut' && req.method === 'POST') {
+    users.signOut(token);
+    return sendJson(res, 200, null);
+  }
+  return sendJson(res, 404, { error: 'Not found' });
+}
+
+// ?orderBy="$key"&startAt="a"&endAt="b"&limitToFirst=n, or ?orderBy="child"&equalTo=value,
+// as in the Firebase REST API. Those are all the app queries by.
+function rangeQuery(value, params) {
+  const json = (name) => {
+    if (!params.has(name)) return null;
+    try {
+      return JSON.parse(params.get(name));
+    } catch {
+      return undefined;
+    }
+  };
+  const orderBy = json('orderBy');
+  if (typeof orderBy === 'string' && orderBy !== '$key' && params.has('equalTo')) {
+    const equalTo = json('equalTo');
+    if (equalTo === undefined) return [400, { error: 'equalTo must be JSON' }];
+    const selected = selectWhere(value, orderBy, equalTo);
+    return [200, Object.keys(selected).length > 0 ? selected : null];
+  }
+  if (orderBy !== '$key') return [400, { error: 'Only orderBy="$key", or a child with equalTo, is supported' }];
+  const startKey = json('startAt');
+  const endKey = json('endAt');
+  if (startKey === undefined || endKey === undefined) return [400, { error: 'startAt and endAt must be JSON' }];
+  const first = parseInt(params.get('limitToFirst'), 10);
+  const last = parseInt(params.get('limitToLast'), 10);
+  const range = {
+    startKey: startKey === null ? null : String(startKey),
+    endKey: endKey === null ? null : String(endKey),
+    limit: first > 0 ? first : last > 0 ? last : null,
+    last: !(first > 0) && last > 0
+  };
+  return [200, selectRange(value, range)];
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve(null);
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, value) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+  res.end(JSON.stringify(value === undefined ? null : value));
+}
+
+async function serveStatic(res, pathname) {
+  const relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  const filePath = path.resolve(APP_ROOT, `.${relative}`);
+  if (!filePath.startsWith(APP_ROOT + path.sep) || filePath.startsWith(path.join(APP_ROOT, 'server') + path.sep)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+  try {
+    const info = await stat(filePath);
+    if (!info.isFile()) throw Object.assign(new Error('Not a file'), { code: 'ENOENT' });
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+    res.end(await readFile(filePath));
+  } catch (error) {
+    res.writeHead(error.code === 'ENOENT' ? 404 : 500);
+    res.end(error.code === 'ENOENT' ? 'Not found' : 'Server error');
+  }
+}
+
+export function createRequestHandler(store, users = createUserStore()) {
+  return async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, PATCH, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.startsWith('/.auth/')) {
+      try {
+        return await handleAuth(req, res, url, users);
+      } catch (error) {
+        return sendJson(res, error.status || 500, { error: error.message });
+      }
+    }
+    if (!url.pathname.endsWith('.json')) {
+      if (req.method === 'GET' || req.method === 'HEAD') return serveStatic(res, url.pathname);
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    const dbPath = splitPath(url.pathname.slice(0, -'.json'.length)).map(decodeURIComponent).join('/');
+    try {
+      if (req.method === 'GET' && (req.headers.accept || '').includes('text/event-stream')) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const select = url.searchParams.has('orderBy') ? (value) => rangeQuery(value, url.searchParams)[1] : undefined;
+        const unsubscribe = store.subscribe(dbPath, send, select);
+        const keepAlive = setInterval(() => send('keep-alive', null), KEEP_ALIVE_MS);
+        req.on('close', () => {
+          clearInterval(keepAlive);
+          unsubscribe();
+        });
+        return;
+      }
+
+      if (req.method === 'GET') {
+        const value = store.read(dbPath);
+        if (url.searchParams.has('orderBy')) return sendJson(res, ...rangeQuery(value, url.searchParams));
+        if (url.searchParams.get('shallow') === 'true' && value && typeof value === 'object') {
+          return sendJson(res, 200, Object.fromEntries(Object.keys(value).map((key) => [key, true])));
+        }
+        return sendJson(res, 200, value);
+      }
+      const method = (req.method === 'POST' && url.searchParams.get('x-http-method-override')?.toUpperCase()) || req.method;
+      if (!['PUT', 'PATCH', 'POST', 'DELETE'].includes(method)) return sendJson(res, 405, { error: 'Method not allowed' });
+      const body = method === 'DELETE' ? null : await readBody(req);
+      if (method === 'PATCH' && (!body || typeof body !== 'object')) return sendJson(res, 400, { error: 'PATCH body must be an object' });
+      const refused = refuseWrite(store, users, users.userFor(url.searchParams.get('auth')), writeTargets(method, dbPath, body));
+      if (refused) return sendJson(res, refused.status, { error: refused.error });
+
+      if (method === 'PUT') {
+        store.write(dbPath, body);
+        return sendJson(res, 200, body);
+      }
+      if (method === 'PATCH') {
+        store.update(dbPath, body);
+        return sendJson(res, 200, body);
+      }
+      if (method === 'POST') {
+        return sendJson(res, 200, { name: store.push(dbPath, body) });
+      }
+      if (method === 'DELETE') {
+        store.write(dbPath, null);
+        return sendJson(res, 200, null);
+      }
+    } catch (error) {
+      console.error(`❌ ${req.method} ${url.pathname}:`, error.message);
+      return sendJson(res, error.status || 500, { error: error.message });
+    }
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const users = createUserStore({ file: options.users });
+  await users.load();
+  if (options.addUsers.length > 0) {
+    for (const spec of options.addUsers) {
+      const user = await users.addUser(spec);
+      console.log(`🔑 Saved ${user.email} as ${user.role}`);
+    }
+    await users.save();
+    return;
+  }
+  const store = createDataStore({ file: options.data });
+  await store.load();
+  if (!users.enabled) console.log('🔓 No users configured: every write is allowed');
+  const server = http.createServer(createRequestHandler(store, users));
+  server.listen(options.port, options.host, () => {
+    console.log(`🚰 Local data server on http://localhost:${options.port}/?backend=local`);
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error('❌ Local server failed to start:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,80 @@
+import { createRestBackend } from '../js/backends/restBackend.js';
+import { devicePath, holdsReadings, listLegacyDevices, migrationUpdates } from '../js/deviceTelemetry.js';
+
+// ==================== DEVICE MIGRATION ====================
+// One-time move of legacy device telemetry, root-level DEVICE_xxx nodes and /ultrasonic/{id},
+// into devices/{id}/readings, latest and meta (js/deviceTelemetry.js), on the local data
+// server or a Firebase Realtime Database (its REST endpoint, with a database secret or ID token):
+//   node server/migrateDevices.js --url http://localhost:8080 --dry-run
+//   node server/migrateDevices.js --url https://<db>.firebaseio.com --auth <token>
+//   node server/migrateDevices.js --url http://localhost:8080 --keep-legacy
+// Readings are copied in batches; a device's legacy nodes are removed (unless --keep-legacy)
+// in the same update that writes its latest and meta, after all its readings are copied.
+// Running it again finds nothing left to move.
+
+const READINGS_PER_BATCH = 500;
+
+function parseArgs(argv) {
+  const options = { url: 'http://localhost:8080', auth: null, dryRun: false, keepLegacy: false };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    const next = () => (inline !== undefined ? inline : argv[++i]);
+    if (flag === '--url') options.url = next();
+    else if (flag === '--auth') options.auth = next();
+    else if (flag === '--dry-run') options.dryRun = true;
+    else if (flag === '--keep-legacy') options.keepLegacy = true;
+  }
+  return options;
+}
+
+// Legacy nodes by device id: { deviceId: [{ path, node }] }. Root nodes without readings
+// (settings and the like) are not devices and are left where they are.
+async function legacySources(backend) {
+  const sources = {};
+  for (const { deviceId, path } of await listLegacyDevices(backend)) {
+    const node = await backend.read(path);
+    if (!holdsReadings(node)) continue;
+    (sources[deviceId] = sources[deviceId] || []).push({ path, node });
+  }
+  return sources;
+}
+
+async function migrateDevice(backend, deviceId, sources, { dryRun, keepLegacy }) {
+  const existing = { latest: await backend.read(devicePath(deviceId, 'latest')) };
+  const updates = migrationUpdates(deviceId, sources, { existing, keepLegacy });
+  if (Object.keys(updates).length === 0) return 0;
+  const readingsPrefix = `${devicePath(deviceId, 'readings')}/`;
+  const readings = Object.keys(updates).filter((path) => path.startsWith(readingsPrefix));
+  const paths = sources.map(({ path }) => path).join(', ');
+  console.log(`${dryRun ? '🔎' : '📦'} ${deviceId}: ${readings.length} reading(s) from ${paths}`);
+  if (dryRun) return readings.length;
+
+  for (let i = 0; i < readings.length; i += READINGS_PER_BATCH) {
+    const batch = readings.slice(i, i + READINGS_PER_BATCH);
+    await backend.update(Object.fromEntries(batch.map((path) => [path, updates[path]])));
+  }
+  const rest = Object.keys(updates).filter((path) => !path.startsWith(readingsPrefix));
+  await backend.update(Object.fromEntries(rest.map((path) => [path, updates[path]])));
+  return readings.length;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const backend = createRestBackend({ baseUrl: options.url, authToken: options.auth, storage: null });
+
+try {
+  const sources = await legacySources(backend);
+  const deviceIds = Object.keys(sources);
+  if (deviceIds.length === 0) {
+    console.log('📭 No legacy device data found');
+  } else {
+    let total = 0;
+    for (const deviceId of deviceIds) {
+      total += await migrateDevice(backend, deviceId, sources[deviceId], options);
+    }
+    const verb = options.dryRun ? 'Would move' : options.keepLegacy ? 'Copied' : 'Moved';
+    console.log(`✅ ${verb} ${total} reading(s) of ${deviceIds.length} device(s) to ${devicePath('{id}')}`);
+  }
+} catch (error) {
+  console.error('❌ Device migration failed:', error);
+  process.exitCode = 1;
+}
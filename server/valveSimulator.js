@@ -0,0 +1,25 @@
+import { createRestBackend } from '../js/backends/restBackend.js';
+import { createValveSimulator } from '../js/valveSimulator.js';
+
+// ==================== VALVE SIMULATOR ====================
+// Simulated actuators for every motorised valve on a local data server (server/localServer.js):
+//   node server/valveSimulator.js --url http://localhost:8080 --delay 3000 --fail 0.1 --drop 0.1
+// Reports go to valveReports/, which needs no account.
+
+function parseArgs(argv) {
+  const options = { url: 'http://localhost:8080', delayMs: 3000, failureRate: 0, dropRate: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    const next = () => (inline !== undefined ? inline : argv[++i]);
+    if (flag === '--url') options.url = next();
+    else if (flag === '--delay') options.delayMs = parseInt(next(), 10);
+    else if (flag === '--fail') options.failureRate = parseFloat(next());
+    else if (flag === '--drop') options.dropRate = parseFloat(next());
+  }
+  return options;
+}
+
+const { url, ...options } = parseArgs(process.argv.slice(2));
+const backend = createRestBackend({ baseUrl: url, storage: null });
+createValveSimulator(backend, options).start();
+console.log(`🚰 Watching ${url}`);